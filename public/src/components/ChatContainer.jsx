@@ -1,28 +1,386 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useLayoutEffect, useRef } from "react";
 import styled from "styled-components";
 import ChatInput from "./ChatInput";
+import ForwardModal from "./ForwardModal";
+import VoicePlayer from "./VoicePlayer";
+import MessageImage from "./MessageImage";
 import Logout from "./Logout";
-import { v4 as uuidv4 } from "uuid";
 import axios from "axios";
-import { sendMessageRoute, recieveMessageRoute, getAuthHeaders } from "../utils/APIRoutes";
+import { ToastContainer, toast } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import {
+  sendMessageRoute,
+  recieveMessageRoute,
+  messagesRoute,
+  forwardMessagesRoute,
+  getAuthHeaders
+} from "../utils/APIRoutes";
+import {
+  BsArrow90DegRight,
+  BsCheck,
+  BsCheckAll,
+  BsEmojiSmile,
+  BsFileEarmark,
+  BsFileEarmarkExcel,
+  BsFileEarmarkPdf,
+  BsFileEarmarkPpt,
+  BsFileEarmarkText,
+  BsFileEarmarkWord,
+  BsFileEarmarkZip,
+  BsPencil,
+  BsReply,
+  BsTrash
+} from "react-icons/bs";
+import { formatPresence } from "../utils/presence";
+import { formatFileSize, getFileCategory } from "../utils/attachments";
 
-export default function ChatContainer({ currentChat, socket }) {
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+// Matches WhatsApp's "Forwarded many times" threshold
+const FREQUENTLY_FORWARDED = 5;
+
+const getFileIcon = (mimeType = "") => {
+  if (mimeType === "application/pdf") return BsFileEarmarkPdf;
+  if (/word|opendocument\.text|rtf/.test(mimeType)) return BsFileEarmarkWord;
+  if (/excel|spreadsheet|csv/.test(mimeType)) return BsFileEarmarkExcel;
+  if (/powerpoint|presentation/.test(mimeType)) return BsFileEarmarkPpt;
+  if (getFileCategory(mimeType) === "archive") return BsFileEarmarkZip;
+  if (mimeType.startsWith("text/")) return BsFileEarmarkText;
+  return BsFileEarmark;
+};
+
+export default function ChatContainer({ currentChat, currentUser, contacts = [], groups = [], socket, presence }) {
   const [messages, setMessages] = useState([]);
   const scrollRef = useRef();
+  const messagesRef = useRef();
+  // "bottom" follows new messages, "preserve" keeps the view steady while older pages are prepended,
+  // "jump" centers a quoted message, "stay" leaves the scroll position alone (edits, receipts)
+  const scrollModeRef = useRef({ mode: "bottom" });
   const [arrivalMessage, setArrivalMessage] = useState(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [deleteMenuId, setDeleteMenuId] = useState(null);
+  const [reactionPickerId, setReactionPickerId] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [forwardingId, setForwardingId] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+
+  const isGroup = currentChat.type === "group";
+  const chatId = currentChat._id;
+  const chatTarget = isGroup ? { conversationId: chatId } : { from: chatId };
+
+  useEffect(() => {
+    let cancelled = false;
+    setConversationId(null);
+    setMessages([]);
+    setHasMore(false);
+    setEditing(null);
+    setDeleteMenuId(null);
+    setReactionPickerId(null);
+    setReplyingTo(null);
+    setForwardingId(null);
+
+    const fetchMessages = async () => {
+      const response = await axios.post(
+        recieveMessageRoute,
+        isGroup ? { conversationId: chatId } : { from: chatId },
+        { headers: getAuthHeaders() }
+      );
+      if (cancelled) {
+        return;
+      }
+      scrollModeRef.current = { mode: "bottom" };
+      setMessages(response.data.messages || response.data);
+      setConversationId(response.data.conversationId);
+      setHasMore(!!response.data.pagination?.hasMore);
+    };
+    fetchMessages();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chatId, isGroup]);
+
+  const loadOlderMessages = async () => {
+    if (!hasMore || loadingOlder || messages.length === 0) {
+      return;
+    }
+
+    setLoadingOlder(true);
+    try {
+      const response = await axios.post(
+        recieveMessageRoute,
+        { ...chatTarget, before: messages[0]._id },
+        { headers: getAuthHeaders() }
+      );
+
+      if (response.data.status) {
+        const container = messagesRef.current;
+        scrollModeRef.current = {
+          mode: "preserve",
+          scrollHeight: container.scrollHeight,
+          scrollTop: container.scrollTop
+        };
+        setMessages((prev) => {
+          const known = new Set(prev.map((message) => message._id));
+          return [
+            ...response.data.messages.filter((message) => !known.has(message._id)),
+            ...prev
+          ];
+        });
+        setHasMore(response.data.pagination.hasMore);
+      }
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Tell the senders this chat has been viewed
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket || !conversationId) {
+      return;
+    }
+
+    const markRead = () => {
+      if (document.visibilityState === "visible") {
+        currentSocket.emit("messages-read", { conversationId });
+      }
+    };
+
+    markRead();
+    document.addEventListener("visibilitychange", markRead);
+    return () => {
+      document.removeEventListener("visibilitychange", markRead);
+    };
+  }, [socket, conversationId]);
+
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
+    }
 
-  useEffect(async () => {
-    const data = await JSON.parse(
-      localStorage.getItem("user")
+    const handleReceipts = ({ receipts }) => {
+      const statuses = new Map(receipts.map((receipt) => [receipt.messageId, receipt.status]));
+      setMessages((prev) =>
+        prev.map((message) =>
+          statuses.has(message._id) ? { ...message, status: statuses.get(message._id) } : message
+        )
+      );
+    };
+
+    currentSocket.on("message-receipts", handleReceipts);
+    return () => {
+      currentSocket.off("message-receipts", handleReceipts);
+    };
+  }, [socket]);
+
+  const applyEdit = (edited) => {
+    setMessages((prev) =>
+      prev.map((message) =>
+        message._id === edited._id
+          ? { ...message, message: edited.message, editedAt: edited.editedAt }
+          : message
+      )
     );
-    const response = await axios.post(recieveMessageRoute, {
-      from: data._id,
-      to: currentChat._id,
-    }, {
-      headers: getAuthHeaders()
+  };
+
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
+    }
+
+    currentSocket.on("message-edited", applyEdit);
+    return () => {
+      currentSocket.off("message-edited", applyEdit);
+    };
+  }, [socket]);
+
+  const applyDelete = ({ messageId, scope, deletedAt }) => {
+    setMessages((prev) =>
+      scope === "me"
+        ? prev.filter((message) => message._id !== messageId)
+        : prev.map((message) =>
+            message._id === messageId
+              ? { ...message, message: { type: message.message.type }, deletedAt }
+              : message
+          )
+    );
+  };
+
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
+    }
+
+    currentSocket.on("message-deleted", applyDelete);
+    return () => {
+      currentSocket.off("message-deleted", applyDelete);
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
+    }
+
+    const handleReactionUpdate = ({ messageId, reactions }) => {
+      setMessages((prev) =>
+        prev.map((message) => (message._id === messageId ? { ...message, reactions } : message))
+      );
+    };
+
+    currentSocket.on("reaction-updated", handleReactionUpdate);
+    return () => {
+      currentSocket.off("reaction-updated", handleReactionUpdate);
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
+    }
+
+    const handlePlayed = ({ messageId, userId }) => {
+      setMessages((prev) =>
+        prev.map((message) =>
+          message._id === messageId && !message.playedBy?.includes(userId)
+            ? { ...message, playedBy: [...(message.playedBy || []), userId] }
+            : message
+        )
+      );
+    };
+
+    currentSocket.on("message-played", handlePlayed);
+    return () => {
+      currentSocket.off("message-played", handlePlayed);
+    };
+  }, [socket]);
+
+  // The sender sees it through the message-played event broadcast to the chat
+  const markPlayed = (messageId) => {
+    socket.current?.emit("message-played", { messageId }, (response) => {
+      if (!response.status) {
+        console.error("Error marking voice message as played:", response.msg);
+      }
     });
-    setMessages(response.data.messages || response.data);
-  }, [currentChat]);
+  };
+
+  // The resulting reactions come back to every member as reaction-updated
+  const toggleReaction = (messageId, emoji) => {
+    setReactionPickerId(null);
+    socket.current?.emit("message-react", { messageId, emoji, action: "toggle" }, (response) => {
+      if (!response.status) {
+        showError(response.msg || "Could not update reaction");
+      }
+    });
+  };
+
+  const showError = (msg) => {
+    toast.error(msg, {
+      position: "bottom-right",
+      autoClose: 5000,
+      pauseOnHover: true,
+      draggable: true,
+      theme: "light"
+    });
+  };
+
+  const deleteMessage = async (messageId, scope) => {
+    setDeleteMenuId(null);
+    try {
+      const response = await axios.delete(`${messagesRoute}/delete/${messageId}`, {
+        headers: getAuthHeaders(),
+        params: { scope }
+      });
+      if (response.data.status && scope === "me") {
+        applyDelete({ messageId, scope });
+      }
+    } catch (error) {
+      showError(error.response?.data?.msg || "Could not delete message");
+    }
+  };
+
+  // Authorized download; the server names the file through Content-Disposition
+  const downloadAttachment = async (message) => {
+    try {
+      const response = await axios.get(`${messagesRoute}/${message._id}/download`, {
+        headers: getAuthHeaders(),
+        responseType: "blob"
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = message.message.file?.name || "download";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showError("Could not download file");
+    }
+  };
+
+  // Copies into the open chat come back through msg-recieve
+  const forwardMessage = async ({ conversationIds, userIds }) => {
+    try {
+      const response = await axios.post(
+        forwardMessagesRoute,
+        { messageIds: [forwardingId], conversationIds, userIds },
+        { headers: getAuthHeaders() }
+      );
+      if (response.data.status) {
+        setForwardingId(null);
+        toast.success("Message forwarded", { position: "bottom-right", autoClose: 2000, theme: "light" });
+      }
+    } catch (error) {
+      showError(error.response?.data?.msg || "Could not forward message");
+    }
+  };
+
+  const saveEdit = async () => {
+    const text = editing.text.trim();
+    const original = messages.find((message) => message._id === editing.id);
+    if (!text || text === original?.message.text) {
+      setEditing(null);
+      return;
+    }
+
+    try {
+      const response = await axios.patch(
+        `${messagesRoute}/${editing.id}`,
+        { text },
+        { headers: getAuthHeaders() }
+      );
+      if (response.data.status) {
+        applyEdit(response.data.message);
+        setEditing(null);
+      }
+    } catch (error) {
+      showError(error.response?.data?.msg || "Could not edit message");
+    }
+  };
+
+  const handleEditKeyDown = (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      saveEdit();
+    } else if (event.key === "Escape") {
+      setEditing(null);
+    }
+  };
+
+  const handleScroll = (event) => {
+    if (event.currentTarget.scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
 
   useEffect(() => {
     const getCurrentChat = async () => {
@@ -35,20 +393,26 @@ export default function ChatContainer({ currentChat, socket }) {
     getCurrentChat();
   }, [currentChat]);
 
-  const handleSendMsg = async (msg, imageFile) => {
-    const data = await JSON.parse(
-      localStorage.getItem("user")
-    );
-    
+  const handleSendMsg = async (msg, imageFile, attachmentFile, voice) => {
     // Create FormData for file upload
     const formData = new FormData();
-    formData.append('to', currentChat._id);
+    formData.append(isGroup ? 'conversationId' : 'to', currentChat._id);
+    if (replyingTo) {
+      formData.append('replyTo', replyingTo._id);
+    }
     if (msg) {
       formData.append('message', msg);
     }
     if (imageFile) {
       formData.append('image', imageFile);
     }
+    if (attachmentFile) {
+      formData.append('file', attachmentFile);
+    }
+    if (voice) {
+      formData.append('audio', voice.blob, `voice.${voice.blob.type.includes('ogg') ? 'ogg' : 'webm'}`);
+      formData.append('audioDuration', voice.duration);
+    }
     
     try {
       const response = await axios.post(sendMessageRoute, formData, {
@@ -62,18 +426,25 @@ export default function ChatContainer({ currentChat, socket }) {
         const newMessage = {
           fromSelf: true,
           message: response.data.message.message,
+          sender: response.data.message.sender,
           time: new Date(),
-          _id: response.data.message._id
+          _id: response.data.message._id,
+          replyTo: response.data.message.replyTo,
+          reactions: response.data.message.reactions,
+          forwarded: false,
+          forwardCount: 0,
+          playedBy: [],
+          status: response.data.message.status
         };
+        setReplyingTo(null);
         
-        setMessages(prev => [...prev, newMessage]);
-        
-        // Emit socket event for real-time messaging
-        socket.current.emit("send-msg", {
-          to: currentChat._id,
-          from: data._id,
-          msg: response.data.message.message
-        });
+        // The server also broadcasts it, so this may race the socket copy
+        scrollModeRef.current = { mode: "bottom" };
+        setMessages(prev =>
+          prev.some((message) => message._id === newMessage._id)
+            ? prev
+            : [...prev, newMessage]
+        );
       }
     } catch (error) {
       console.error("Error sending message:", error);
@@ -81,37 +452,283 @@ export default function ChatContainer({ currentChat, socket }) {
   };
 
   useEffect(() => {
-    if (socket.current) {
-      socket.current.on("msg-recieve", (msg) => {
-        setArrivalMessage({ fromSelf: false, message: msg });
-      });
+    const currentSocket = socket.current;
+    if (!currentSocket) {
+      return;
     }
-  }, []);
+
+    const handleMessageReceive = (stored) => {
+      // Also delivered to the sender's other devices
+      if (!conversationId || stored.conversation !== conversationId) {
+        return;
+      }
+      const fromSelf = stored.sender === currentUser._id;
+      setArrivalMessage({
+        fromSelf,
+        message: stored.message,
+        sender: stored.sender,
+        time: stored.time,
+        _id: stored._id,
+        replyTo: stored.replyTo,
+        reactions: stored.reactions,
+        forwarded: stored.forwarded,
+        forwardCount: stored.forwardCount,
+        playedBy: stored.playedBy,
+        ...(fromSelf ? { status: stored.status } : {})
+      });
+      if (!fromSelf && document.visibilityState === "visible") {
+        currentSocket.emit("messages-read", { conversationId });
+      }
+    };
+
+    currentSocket.on("msg-recieve", handleMessageReceive);
+    return () => {
+      currentSocket.off("msg-recieve", handleMessageReceive);
+    };
+  }, [socket, conversationId, currentUser]);
 
   useEffect(() => {
-    arrivalMessage && setMessages((prev) => [...prev, arrivalMessage]);
+    scrollModeRef.current = { mode: "bottom" };
+    arrivalMessage && setMessages((prev) =>
+      prev.some((message) => message._id === arrivalMessage._id)
+        ? prev
+        : [...prev, arrivalMessage]
+    );
   }, [arrivalMessage]);
 
+  useLayoutEffect(() => {
+    const { mode, scrollHeight, scrollTop, messageId } = scrollModeRef.current;
+    const container = messagesRef.current;
+
+    if (mode === "preserve" && container) {
+      // Keep the message that was on screen in place after older ones are prepended
+      container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+    } else if (mode === "jump" && container) {
+      container
+        .querySelector(`[data-message-id="${messageId}"]`)
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    } else if (mode === "bottom") {
+      scrollRef.current?.scrollIntoView({ behavior: "smooth" });
+    }
+    scrollModeRef.current = { mode: "stay" };
+  }, [messages, highlightedId]);
+
   useEffect(() => {
-    scrollRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+    if (!highlightedId) {
+      return;
+    }
+    const timer = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // Page back through history until the quoted message is loaded, then scroll to it
+  const jumpToMessage = async (messageId) => {
+    let loaded = messages;
+    let more = hasMore;
+
+    try {
+      while (!loaded.some((message) => message._id === messageId) && more && loaded.length > 0) {
+        const response = await axios.post(
+          recieveMessageRoute,
+          { ...chatTarget, before: loaded[0]._id, limit: 100 },
+          { headers: getAuthHeaders() }
+        );
+        if (!response.data.status) {
+          break;
+        }
+        loaded = [...response.data.messages, ...loaded];
+        more = response.data.pagination.hasMore;
+      }
+    } catch (error) {
+      console.error("Error loading quoted message:", error);
+    }
+
+    if (!loaded.some((message) => message._id === messageId)) {
+      showError("The original message is no longer available");
+      return;
+    }
+
+    scrollModeRef.current = { mode: "jump", messageId };
+    if (loaded !== messages) {
+      const older = loaded.slice(0, loaded.length - messages.length);
+      setMessages((prev) => {
+        const known = new Set(prev.map((message) => message._id));
+        return [...older.filter((message) => !known.has(message._id)), ...prev];
+      });
+      setHasMore(more);
+    }
+    setHighlightedId(messageId);
+  };
+
+  const getDisplayName = (senderId) => {
+    if (senderId === currentUser._id) {
+      return "You";
+    }
+    return isGroup ? getSenderName(senderId) : currentChat.username;
+  };
+
+  const describeContent = ({ text, type, file }) => {
+    if (type === "file") {
+      return text || `📎 ${file?.name || "File"}`;
+    }
+    if (type === "audio") {
+      return "🎤 Voice message";
+    }
+    return text || (type === "image" || type === "mixed" ? "📷 Photo" : "");
+  };
+
+  const getSenderName = (senderId) => {
+    const member = currentChat.members?.find((entry) => entry.user._id === senderId);
+    return member ? member.user.username : "Former member";
+  };
+
+  const renderStatus = (status) => {
+    if (status === "read") {
+      return <BsCheckAll className="status read" title="Read" />;
+    }
+    if (status === "delivered") {
+      return <BsCheckAll className="status" title="Delivered" />;
+    }
+    return <BsCheck className="status" title="Sent" />;
+  };
 
   const renderMessage = (message) => {
-    const { text, image, type } = message.message;
+    const { text, image, file, audio, type } = message.message;
+    const FileIcon = getFileIcon(file?.mimeType);
+    const isEditing = editing?.id === message._id;
+    const isDeleted = !!message.deletedAt;
+    const canEdit = message.fromSelf && !isDeleted && (type === "text" || type === "mixed");
     
     return (
       <div className="message-content">
-        {text && <p>{text}</p>}
-        {image && (
-          <div className="message-image">
-            <img 
-              src={`http://localhost:5000${image}`} 
-              alt="Message" 
-              onClick={() => window.open(`http://localhost:5000${image}`, '_blank')}
+        {isGroup && !message.fromSelf && (
+          <span className="sender-name">{getSenderName(message.sender)}</span>
+        )}
+        {message.forwarded && !isDeleted && (
+          <span className="forwarded-label">
+            <BsArrow90DegRight />
+            {message.forwardCount >= FREQUENTLY_FORWARDED ? "Forwarded many times" : "Forwarded"}
+          </span>
+        )}
+        {message.replyTo && (
+          <div className="quote" onClick={() => jumpToMessage(message.replyTo.messageId)}>
+            <span className="quote-sender">{getDisplayName(message.replyTo.sender)}</span>
+            <span className="quote-text">{describeContent(message.replyTo)}</span>
+          </div>
+        )}
+        {!isEditing && (
+          <div className="message-actions">
+            {!isDeleted && (
+              <button
+                title="React"
+                onClick={() => setReactionPickerId(reactionPickerId === message._id ? null : message._id)}
+              >
+                <BsEmojiSmile />
+              </button>
+            )}
+            {!isDeleted && (
+              <button title="Reply" onClick={() => setReplyingTo(message)}>
+                <BsReply />
+              </button>
+            )}
+            {!isDeleted && (
+              <button title="Forward" onClick={() => setForwardingId(message._id)}>
+                <BsArrow90DegRight />
+              </button>
+            )}
+            {canEdit && (
+              <button title="Edit message" onClick={() => setEditing({ id: message._id, text })}>
+                <BsPencil />
+              </button>
+            )}
+            <button
+              title="Delete message"
+              onClick={() => setDeleteMenuId(deleteMenuId === message._id ? null : message._id)}
+            >
+              <BsTrash />
+            </button>
+          </div>
+        )}
+        {reactionPickerId === message._id && (
+          <div className="reaction-picker">
+            {QUICK_REACTIONS.map((emoji) => (
+              <button key={emoji} onClick={() => toggleReaction(message._id, emoji)}>
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+        {deleteMenuId === message._id && (
+          <div className="delete-menu">
+            <button onClick={() => deleteMessage(message._id, "me")}>Delete for me</button>
+            {message.fromSelf && !isDeleted && (
+              <button onClick={() => deleteMessage(message._id, "everyone")}>Delete for everyone</button>
+            )}
+          </div>
+        )}
+        {isDeleted && <p className="tombstone">🚫 This message was deleted</p>}
+        {isEditing ? (
+          <div className="edit-box">
+            <textarea
+              value={editing.text}
+              onChange={(event) => setEditing({ ...editing, text: event.target.value })}
+              onKeyDown={handleEditKeyDown}
+              autoFocus
             />
+            <div className="edit-actions">
+              <button onClick={() => setEditing(null)}>Cancel</button>
+              <button className="save" onClick={saveEdit}>Save</button>
+            </div>
+          </div>
+        ) : (
+          text && <p>{text}</p>
+        )}
+        {file && !isDeleted && (
+          <div className="file-card" onClick={() => downloadAttachment(message)} title="Download">
+            <FileIcon className="file-icon" />
+            <div className="file-details">
+              <span className="file-name">{file.name}</span>
+              <span className="file-size">{formatFileSize(file.size)}</span>
+            </div>
+          </div>
+        )}
+        {audio && !isDeleted && (
+          <VoicePlayer
+            audio={audio}
+            unplayed={!message.fromSelf && !message.playedBy?.includes(currentUser._id)}
+            onFirstPlay={() => markPlayed(message._id)}
+          />
+        )}
+        {image && (
+          <MessageImage
+            image={image}
+            imageUrl={message.message.imageUrl}
+            meta={message.message.imageMeta}
+          />
+        )}
+        <span className="time">
+          {message.editedAt && <span className="edited">edited</span>}
+          {new Date(message.time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+          {message.fromSelf && renderStatus(message.status)}
+        </span>
+        {message.reactions?.length > 0 && (
+          <div className="reactions">
+            {message.reactions.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                className={`chip ${reaction.users.includes(currentUser._id) ? "mine" : ""}`}
+                onClick={() => toggleReaction(message._id, reaction.emoji)}
+              >
+                {reaction.emoji} {reaction.users.length}
+                <span className="who-reacted">
+                  {reaction.users.map((userId) => (
+                    <span key={userId}>{getDisplayName(userId)}</span>
+                  ))}
+                </span>
+              </button>
+            ))}
           </div>
         )}
-        <span className="time">{new Date(message.time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
       </div>
     );
   };
@@ -127,20 +744,31 @@ export default function ChatContainer({ currentChat, socket }) {
             />
           </div>
           <div className="user-info">
-            <h3>{currentChat.username}</h3>
-            <p>Online</p>
+            <h3>{isGroup ? currentChat.name : currentChat.username}</h3>
+            {isGroup ? (
+              <p>
+                {currentChat.members
+                  .map((member) => member.user.username)
+                  .join(", ")}
+              </p>
+            ) : (
+              <p className={presence?.status === "online" ? "online" : ""}>
+                {formatPresence(presence)}
+              </p>
+            )}
           </div>
         </div>
         <Logout />
       </div>
-      <div className="chat-messages">
+      <div className="chat-messages" ref={messagesRef} onScroll={handleScroll}>
+        {loadingOlder && <div className="loading-older">Loading earlier messages...</div>}
         {messages.map((message) => {
           return (
-            <div ref={scrollRef} key={uuidv4()}>
+            <div ref={scrollRef} key={message._id} data-message-id={message._id}>
               <div
                 className={`message ${
                   message.fromSelf ? "sended" : "recieved"
-                }`}
+                } ${message._id === highlightedId ? "highlighted" : ""}`}
               >
                 {renderMessage(message)}
               </div>
@@ -148,7 +776,25 @@ export default function ChatContainer({ currentChat, socket }) {
           );
         })}
       </div>
-      <ChatInput handleSendMsg={handleSendMsg} />
+      <ChatInput
+        handleSendMsg={handleSendMsg}
+        replyingTo={
+          replyingTo && {
+            senderName: getDisplayName(replyingTo.sender),
+            text: describeContent(replyingTo.message)
+          }
+        }
+        onCancelReply={() => setReplyingTo(null)}
+      />
+      {forwardingId && (
+        <ForwardModal
+          contacts={contacts}
+          groups={groups}
+          onForward={forwardMessage}
+          onClose={() => setForwardingId(null)}
+        />
+      )}
+      <ToastContainer />
     </Container>
   );
 }
@@ -195,10 +841,14 @@ const Container = styled.div`
         }
         
         p {
-          color: #25D366;
+          color: #667781;
           font-size: 12px;
           margin: 0;
           font-weight: 500;
+          
+          &.online {
+            color: #25D366;
+          }
         }
       }
     }
@@ -223,6 +873,15 @@ const Container = styled.div`
       }
     }
     
+    .loading-older {
+      align-self: center;
+      font-size: 12px;
+      color: #667781;
+      background-color: white;
+      padding: 4px 12px;
+      border-radius: 8px;
+    }
+    
     .message {
       display: flex;
       align-items: flex-end;
@@ -241,28 +900,267 @@ const Container = styled.div`
           line-height: 1.4;
         }
         
-        .message-image {
-          margin: 4px 0;
+        .message-actions {
+          display: none;
+          position: absolute;
+          top: 4px;
+          right: 4px;
+          gap: 2px;
           
-          img {
-            max-width: 100%;
-            max-height: 300px;
-            border-radius: 4px;
+          button {
+            border: none;
+            background: transparent;
+            color: #667781;
+            cursor: pointer;
+            padding: 2px;
+            font-size: 12px;
+          }
+        }
+        
+        &:hover .message-actions {
+          display: flex;
+        }
+        
+        .delete-menu {
+          position: absolute;
+          top: 24px;
+          right: 4px;
+          z-index: 1;
+          display: flex;
+          flex-direction: column;
+          background-color: white;
+          border-radius: 6px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+          overflow: hidden;
+          
+          button {
+            border: none;
+            background: transparent;
+            text-align: left;
+            padding: 8px 12px;
+            font-size: 13px;
+            white-space: nowrap;
+            cursor: pointer;
+            
+            &:hover {
+              background-color: #f5f6f6;
+            }
+          }
+        }
+        
+        .reaction-picker {
+          position: absolute;
+          top: -36px;
+          right: 4px;
+          z-index: 1;
+          display: flex;
+          gap: 2px;
+          background-color: white;
+          border-radius: 18px;
+          padding: 4px 6px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+          
+          button {
+            border: none;
+            background: transparent;
+            font-size: 18px;
             cursor: pointer;
-            transition: opacity 0.2s ease;
+            border-radius: 50%;
+            padding: 2px;
             
             &:hover {
-              opacity: 0.8;
+              background-color: #f0f2f5;
             }
           }
         }
         
+        .reactions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+          margin-top: 4px;
+          
+          .chip {
+            position: relative;
+            border: 1px solid #e9edef;
+            background-color: white;
+            border-radius: 12px;
+            padding: 1px 8px;
+            font-size: 12px;
+            cursor: pointer;
+            
+            &.mine {
+              border-color: #25D366;
+              background-color: #e7fce3;
+            }
+            
+            .who-reacted {
+              display: none;
+              position: absolute;
+              bottom: calc(100% + 4px);
+              left: 0;
+              z-index: 1;
+              flex-direction: column;
+              align-items: flex-start;
+              background-color: #111b21;
+              color: white;
+              border-radius: 6px;
+              padding: 6px 10px;
+              white-space: nowrap;
+            }
+            
+            &:hover .who-reacted {
+              display: flex;
+            }
+          }
+        }
+        
+        .file-card {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          min-width: 220px;
+          background-color: rgba(0, 0, 0, 0.05);
+          border-radius: 6px;
+          padding: 8px 10px;
+          margin: 4px 0;
+          cursor: pointer;
+          
+          &:hover {
+            background-color: rgba(0, 0, 0, 0.08);
+          }
+          
+          .file-icon {
+            font-size: 30px;
+            color: #128C7E;
+            flex-shrink: 0;
+          }
+          
+          .file-details {
+            display: flex;
+            flex-direction: column;
+            min-width: 0;
+            
+            .file-name {
+              font-size: 13px;
+              font-weight: 500;
+              overflow: hidden;
+              white-space: nowrap;
+              text-overflow: ellipsis;
+            }
+            
+            .file-size {
+              font-size: 11px;
+              color: #667781;
+            }
+          }
+        }
+        
+        .forwarded-label {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 12px;
+          font-style: italic;
+          color: #667781;
+          margin-bottom: 2px;
+        }
+        
+        .quote {
+          display: flex;
+          flex-direction: column;
+          background-color: rgba(0, 0, 0, 0.05);
+          border-left: 4px solid #128C7E;
+          border-radius: 4px;
+          padding: 4px 8px;
+          margin-bottom: 4px;
+          cursor: pointer;
+          
+          .quote-sender {
+            font-size: 12px;
+            font-weight: 600;
+            color: #128C7E;
+          }
+          
+          .quote-text {
+            font-size: 13px;
+            color: #667781;
+            overflow: hidden;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+          }
+        }
+        
+        .tombstone {
+          font-style: italic;
+          color: #667781;
+        }
+        
+        .edit-box {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          min-width: 200px;
+          
+          textarea {
+            font: inherit;
+            resize: vertical;
+            border: 1px solid #d1d7db;
+            border-radius: 4px;
+            padding: 4px 6px;
+          }
+          
+          .edit-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 6px;
+            
+            button {
+              border: none;
+              border-radius: 4px;
+              padding: 2px 10px;
+              font-size: 12px;
+              cursor: pointer;
+              background-color: #e9edef;
+              
+              &.save {
+                background-color: #25D366;
+                color: white;
+              }
+            }
+          }
+        }
+        
+        .sender-name {
+          display: block;
+          font-size: 12px;
+          font-weight: 600;
+          color: #128C7E;
+          margin-bottom: 2px;
+        }
+        
         .time {
           font-size: 11px;
           opacity: 0.7;
-          display: block;
-          text-align: right;
+          display: flex;
+          align-items: center;
+          justify-content: flex-end;
+          gap: 2px;
           margin-top: 4px;
+          
+          .edited {
+            font-style: italic;
+            margin-right: 4px;
+          }
+          
+          .status {
+            font-size: 16px;
+            color: #667781;
+            
+            &.read {
+              color: #53bdeb;
+            }
+          }
         }
         
         @media screen and (min-width: 720px) and (max-width: 1080px) {
@@ -271,6 +1169,10 @@ const Container = styled.div`
       }
     }
     
+    .highlighted .message-content {
+      box-shadow: 0 0 0 2px #25D366;
+    }
+    
     .sended {
       justify-content: flex-end;
       
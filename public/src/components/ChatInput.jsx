@@ -1,21 +1,140 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import styled from "styled-components";
 import { IoSend } from "react-icons/io5";
-import { IoImage } from "react-icons/io5";
+import { IoImage, IoAttach, IoDocumentText, IoMic } from "react-icons/io5";
+import { ACCEPTED_FILE_TYPES, formatFileSize, validateAttachment } from "../utils/attachments";
 
-export default function ChatInput({ handleSendMsg }) {
+// Shorter presses are treated as accidental taps
+const MIN_RECORDING_SECONDS = 1;
+// Keep in sync with the voice message limit on the server
+const MAX_RECORDING_SECONDS = 300;
+
+export default function ChatInput({ handleSendMsg, replyingTo, onCancelReply }) {
   const [msg, setMsg] = useState("");
   const [selectedImage, setSelectedImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
   const fileInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
+  const [recordingSeconds, setRecordingSeconds] = useState(null);
+  const recorderRef = useRef(null);
+  const holdingRef = useRef(false);
+  const cancelledRef = useRef(false);
+  const timerRef = useRef(null);
+
+  // Release the microphone if the chat is closed mid-recording
+  useEffect(() => {
+    return () => {
+      clearInterval(timerRef.current);
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== "inactive") {
+        cancelledRef.current = true;
+        recorder.stop();
+      }
+    };
+  }, []);
+
+  // Push to talk: recording runs while the mic button is held and is sent on release
+  const startRecording = async () => {
+    if (recorderRef.current) {
+      return;
+    }
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+      alert("Voice messages are not supported in this browser");
+      return;
+    }
+
+    holdingRef.current = true;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      holdingRef.current = false;
+      alert("Microphone access is needed to record voice messages");
+      return;
+    }
+
+    // Released while the permission prompt was open
+    if (!holdingRef.current) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const startedAt = Date.now();
+    recorderRef.current = recorder;
+    cancelledRef.current = false;
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      recorderRef.current = null;
+      const duration = (Date.now() - startedAt) / 1000;
+      if (cancelledRef.current || duration < MIN_RECORDING_SECONDS || chunks.length === 0) {
+        return;
+      }
+      const blob = new Blob(chunks, { type: recorder.mimeType || "audio/webm" });
+      handleSendMsg("", null, null, { blob, duration: Math.round(duration * 10) / 10 });
+    };
+
+    recorder.start();
+    setRecordingSeconds(0);
+    timerRef.current = setInterval(() => {
+      const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+      setRecordingSeconds(elapsed);
+      if (elapsed >= MAX_RECORDING_SECONDS) {
+        stopRecording();
+      }
+    }, 250);
+  };
+
+  const stopRecording = (cancel = false) => {
+    holdingRef.current = false;
+    clearInterval(timerRef.current);
+    setRecordingSeconds(null);
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== "inactive") {
+      cancelledRef.current = cancel;
+      recorder.stop();
+    }
+  };
 
   const sendChat = async (event) => {
     event.preventDefault();
-    if (msg.length > 0 || selectedImage) {
-      await handleSendMsg(msg, selectedImage);
+    if (msg.length > 0 || selectedImage || selectedFile) {
+      await handleSendMsg(msg, selectedImage, selectedFile);
       setMsg("");
       setSelectedImage(null);
       setImagePreview(null);
+      removeFile();
+    }
+  };
+
+  const handleFileSelect = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const error = validateAttachment(file);
+      if (error) {
+        alert(error);
+        event.target.value = '';
+        return;
+      }
+
+      // One attachment per message
+      removeImage();
+      setSelectedFile(file);
+    }
+  };
+
+  const removeFile = () => {
+    setSelectedFile(null);
+    if (attachmentInputRef.current) {
+      attachmentInputRef.current.value = '';
     }
   };
 
@@ -34,6 +153,7 @@ export default function ChatInput({ handleSendMsg }) {
         return;
       }
 
+      removeFile();
       setSelectedImage(file);
       
       // Create preview
@@ -56,15 +176,44 @@ export default function ChatInput({ handleSendMsg }) {
   return (
     <Container>
       <form onSubmit={(event) => sendChat(event)}>
+        {replyingTo && (
+          <div className="reply-preview">
+            <div className="reply-content">
+              <span className="reply-sender">Replying to {replyingTo.senderName}</span>
+              <span className="reply-text">{replyingTo.text}</span>
+            </div>
+            <button type="button" onClick={onCancelReply} className="remove-btn" title="Cancel reply">
+              ×
+            </button>
+          </div>
+        )}
+        
         <div className="input-container">
-          <input
-            type="text"
-            placeholder="Type a message..."
-            onChange={(e) => setMsg(e.target.value)}
-            value={msg}
-          />
+          {recordingSeconds !== null ? (
+            <div className="recording-status">
+              <span className="recording-dot" />
+              {Math.floor(recordingSeconds / 60)}:{String(recordingSeconds % 60).padStart(2, "0")}
+              <span className="recording-hint">Release to send, slide away to cancel</span>
+            </div>
+          ) : (
+            <input
+              type="text"
+              placeholder="Type a message..."
+              onChange={(e) => setMsg(e.target.value)}
+              value={msg}
+            />
+          )}
           
           <div className="action-buttons">
+            <button
+              type="button"
+              className="image-btn"
+              onClick={() => attachmentInputRef.current?.click()}
+              title="Attach file"
+            >
+              <IoAttach />
+            </button>
+            
             <button
               type="button"
               className="image-btn"
@@ -74,9 +223,23 @@ export default function ChatInput({ handleSendMsg }) {
               <IoImage />
             </button>
             
-            <button type="submit" className="send-btn" title="Send message">
-              <IoSend />
-            </button>
+            {msg.length > 0 || selectedImage || selectedFile ? (
+              <button type="submit" className="send-btn" title="Send message">
+                <IoSend />
+              </button>
+            ) : (
+              <button
+                type="button"
+                className={`mic-btn ${recordingSeconds !== null ? "recording" : ""}`}
+                onPointerDown={startRecording}
+                onPointerUp={() => stopRecording()}
+                onPointerLeave={() => recordingSeconds !== null && stopRecording(true)}
+                onContextMenu={(event) => event.preventDefault()}
+                title="Hold to record a voice message"
+              >
+                <IoMic />
+              </button>
+            )}
           </div>
         </div>
         
@@ -88,6 +251,27 @@ export default function ChatInput({ handleSendMsg }) {
           style={{ display: 'none' }}
         />
         
+        <input
+          type="file"
+          ref={attachmentInputRef}
+          onChange={handleFileSelect}
+          accept={ACCEPTED_FILE_TYPES}
+          style={{ display: 'none' }}
+        />
+        
+        {selectedFile && (
+          <div className="file-preview">
+            <IoDocumentText className="file-icon" />
+            <div className="file-details">
+              <span className="file-name">{selectedFile.name}</span>
+              <span className="file-size">{formatFileSize(selectedFile.size)}</span>
+            </div>
+            <button type="button" onClick={removeFile} className="remove-btn" title="Remove file">
+              ×
+            </button>
+          </div>
+        )}
+        
         {imagePreview && (
           <div className="image-preview">
             <img src={imagePreview} alt="Preview" />
@@ -164,8 +348,124 @@ const Container = styled.div`
           color: #25D366;
           font-size: 18px;
         }
+        
+        &.mic-btn {
+          color: #54656f;
+          font-size: 20px;
+          touch-action: none;
+          
+          &.recording {
+            color: white;
+            background-color: #dc3545;
+          }
+        }
+      }
+    }
+  }
+  
+  .recording-status {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 14px;
+    color: #111b21;
+    
+    .recording-dot {
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background-color: #dc3545;
+    }
+    
+    .recording-hint {
+      font-size: 12px;
+      color: #667781;
+    }
+  }
+  
+  .reply-preview {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    background: white;
+    border-left: 4px solid #128C7E;
+    border-radius: 8px;
+    padding: 6px 12px;
+    
+    .reply-content {
+      flex: 1;
+      min-width: 0;
+      display: flex;
+      flex-direction: column;
+      
+      .reply-sender {
+        font-size: 12px;
+        font-weight: 600;
+        color: #128C7E;
+      }
+      
+      .reply-text {
+        font-size: 13px;
+        color: #667781;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+    }
+    
+    .remove-btn {
+      background: none;
+      border: none;
+      color: #667781;
+      font-size: 20px;
+      cursor: pointer;
+    }
+  }
+  
+  .file-preview {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    max-width: 320px;
+    background: white;
+    border: 1px solid #e9edef;
+    border-radius: 8px;
+    padding: 8px 12px;
+    
+    .file-icon {
+      font-size: 28px;
+      color: #128C7E;
+      flex-shrink: 0;
+    }
+    
+    .file-details {
+      flex: 1;
+      min-width: 0;
+      display: flex;
+      flex-direction: column;
+      
+      .file-name {
+        font-size: 13px;
+        color: #111b21;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+      
+      .file-size {
+        font-size: 12px;
+        color: #667781;
       }
     }
+    
+    .remove-btn {
+      background: none;
+      border: none;
+      color: #667781;
+      font-size: 20px;
+      cursor: pointer;
+    }
   }
   
   .image-preview {
@@ -1,7 +1,18 @@
 import React, { useState, useEffect } from "react";
 import styled from "styled-components";
+import { formatPresence } from "../utils/presence";
 
-export default function Contacts({ contacts, changeChat }) {
+// Today shows the time, older messages the date
+const formatLastMessageTime = (time) => {
+  const date = new Date(time);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+  return date.toLocaleDateString();
+};
+
+export default function Contacts({ contacts, groups = [], changeChat, presence = {}, summaries = {} }) {
+  const [currentUserId, setCurrentUserId] = useState(undefined);
   const [currentUserName, setCurrentUserName] = useState(undefined);
   const [currentUserImage, setCurrentUserImage] = useState(undefined);
   const [currentSelected, setCurrentSelected] = useState(undefined);
@@ -11,6 +22,7 @@ export default function Contacts({ contacts, changeChat }) {
     if (userData) {
       try {
         const user = JSON.parse(userData);
+        setCurrentUserId(user._id);
         setCurrentUserName(user.username);
         // Set default avatar if none exists
         setCurrentUserImage(user.avatarImage || "https://api.dicebear.com/7.x/avataaars/svg?seed=default");
@@ -20,8 +32,26 @@ export default function Contacts({ contacts, changeChat }) {
     }
   }, []);
   
-  const changeCurrentChat = (index, contact) => {
-    setCurrentSelected(index);
+  // Groups and contacts in one list, most recent activity first; chats without messages keep their order
+  const chats = [
+    ...groups.map((group) => ({ chat: group, isGroup: true })),
+    ...contacts.map((contact) => ({ chat: contact, isGroup: false }))
+  ]
+    .map((entry, index) => ({ ...entry, index }))
+    .sort((a, b) => {
+      const timeA = summaries[a.chat._id]?.lastMessageTime;
+      const timeB = summaries[b.chat._id]?.lastMessageTime;
+      if (timeA && timeB) {
+        return new Date(timeB) - new Date(timeA);
+      }
+      if (timeA || timeB) {
+        return timeA ? -1 : 1;
+      }
+      return a.index - b.index;
+    });
+
+  const changeCurrentChat = (contact) => {
+    setCurrentSelected(contact._id);
     changeChat(contact);
   };
   
@@ -38,24 +68,46 @@ export default function Contacts({ contacts, changeChat }) {
             <h3>Chats</h3>
           </div>
           <div className="contacts">
-            {contacts.map((contact, index) => {
+            {chats.map(({ chat, isGroup }) => {
+              const summary = summaries[chat._id] || {};
+              const fallback = isGroup ? `${chat.members.length} members` : "Tap to start chatting";
               return (
                 <div
-                  key={contact._id}
+                  key={chat._id}
                   className={`contact ${
-                    index === currentSelected ? "selected" : ""
+                    chat._id === currentSelected ? "selected" : ""
                   }`}
-                  onClick={() => changeCurrentChat(index, contact)}
+                  onClick={() => changeCurrentChat(chat)}
                 >
                   <div className="avatar">
                     <img
-                      src={contact.avatarImage || "https://api.dicebear.com/7.x/avataaars/svg?seed=default"}
+                      src={
+                        chat.avatarImage ||
+                        (isGroup
+                          ? `https://api.dicebear.com/7.x/shapes/svg?seed=${chat._id}`
+                          : "https://api.dicebear.com/7.x/avataaars/svg?seed=default")
+                      }
                       alt=""
                     />
+                    {!isGroup && presence[chat._id]?.status === "online" && (
+                      <span className="online-dot" title="Online" />
+                    )}
                   </div>
                   <div className="contact-info">
-                    <h3>{contact.username}</h3>
-                    <p>Tap to start chatting</p>
+                    <div className="title-row">
+                      <h3>{isGroup ? chat.name : chat.username}</h3>
+                      {summary.lastMessageTime && (
+                        <span className={`last-time ${summary.unreadCount > 0 ? "unread" : ""}`}>
+                          {formatLastMessageTime(summary.lastMessageTime)}
+                        </span>
+                      )}
+                    </div>
+                    <div className="preview-row">
+                      <p>{summary.lastMessage || fallback}</p>
+                      {summary.unreadCount > 0 && (
+                        <span className="badge">{summary.unreadCount > 99 ? "99+" : summary.unreadCount}</span>
+                      )}
+                    </div>
                   </div>
                 </div>
               );
@@ -70,7 +122,7 @@ export default function Contacts({ contacts, changeChat }) {
             </div>
             <div className="user-info">
               <h2>{currentUserName}</h2>
-              <p>Online</p>
+              <p>{formatPresence(presence[currentUserId]) || "Connecting..."}</p>
             </div>
           </div>
         </Container>
@@ -140,16 +192,38 @@ const Container = styled.div`
       }
       
       .avatar {
+        position: relative;
+        
         img {
           height: 40px;
           width: 40px;
           border-radius: 50%;
           object-fit: cover;
         }
+        
+        .online-dot {
+          position: absolute;
+          right: 0;
+          bottom: 2px;
+          height: 10px;
+          width: 10px;
+          border-radius: 50%;
+          background-color: #25D366;
+          border: 2px solid white;
+        }
       }
       
       .contact-info {
         flex: 1;
+        min-width: 0;
+        
+        .title-row,
+        .preview-row {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+        }
         
         h3 {
           color: #111b21;
@@ -162,6 +236,34 @@ const Container = styled.div`
           color: #667781;
           font-size: 14px;
           margin: 0;
+          overflow: hidden;
+          white-space: nowrap;
+          text-overflow: ellipsis;
+        }
+        
+        .last-time {
+          color: #667781;
+          font-size: 12px;
+          flex-shrink: 0;
+          
+          &.unread {
+            color: #25D366;
+          }
+        }
+        
+        .badge {
+          background-color: #25D366;
+          color: white;
+          font-size: 12px;
+          font-weight: 600;
+          min-width: 20px;
+          height: 20px;
+          padding: 0 6px;
+          border-radius: 10px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          flex-shrink: 0;
         }
       }
     }
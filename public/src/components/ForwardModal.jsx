@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import styled from "styled-components";
+
+// Keep in sync with MESSAGE_FORWARD_MAX_TARGETS on the server
+const MAX_FORWARD_TARGETS = 5;
+
+export default function ForwardModal({ contacts, groups, onForward, onClose }) {
+  const [selected, setSelected] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const targets = [
+    ...groups.map((group) => ({ id: group._id, name: group.name, isGroup: true })),
+    ...contacts.map((contact) => ({ id: contact._id, name: contact.username, isGroup: false }))
+  ];
+
+  const toggleTarget = (target) => {
+    setSelected((prev) => {
+      if (prev.some((entry) => entry.id === target.id)) {
+        return prev.filter((entry) => entry.id !== target.id);
+      }
+      return prev.length < MAX_FORWARD_TARGETS ? [...prev, target] : prev;
+    });
+  };
+
+  const handleForward = async () => {
+    setSending(true);
+    try {
+      await onForward({
+        conversationIds: selected.filter((target) => target.isGroup).map((target) => target.id),
+        userIds: selected.filter((target) => !target.isGroup).map((target) => target.id)
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Overlay onClick={onClose}>
+      <div className="modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Forward to</h3>
+          <span>
+            {selected.length}/{MAX_FORWARD_TARGETS}
+          </span>
+        </div>
+        <div className="targets">
+          {targets.map((target) => {
+            const checked = selected.some((entry) => entry.id === target.id);
+            return (
+              <label
+                key={target.id}
+                className={!checked && selected.length >= MAX_FORWARD_TARGETS ? "disabled" : ""}
+              >
+                <input type="checkbox" checked={checked} onChange={() => toggleTarget(target)} />
+                {target.name}
+                {target.isGroup && <span className="group-tag">Group</span>}
+              </label>
+            );
+          })}
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button
+            className="primary"
+            onClick={handleForward}
+            disabled={selected.length === 0 || sending}
+          >
+            Forward
+          </button>
+        </div>
+      </div>
+    </Overlay>
+  );
+}
+
+const Overlay = styled.div`
+  position: fixed;
+  inset: 0;
+  z-index: 10;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  background-color: rgba(0, 0, 0, 0.4);
+
+  .modal {
+    width: 360px;
+    max-height: 70vh;
+    display: flex;
+    flex-direction: column;
+    background-color: white;
+    border-radius: 12px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+    overflow: hidden;
+  }
+
+  .modal-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 16px 20px;
+    border-bottom: 1px solid #e9edef;
+
+    h3 {
+      margin: 0;
+      font-size: 16px;
+      color: #111b21;
+    }
+
+    span {
+      font-size: 12px;
+      color: #667781;
+    }
+  }
+
+  .targets {
+    flex: 1;
+    overflow: auto;
+    padding: 8px 0;
+
+    label {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px 20px;
+      font-size: 14px;
+      color: #111b21;
+      cursor: pointer;
+
+      &:hover {
+        background-color: #f5f6f6;
+      }
+
+      &.disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .group-tag {
+        font-size: 11px;
+        color: #128C7E;
+        border: 1px solid #128C7E;
+        border-radius: 8px;
+        padding: 0 6px;
+      }
+    }
+  }
+
+  .modal-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    padding: 12px 20px;
+    border-top: 1px solid #e9edef;
+
+    button {
+      padding: 6px 14px;
+      border: none;
+      border-radius: 6px;
+      font-size: 13px;
+      cursor: pointer;
+      background-color: #e9edef;
+
+      &.primary {
+        background-color: #25D366;
+        color: white;
+      }
+
+      &:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+    }
+  }
+`;
@@ -2,22 +2,14 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { BiPowerOff } from "react-icons/bi";
 import styled from "styled-components";
+import { logout } from "../utils/auth";
 
 export default function Logout() {
   const navigate = useNavigate();
   
   const handleClick = async () => {
-    try {
-      // Clear localStorage
-      localStorage.clear();
-      // Navigate to login page
-      navigate("/login");
-    } catch (error) {
-      console.error("Logout error:", error);
-      // Even if there's an error, clear localStorage and navigate
-      localStorage.clear();
-      navigate("/login");
-    }
+    await logout();
+    navigate("/login");
   };
   
   return (
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import styled from "styled-components";
+import { resolveMediaUrl, useSignedMedia } from "../utils/media";
+
+// Longest edge of an image in the chat bubble, in CSS pixels
+const MAX_DISPLAY_EDGE = 300;
+
+// Shows the thumbnail over a blurred placeholder; the full-size original only loads when opened
+export default function MessageImage({ image, imageUrl, meta }) {
+  const [loaded, setLoaded] = useState(false);
+  const thumbnails = meta?.thumbnails || [];
+  const { urlFor, refresh, handleError } = useSignedMedia({
+    [image]: imageUrl,
+    ...Object.fromEntries(thumbnails.map((thumbnail) => [thumbnail.key, thumbnail.url]))
+  });
+
+  const openOriginal = () => {
+    // Opened synchronously so popup blockers allow it, then pointed at a freshly signed link
+    const popup = window.open("", "_blank");
+    refresh()
+      .then((urls) => {
+        if (popup && urls[image]) {
+          popup.location.href = resolveMediaUrl(urls[image]);
+        } else {
+          popup?.close();
+        }
+      })
+      .catch(() => popup?.close());
+  };
+
+  // Sent before thumbnails were generated
+  if (thumbnails.length === 0) {
+    return (
+      <Container>
+        <img
+          className="legacy"
+          src={urlFor(image)}
+          alt="Message"
+          onClick={openOriginal}
+          onError={handleError}
+        />
+      </Container>
+    );
+  }
+
+  const { width, height, placeholder } = meta;
+  const scale = Math.min(MAX_DISPLAY_EDGE / width, MAX_DISPLAY_EDGE / height, 1);
+  const srcSet = thumbnails
+    .map((thumbnail) => `${urlFor(thumbnail.key)} ${thumbnail.width}w`)
+    .join(", ");
+
+  return (
+    <Container>
+      <div
+        className="frame"
+        style={{ width: Math.round(width * scale), aspectRatio: `${width} / ${height}` }}
+        onClick={openOriginal}
+        title="Open original"
+      >
+        {placeholder && !loaded && <img className="placeholder" src={placeholder} alt="" />}
+        <img
+          className={loaded ? "thumbnail loaded" : "thumbnail"}
+          src={urlFor(thumbnails[0].key)}
+          srcSet={srcSet}
+          sizes={`${Math.round(width * scale)}px`}
+          width={width}
+          height={height}
+          alt="Message"
+          onLoad={() => setLoaded(true)}
+          onError={handleError}
+        />
+      </div>
+    </Container>
+  );
+}
+
+const Container = styled.div`
+  margin: 4px 0;
+
+  .legacy {
+    max-width: 100%;
+    max-height: ${MAX_DISPLAY_EDGE}px;
+    border-radius: 4px;
+    cursor: pointer;
+  }
+
+  .frame {
+    position: relative;
+    max-width: 100%;
+    overflow: hidden;
+    border-radius: 4px;
+    cursor: pointer;
+    background-color: #d1d7db;
+
+    img {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+
+    .placeholder {
+      filter: blur(12px);
+      transform: scale(1.1);
+    }
+
+    .thumbnail {
+      opacity: 0;
+      transition: opacity 0.2s ease;
+
+      &.loaded {
+        opacity: 1;
+      }
+    }
+
+    &:hover .thumbnail.loaded {
+      opacity: 0.8;
+    }
+  }
+`;
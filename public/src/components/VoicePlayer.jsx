@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef } from "react";
+import styled from "styled-components";
+import { IoPause, IoPlay } from "react-icons/io5";
+import { useSignedMedia } from "../utils/media";
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+// Drawn when the server could not compute a waveform for the recording
+const FLAT_WAVEFORM = Array(48).fill(30);
+
+const formatDuration = (seconds) => {
+  const total = Math.max(Math.floor(seconds || 0), 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+export default function VoicePlayer({ audio, unplayed, onFirstPlay }) {
+  const audioRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(audio.duration || 0);
+  const [rateIndex, setRateIndex] = useState(0);
+  const { urlFor, handleError } = useSignedMedia({ [audio.key]: audio.url });
+
+  const waveform = audio.waveform?.length ? audio.waveform : FLAT_WAVEFORM;
+  const progress = duration > 0 ? currentTime / duration : 0;
+
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.playbackRate = PLAYBACK_RATES[rateIndex];
+    }
+  }, [rateIndex]);
+
+  const togglePlay = () => {
+    const player = audioRef.current;
+    if (!player) {
+      return;
+    }
+    if (playing) {
+      player.pause();
+      return;
+    }
+    player.play().catch((error) => console.error("Error playing voice message:", error));
+    if (unplayed) {
+      onFirstPlay();
+    }
+  };
+
+  const seek = (event) => {
+    const player = audioRef.current;
+    if (!player || !duration) {
+      return;
+    }
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1);
+    player.currentTime = ratio * duration;
+    setCurrentTime(player.currentTime);
+  };
+
+  const handleLoadedMetadata = () => {
+    // MediaRecorder webm files often report Infinity until fully read, so keep the server value then
+    const reported = audioRef.current?.duration;
+    if (Number.isFinite(reported) && reported > 0) {
+      setDuration(reported);
+    }
+  };
+
+  return (
+    <Container>
+      <button type="button" className="play-btn" onClick={togglePlay} title={playing ? "Pause" : "Play"}>
+        {playing ? <IoPause /> : <IoPlay />}
+      </button>
+      <div className="track">
+        <div className="waveform" onClick={seek} title="Seek">
+          {waveform.map((peak, index) => (
+            <span
+              key={index}
+              className={index / waveform.length < progress ? "bar played" : "bar"}
+              style={{ height: `${Math.max(peak, 8)}%` }}
+            />
+          ))}
+        </div>
+        <div className="meta">
+          <span className="duration">
+            {unplayed && <span className="unplayed-dot" title="Not played yet" />}
+            {formatDuration(playing || currentTime > 0 ? currentTime : duration)}
+          </span>
+          <button
+            type="button"
+            className="rate-btn"
+            onClick={() => setRateIndex((rateIndex + 1) % PLAYBACK_RATES.length)}
+            title="Playback speed"
+          >
+            {PLAYBACK_RATES[rateIndex]}x
+          </button>
+        </div>
+      </div>
+      <audio
+        ref={audioRef}
+        src={urlFor(audio.key)}
+        preload="metadata"
+        onError={handleError}
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={() => setCurrentTime(audioRef.current.currentTime)}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => {
+          setPlaying(false);
+          setCurrentTime(0);
+        }}
+      />
+    </Container>
+  );
+}
+
+const Container = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  min-width: 240px;
+  padding: 4px 0;
+
+  .play-btn {
+    flex-shrink: 0;
+    width: 36px;
+    height: 36px;
+    border: none;
+    border-radius: 50%;
+    background-color: #128C7E;
+    color: white;
+    font-size: 18px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    cursor: pointer;
+  }
+
+  .track {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+  }
+
+  .waveform {
+    height: 28px;
+    display: flex;
+    align-items: center;
+    gap: 1px;
+    cursor: pointer;
+
+    .bar {
+      flex: 1;
+      min-width: 2px;
+      border-radius: 1px;
+      background-color: #b3c3c7;
+
+      &.played {
+        background-color: #128C7E;
+      }
+    }
+  }
+
+  .meta {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    font-size: 11px;
+    color: #667781;
+
+    .duration {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    }
+
+    .unplayed-dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background-color: #25D366;
+    }
+
+    .rate-btn {
+      border: none;
+      border-radius: 8px;
+      padding: 0 6px;
+      font-size: 11px;
+      background-color: rgba(0, 0, 0, 0.08);
+      color: #54656f;
+      cursor: pointer;
+    }
+  }
+`;
@@ -1,7 +1,11 @@
 import React from "react";
 import ReactDOM from "react-dom";
 import App from "./App";
+import { installAuthInterceptor } from "./utils/auth";
 import "./index.css";
+
+installAuthInterceptor();
+
 ReactDOM.render(
   <React.StrictMode>
     <App />
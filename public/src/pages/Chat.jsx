@@ -3,17 +3,35 @@ import axios from "axios";
 import { useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
 import styled from "styled-components";
-import { allUsersRoute, host, getAuthHeaders } from "../utils/APIRoutes";
+import {
+  allUsersRoute,
+  presenceRoute,
+  conversationsRoute,
+  resendVerificationRoute,
+  host,
+  getAuthHeaders
+} from "../utils/APIRoutes";
 import ChatContainer from "../components/ChatContainer";
 import Contacts from "../components/Contacts";
 import Welcome from "../components/Welcome";
+import { refreshSession, isSessionEnded, logout, saveSession } from "../utils/auth";
+
+// Matches the server's limit on user IDs per presence request
+const PRESENCE_BATCH_SIZE = 100;
 
 export default function Chat() {
   const navigate = useNavigate();
   const socket = useRef();
   const [contacts, setContacts] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [currentChat, setCurrentChat] = useState(undefined);
   const [currentUser, setCurrentUser] = useState(undefined);
+  const [presence, setPresence] = useState({});
+  // Unread count and last-message preview keyed by chat ID (peer ID or group ID)
+  const [summaries, setSummaries] = useState({});
+  // Kept apart from currentUser so verifying does not reconnect the socket
+  const [emailVerified, setEmailVerified] = useState(true);
+  const [verificationNotice, setVerificationNotice] = useState("");
   
   useEffect(() => {
     const token = localStorage.getItem("token");
@@ -28,6 +46,7 @@ export default function Chat() {
     try {
       const user = JSON.parse(userData);
       setCurrentUser(user);
+      setEmailVerified(user.emailVerified !== false);
     } catch (error) {
       console.error("Error parsing user data:", error);
       localStorage.clear();
@@ -37,12 +56,166 @@ export default function Chat() {
   
   useEffect(() => {
     if (currentUser) {
-      socket.current = io(host);
-      socket.current.emit("add-user", currentUser._id);
+      // Read on every (re)connect so a refreshed access token is picked up
+      let socketToken = null;
+      socket.current = io(host, {
+        auth: (cb) => {
+          socketToken = localStorage.getItem("token");
+          cb({ token: socketToken });
+        }
+      });
+
+      const handleAuthFailure = () => {
+        localStorage.clear();
+        navigate("/login");
+      };
+
+      const reconnectWithFreshToken = async () => {
+        try {
+          await refreshSession(socketToken);
+          socket.current.connect();
+        } catch (error) {
+          console.error("Error refreshing session:", error);
+          if (isSessionEnded(error)) {
+            handleAuthFailure();
+          }
+        }
+      };
+
+      socket.current.on("connect_error", (error) => {
+        console.error("Socket connection error:", error.data?.msg || error.message);
+        if (error.data?.code === "TOKEN_EXPIRED") {
+          reconnectWithFreshToken();
+        } else if (error.data?.code) {
+          handleAuthFailure();
+        }
+      });
+      // Swap in a fresh access token before the current one runs out, without reconnecting
+      socket.current.on("token-expiring", async () => {
+        try {
+          const token = await refreshSession(socketToken);
+          socket.current.emit("refresh-auth", { token }, (response) => {
+            if (response?.status) {
+              socketToken = token;
+            } else {
+              console.error("Socket re-authentication failed:", response?.msg);
+            }
+          });
+        } catch (error) {
+          console.error("Error refreshing session:", error);
+          if (isSessionEnded(error)) {
+            handleAuthFailure();
+          }
+        }
+      });
+      // Fallback when the token could not be swapped in time, e.g. while the tab was asleep
+      socket.current.on("token-expired", reconnectWithFreshToken);
+      // This device was logged out elsewhere, or its session was revoked
+      socket.current.on("session-ended", handleAuthFailure);
+      // The verification link was opened, possibly on another device
+      socket.current.on("email-verified", () => {
+        setEmailVerified(true);
+        try {
+          const user = JSON.parse(localStorage.getItem("user"));
+          saveSession({ user: { ...user, emailVerified: true } });
+        } catch (error) {
+          console.error("Error parsing user data:", error);
+        }
+      });
+      socket.current.on("presence", (update) => {
+        setPresence((prev) => ({ ...prev, [update.userId]: update }));
+      });
+      socket.current.on("msg-recieve", (stored) => {
+        // Acknowledge delivery for every chat, not just the open one
+        if (stored.sender !== currentUser._id) {
+          socket.current.emit("message-delivered", { messageIds: [stored._id] });
+        }
+      });
+      socket.current.on("unread-updated", (update) => {
+        setSummaries((prev) => ({
+          ...prev,
+          [update.chatId]: { ...prev[update.chatId], ...update }
+        }));
+      });
+      socket.current.on("conversation-updated", (conversation) => {
+        if (conversation.type !== "group") {
+          return;
+        }
+        const isMember = conversation.members.some(
+          (member) => member.user._id === currentUser._id
+        );
+        setGroups((prev) => {
+          const others = prev.filter((group) => group._id !== conversation._id);
+          return isMember ? [conversation, ...others] : others;
+        });
+        setCurrentChat((prev) => {
+          if (prev?._id !== conversation._id) {
+            return prev;
+          }
+          return isMember ? { ...prev, ...conversation } : undefined;
+        });
+      });
+
+      return () => {
+        socket.current.disconnect();
+      };
     }
-  }, [currentUser]);
+  }, [currentUser, navigate]);
 
   useEffect(() => {
+    const fetchPresence = async (userIds) => {
+      // The server looks up a bounded number of users per request
+      for (let start = 0; start < userIds.length; start += PRESENCE_BATCH_SIZE) {
+        try {
+          const response = await axios.get(presenceRoute, {
+            headers: getAuthHeaders(),
+            params: { userIds: userIds.slice(start, start + PRESENCE_BATCH_SIZE).join(",") }
+          });
+
+          if (response.data.status) {
+            // Socket updates that arrived first are newer than this snapshot
+            setPresence((prev) => {
+              const snapshot = {};
+              response.data.presence.forEach((entry) => {
+                snapshot[entry.userId] = entry;
+              });
+              return { ...snapshot, ...prev };
+            });
+          }
+        } catch (error) {
+          console.error("Error fetching presence:", error);
+        }
+      }
+    };
+
+    const fetchConversations = async () => {
+      try {
+        const response = await axios.get(conversationsRoute, {
+          headers: getAuthHeaders()
+        });
+
+        if (response.data.status) {
+          const { conversations } = response.data;
+          setGroups(conversations.filter((conversation) => conversation.type === "group"));
+          // Socket updates that arrived first are newer than this snapshot
+          setSummaries((prev) => {
+            const snapshot = {};
+            conversations.forEach((conversation) => {
+              snapshot[conversation._id] = {
+                conversationId: conversation.conversationId,
+                unreadCount: conversation.unreadCount,
+                lastMessage: conversation.lastMessage,
+                lastMessageTime: conversation.lastMessageTime
+              };
+            });
+            return { ...snapshot, ...prev };
+          });
+        }
+      } catch (error) {
+        console.error("Error fetching conversations:", error);
+      }
+    };
+
     const fetchUsers = async () => {
       if (currentUser) {
         try {
@@ -52,6 +225,8 @@ export default function Chat() {
           
           if (response.data.status) {
             setContacts(response.data.users);
+            fetchPresence([currentUser._id, ...response.data.users.map((user) => user._id)]);
+            fetchConversations();
           } else {
             console.error("Failed to fetch users:", response.data.msg);
           }
@@ -72,16 +247,47 @@ export default function Chat() {
     setCurrentChat(chat);
   };
   
-  const handleLogout = () => {
-    localStorage.clear();
+  const handleResendVerification = async () => {
+    try {
+      const response = await axios.post(resendVerificationRoute, {}, {
+        headers: getAuthHeaders()
+      });
+      setVerificationNotice(response.data.msg);
+    } catch (error) {
+      if (error.response?.status === 400) {
+        // Verified in the meantime
+        setEmailVerified(true);
+        return;
+      }
+      setVerificationNotice(error.response?.data?.msg || "Could not send the email, try again later");
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate("/login");
   };
   
   return (
     <>
       <Container>
+        {currentUser && !emailVerified && (
+          <div className="verify-banner">
+            <span>
+              Confirm your email address to send messages and create groups.
+              {verificationNotice ? ` ${verificationNotice}.` : " Check your inbox for the link."}
+            </span>
+            <button onClick={handleResendVerification}>Resend email</button>
+          </div>
+        )}
         <div className="chat-container">
-          <Contacts contacts={contacts} changeChat={handleChatChange} />
+          <Contacts
+            contacts={contacts}
+            groups={groups}
+            changeChat={handleChatChange}
+            presence={presence}
+            summaries={summaries}
+          />
           {currentChat === undefined ? (
             <div className="main-content">
               <div className="top-bar">
@@ -90,6 +296,9 @@ export default function Chat() {
                     <>
                       <span>Welcome, {currentUser.username}</span>
                       <div className="actions">
+                        <button onClick={() => navigate("/settings")} className="settings-btn">
+                          Settings
+                        </button>
                         <button onClick={handleLogout} className="logout-btn">
                           Logout
                         </button>
@@ -101,7 +310,14 @@ export default function Chat() {
               <Welcome />
             </div>
           ) : (
-            <ChatContainer currentChat={currentChat} socket={socket} />
+            <ChatContainer
+              currentChat={currentChat}
+              currentUser={currentUser}
+              contacts={contacts}
+              groups={groups}
+              socket={socket}
+              presence={presence[currentChat._id]}
+            />
           )}
         </div>
       </Container>
@@ -118,6 +334,38 @@ const Container = styled.div`
   align-items: center;
   background: #f0f2f5;
   
+  .verify-banner {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    z-index: 10;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    gap: 12px;
+    padding: 8px 20px;
+    background: #fff3c4;
+    color: #54656f;
+    font-size: 13px;
+    
+    button {
+      padding: 4px 10px;
+      border: none;
+      border-radius: 6px;
+      background: #008069;
+      color: white;
+      font-size: 12px;
+      font-weight: 500;
+      cursor: pointer;
+      white-space: nowrap;
+      
+      &:hover {
+        background: #006e5a;
+      }
+    }
+  }
+  
   .chat-container {
     height: 95vh;
     width: 95vw;
@@ -173,6 +421,15 @@ const Container = styled.div`
               cursor: pointer;
               transition: all 0.2s ease;
               
+              &.settings-btn {
+                background: #e9edef;
+                color: #54656f;
+                
+                &:hover {
+                  background: #d1d7db;
+                }
+              }
+              
               &.logout-btn {
                 background: #dc3545;
                 color: white;
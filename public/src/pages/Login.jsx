@@ -4,11 +4,15 @@ import styled from "styled-components";
 import { useNavigate, Link } from "react-router-dom";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
-import { loginRoute } from "../utils/APIRoutes";
+import { loginRoute, loginTwoFactorRoute } from "../utils/APIRoutes";
+import { saveSession } from "../utils/auth";
 
 export default function Login() {
   const navigate = useNavigate();
   const [values, setValues] = useState({ username: "", password: "" });
+  // Set when the password was right and the account asks for a second factor
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
   const toastOptions = {
     position: "bottom-right",
     autoClose: 8000,
@@ -51,10 +55,13 @@ export default function Login() {
         if (data.status === false) {
           toast.error(data.msg, toastOptions);
         }
+        if (data.status === true && data.twoFactorRequired) {
+          setChallengeToken(data.challengeToken);
+          return;
+        }
         if (data.status === true) {
-          // Store token and user data
-          localStorage.setItem("token", data.token);
-          localStorage.setItem("user", JSON.stringify(data.user));
+          // Store tokens and user data
+          saveSession(data);
           navigate("/");
         }
       } catch (error) {
@@ -64,6 +71,40 @@ export default function Login() {
     }
   };
 
+  const handleCodeSubmit = async (event) => {
+    event.preventDefault();
+    if (code.trim() === "") {
+      toast.error("Enter the code from your authenticator app.", toastOptions);
+      return;
+    }
+
+    try {
+      const { data } = await axios.post(loginTwoFactorRoute, {
+        challengeToken,
+        code,
+      });
+
+      if (data.status === true) {
+        saveSession(data);
+        navigate("/");
+      }
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      if (error.response?.data?.code === "INVALID_CHALLENGE") {
+        // Expired or too many wrong codes; start again from the password
+        setChallengeToken(null);
+      }
+      setCode("");
+      toast.error(error.response?.data?.msg || "Login failed. Please try again.", toastOptions);
+    }
+  };
+
+  const handleCancelCode = () => {
+    setChallengeToken(null);
+    setCode("");
+    setValues({ username: "", password: "" });
+  };
+
   return (
     <>
       <FormContainer>
@@ -75,34 +116,64 @@ export default function Login() {
               </svg>
             </div>
             <h1>WhatsApp Web</h1>
-            <p>Sign in to your account</p>
+            <p>{challengeToken ? "Two-step verification" : "Sign in to your account"}</p>
           </div>
           
-          <form action="" onSubmit={(event) => handleSubmit(event)}>
-            <div className="input-group">
-              <input
-                type="text"
-                placeholder="Username"
-                name="username"
-                onChange={(e) => handleChange(e)}
-                min="3"
-              />
-            </div>
-            <div className="input-group">
-              <input
-                type="password"
-                placeholder="Password"
-                name="password"
-                onChange={(e) => handleChange(e)}
-              />
-            </div>
-            <button type="submit">Sign In</button>
-            <div className="register-link">
-              <span>
-                Don't have an account? <Link to="/register">Create One</Link>
-              </span>
-            </div>
-          </form>
+          {challengeToken ? (
+            <form action="" onSubmit={(event) => handleCodeSubmit(event)}>
+              <div className="input-group">
+                <input
+                  type="text"
+                  placeholder="6-digit code or recovery code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  autoFocus
+                />
+              </div>
+              <button type="submit">Verify</button>
+              <div className="register-link">
+                <span>
+                  Wrong account?{" "}
+                  <button type="button" className="link-btn" onClick={handleCancelCode}>
+                    Back to Sign In
+                  </button>
+                </span>
+              </div>
+            </form>
+          ) : (
+            <form action="" onSubmit={(event) => handleSubmit(event)}>
+              <div className="input-group">
+                <input
+                  type="text"
+                  placeholder="Username"
+                  name="username"
+                  value={values.username}
+                  onChange={(e) => handleChange(e)}
+                  min="3"
+                />
+              </div>
+              <div className="input-group">
+                <input
+                  type="password"
+                  placeholder="Password"
+                  name="password"
+                  value={values.password}
+                  onChange={(e) => handleChange(e)}
+                />
+                <Link to="/forgot-password" className="forgot-link">
+                  Forgot password?
+                </Link>
+              </div>
+              <button type="submit">Sign In</button>
+              <div className="register-link">
+                <span>
+                  Don't have an account? <Link to="/register">Create One</Link>
+                </span>
+              </div>
+            </form>
+          )}
         </div>
       </FormContainer>
       <ToastContainer />
@@ -183,6 +254,20 @@ const FormContainer = styled.div`
         color: #999;
       }
     }
+    
+    .forgot-link {
+      display: block;
+      margin-top: 8px;
+      text-align: right;
+      color: #25D366;
+      font-size: 13px;
+      font-weight: 600;
+      text-decoration: none;
+      
+      &:hover {
+        text-decoration: underline;
+      }
+    }
   }
   
   button {
@@ -214,6 +299,20 @@ const FormContainer = styled.div`
       color: #666;
       font-size: 14px;
       
+      .link-btn {
+        background: none;
+        padding: 0;
+        color: #25D366;
+        font-size: 14px;
+        
+        &:hover {
+          background: none;
+          transform: none;
+          box-shadow: none;
+          text-decoration: underline;
+        }
+      }
+      
       a {
         color: #25D366;
         text-decoration: none;
@@ -5,6 +5,7 @@ import { useNavigate, Link } from "react-router-dom";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { registerRoute } from "../utils/APIRoutes";
+import { saveSession } from "../utils/auth";
 
 export default function Register() {
   const navigate = useNavigate();
@@ -75,9 +76,8 @@ export default function Register() {
           toast.error(data.msg, toastOptions);
         }
         if (data.status === true) {
-          // Store token and user data
-          localStorage.setItem("token", data.token);
-          localStorage.setItem("user", JSON.stringify(data.user));
+          // Store tokens and user data
+          saveSession(data);
           navigate("/");
         }
       } catch (error) {
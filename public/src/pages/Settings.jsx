@@ -0,0 +1,550 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import styled from "styled-components";
+import { useNavigate } from "react-router-dom";
+import { ToastContainer, toast } from "react-toastify";
+import "react-toastify/dist/ReactToastify.css";
+import { BiArrowBack, BiDesktop, BiMobile } from "react-icons/bi";
+import { sessionsRoute, logoutOthersRoute, twoFactorRoute, getAuthHeaders } from "../utils/APIRoutes";
+import { clearSession } from "../utils/auth";
+
+const toastOptions = {
+  position: "bottom-right",
+  autoClose: 5000,
+  pauseOnHover: true,
+  draggable: true,
+  theme: "light"
+};
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+const formatLastActive = (session) => {
+  if (session.current) {
+    return "Active now";
+  }
+  const lastSeen = new Date(session.lastSeenAt);
+  const time = lastSeen.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  if (lastSeen.toDateString() === new Date().toDateString()) {
+    return `Last active today at ${time}`;
+  }
+  return `Last active ${lastSeen.toLocaleDateString()} at ${time}`;
+};
+
+export default function Settings() {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [twoFactor, setTwoFactor] = useState(null);
+  // Secret and QR code of an enrollment waiting for its first code
+  const [enrollment, setEnrollment] = useState(null);
+  // Shown once, right after they are created
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  // "disable" or "recovery-codes" while the confirmation form is open
+  const [twoFactorAction, setTwoFactorAction] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: "", password: "" });
+
+  useEffect(() => {
+    if (!localStorage.getItem("token")) {
+      navigate("/login");
+    }
+  }, [navigate]);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(sessionsRoute, { headers: getAuthHeaders() });
+      if (response.data.status) {
+        setSessions(response.data.sessions);
+      }
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+      toast.error(error.response?.data?.msg || "Could not load your devices", toastOptions);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchTwoFactor = async () => {
+    try {
+      const response = await axios.get(twoFactorRoute, { headers: getAuthHeaders() });
+      if (response.data.status) {
+        setTwoFactor(response.data);
+      }
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    fetchTwoFactor();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    try {
+      await axios.delete(`${sessionsRoute}/${session._id}`, { headers: getAuthHeaders() });
+      if (session.current) {
+        clearSession();
+        navigate("/login");
+        return;
+      }
+      setSessions((prev) => prev.filter((entry) => entry._id !== session._id));
+      toast.success(`Logged out of ${session.device}`, { ...toastOptions, autoClose: 3000 });
+    } catch (error) {
+      toast.error(error.response?.data?.msg || "Could not log out that device", toastOptions);
+    }
+  };
+
+  const handleLogoutOthers = async () => {
+    try {
+      const response = await axios.post(logoutOthersRoute, {}, { headers: getAuthHeaders() });
+      if (response.data.status) {
+        setSessions((prev) => prev.filter((session) => session.current));
+        toast.success(
+          response.data.count === 1 ? "Logged out of 1 other device" : `Logged out of ${response.data.count} other devices`,
+          { ...toastOptions, autoClose: 3000 }
+        );
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.msg || "Could not log out other devices", toastOptions);
+    }
+  };
+
+  const handleTwoFactorChange = (event) => {
+    setTwoFactorForm({ ...twoFactorForm, [event.target.name]: event.target.value });
+  };
+
+  const closeTwoFactorForm = () => {
+    setEnrollment(null);
+    setTwoFactorAction(null);
+    setTwoFactorForm({ code: "", password: "" });
+  };
+
+  const handleStartEnrollment = async () => {
+    try {
+      const response = await axios.post(`${twoFactorRoute}/setup`, {}, { headers: getAuthHeaders() });
+      if (response.data.status) {
+        setRecoveryCodes([]);
+        setEnrollment({ secret: response.data.secret, qrCode: response.data.qrCode });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.msg || "Could not start two-step verification setup", toastOptions);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (event) => {
+    event.preventDefault();
+    const action = enrollment ? "enable" : twoFactorAction;
+    try {
+      const response = await axios.post(`${twoFactorRoute}/${action}`, twoFactorForm, {
+        headers: getAuthHeaders()
+      });
+      if (response.data.status) {
+        closeTwoFactorForm();
+        setRecoveryCodes(response.data.recoveryCodes || []);
+        toast.success(response.data.msg, { ...toastOptions, autoClose: 3000 });
+        fetchTwoFactor();
+      }
+    } catch (error) {
+      setTwoFactorForm({ ...twoFactorForm, code: "" });
+      toast.error(error.response?.data?.msg || "Could not verify the code", toastOptions);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <>
+      <Container>
+        <div className="settings-container">
+          <div className="settings-header">
+            <button className="back-btn" onClick={() => navigate("/")} title="Back to chats">
+              <BiArrowBack />
+            </button>
+            <h2>Settings</h2>
+          </div>
+
+          <section>
+            <div className="section-header">
+              <h3>Where you're logged in</h3>
+              {hasOtherSessions && (
+                <button className="logout-others-btn" onClick={handleLogoutOthers}>
+                  Log out all other devices
+                </button>
+              )}
+            </div>
+
+            {isLoading ? (
+              <p className="empty">Loading…</p>
+            ) : sessions.length === 0 ? (
+              <p className="empty">No active sessions</p>
+            ) : (
+              <ul className="sessions">
+                {sessions.map((session) => (
+                  <li key={session._id} className={session.current ? "current" : ""}>
+                    <div className="device-icon">
+                      {isMobile(session.device) ? <BiMobile /> : <BiDesktop />}
+                    </div>
+                    <div className="details">
+                      <span className="device" title={session.userAgent}>
+                        {session.device}
+                        {session.current && <span className="badge">This device</span>}
+                      </span>
+                      <span className="meta">
+                        {formatLastActive(session)}
+                        {session.ip && ` · ${session.ip}`}
+                      </span>
+                      <span className="meta">
+                        Logged in {new Date(session.createdAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                    <button className="revoke-btn" onClick={() => handleRevoke(session)}>
+                      Log out
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section>
+            <div className="section-header">
+              <h3>Two-step verification</h3>
+              {twoFactor && !enrollment && !twoFactorAction && (
+                twoFactor.enabled ? (
+                  <div className="actions">
+                    <button className="secondary-btn" onClick={() => setTwoFactorAction("recovery-codes")}>
+                      New recovery codes
+                    </button>
+                    <button className="logout-others-btn" onClick={() => setTwoFactorAction("disable")}>
+                      Turn off
+                    </button>
+                  </div>
+                ) : (
+                  <button className="primary-btn" onClick={handleStartEnrollment}>
+                    Turn on
+                  </button>
+                )
+              )}
+            </div>
+
+            {twoFactor && (
+              <p className="empty">
+                {twoFactor.enabled
+                  ? `On. Logging in asks for a code from your authenticator app. ${
+                      twoFactor.recoveryCodesRemaining === 1 ? "1 recovery code" : `${twoFactor.recoveryCodesRemaining} recovery codes`
+                    } left.`
+                  : "Off. Add a code from an authenticator app to your password when logging in."}
+              </p>
+            )}
+
+            {recoveryCodes.length > 0 && (
+              <div className="recovery-codes">
+                <p>
+                  Save these recovery codes somewhere safe. Each one logs you in once if you lose your
+                  authenticator app. They will not be shown again.
+                </p>
+                <ul>
+                  {recoveryCodes.map((recoveryCode) => (
+                    <li key={recoveryCode}>{recoveryCode}</li>
+                  ))}
+                </ul>
+                <button className="secondary-btn" onClick={() => setRecoveryCodes([])}>
+                  I saved them
+                </button>
+              </div>
+            )}
+
+            {(enrollment || twoFactorAction) && (
+              <form className="two-factor-form" onSubmit={handleTwoFactorSubmit}>
+                {enrollment && (
+                  <div className="enrollment">
+                    <img src={enrollment.qrCode} alt="QR code for your authenticator app" />
+                    <p>
+                      Scan the QR code with your authenticator app, or enter this key:
+                      <code>{enrollment.secret}</code>
+                      Then type the 6-digit code it shows.
+                    </p>
+                  </div>
+                )}
+                {twoFactorAction === "disable" && (
+                  <input
+                    type="password"
+                    name="password"
+                    placeholder="Password"
+                    value={twoFactorForm.password}
+                    onChange={handleTwoFactorChange}
+                  />
+                )}
+                <input
+                  type="text"
+                  name="code"
+                  placeholder={enrollment ? "6-digit code" : "6-digit code or recovery code"}
+                  value={twoFactorForm.code}
+                  onChange={handleTwoFactorChange}
+                  autoComplete="one-time-code"
+                />
+                <div className="actions">
+                  <button type="button" className="revoke-btn" onClick={closeTwoFactorForm}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="primary-btn">
+                    {enrollment ? "Turn on" : twoFactorAction === "disable" ? "Turn off" : "Create codes"}
+                  </button>
+                </div>
+              </form>
+            )}
+          </section>
+        </div>
+      </Container>
+      <ToastContainer />
+    </>
+  );
+}
+
+const Container = styled.div`
+  min-height: 100vh;
+  width: 100vw;
+  display: flex;
+  justify-content: center;
+  align-items: flex-start;
+  background: #f0f2f5;
+
+  .settings-container {
+    width: 95vw;
+    max-width: 720px;
+    margin: 2.5vh 0;
+    background: white;
+    border-radius: 12px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.1);
+    overflow: hidden;
+
+    @media screen and (max-width: 720px) {
+      width: 100vw;
+      margin: 0;
+      border-radius: 0;
+      min-height: 100vh;
+    }
+  }
+
+  .settings-header {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 16px 20px;
+    background: #008069;
+    color: white;
+
+    h2 {
+      margin: 0;
+      font-size: 18px;
+      font-weight: 500;
+    }
+
+    .back-btn {
+      display: flex;
+      align-items: center;
+      background: transparent;
+      border: none;
+      color: white;
+      cursor: pointer;
+      font-size: 22px;
+      padding: 0;
+    }
+  }
+
+  section {
+    padding: 20px;
+
+    .section-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 12px;
+
+      h3 {
+        margin: 0;
+        color: #111b21;
+        font-size: 15px;
+        font-weight: 500;
+      }
+    }
+
+    .empty {
+      color: #667781;
+      font-size: 14px;
+    }
+
+    & + section {
+      border-top: 1px solid #e9edef;
+    }
+  }
+
+  .actions {
+    display: flex;
+    gap: 8px;
+  }
+
+  button {
+    padding: 6px 12px;
+    border: none;
+    border-radius: 6px;
+    font-size: 12px;
+    font-weight: 500;
+    cursor: pointer;
+    transition: all 0.2s ease;
+
+    &.logout-others-btn {
+      background: #dc3545;
+      color: white;
+
+      &:hover {
+        background: #c82333;
+      }
+    }
+
+    &.primary-btn {
+      background: #008069;
+      color: white;
+
+      &:hover {
+        background: #006e5a;
+      }
+    }
+
+    &.secondary-btn,
+    &.revoke-btn {
+      background: #e9edef;
+      color: #54656f;
+
+      &:hover {
+        background: #d1d7db;
+      }
+    }
+  }
+
+  .sessions {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+
+    li {
+      display: flex;
+      align-items: center;
+      gap: 14px;
+      padding: 12px 0;
+      border-bottom: 1px solid #e9edef;
+
+      &:last-child {
+        border-bottom: none;
+      }
+
+      .device-icon {
+        display: flex;
+        font-size: 26px;
+        color: #54656f;
+      }
+
+      &.current .device-icon {
+        color: #008069;
+      }
+
+      .details {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        min-width: 0;
+
+        .device {
+          color: #111b21;
+          font-size: 14px;
+          font-weight: 500;
+        }
+
+        .badge {
+          margin-left: 8px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          background: #d9fdd3;
+          color: #008069;
+          font-size: 11px;
+        }
+
+        .meta {
+          color: #667781;
+          font-size: 12px;
+        }
+      }
+    }
+  }
+
+  .recovery-codes {
+    margin-bottom: 16px;
+    padding: 16px;
+    border-radius: 8px;
+    background: #fff3c4;
+
+    p {
+      margin: 0 0 12px;
+      color: #54656f;
+      font-size: 13px;
+    }
+
+    ul {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 6px;
+      margin: 0 0 12px;
+      padding: 0;
+      list-style: none;
+      font-family: monospace;
+      font-size: 14px;
+      color: #111b21;
+    }
+  }
+
+  .two-factor-form {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    max-width: 360px;
+
+    .enrollment {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+
+      img {
+        width: 180px;
+        height: 180px;
+      }
+
+      p {
+        margin: 0;
+        color: #54656f;
+        font-size: 13px;
+      }
+
+      code {
+        display: block;
+        margin: 6px 0;
+        color: #111b21;
+        font-size: 13px;
+        word-break: break-all;
+      }
+    }
+
+    input {
+      padding: 10px 12px;
+      border: 1px solid #d1d7db;
+      border-radius: 6px;
+      font-size: 14px;
+
+      &:focus {
+        outline: none;
+        border-color: #008069;
+      }
+    }
+  }
+`;
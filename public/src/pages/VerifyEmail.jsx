@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import styled from "styled-components";
+import { Link, useSearchParams } from "react-router-dom";
+import { BiCheckCircle, BiErrorCircle } from "react-icons/bi";
+import { verifyEmailRoute } from "../utils/APIRoutes";
+import { saveSession } from "../utils/auth";
+
+// Marks the stored user verified when the link belongs to the account logged in on this device
+const markStoredUserVerified = (userId) => {
+  try {
+    const user = JSON.parse(localStorage.getItem("user"));
+    if (user && user._id === userId) {
+      saveSession({ user: { ...user, emailVerified: true } });
+    }
+  } catch (error) {
+    console.error("Error parsing user data:", error);
+  }
+};
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [state, setState] = useState(token ? "verifying" : "failed");
+  const [message, setMessage] = useState(token ? "" : "This verification link is incomplete");
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const { data } = await axios.post(verifyEmailRoute, { token });
+        markStoredUserVerified(data.userId);
+        setState("verified");
+        setMessage("Your email address is verified. You can now use every feature.");
+      } catch (error) {
+        setState("failed");
+        setMessage(error.response?.data?.msg || "Could not verify your email address");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const isLoggedIn = Boolean(localStorage.getItem("token"));
+
+  return (
+    <Container>
+      <div className="verify-container">
+        {state === "verifying" ? (
+          <p className="message">Verifying your email address…</p>
+        ) : (
+          <>
+            <div className={`icon ${state}`}>
+              {state === "verified" ? <BiCheckCircle /> : <BiErrorCircle />}
+            </div>
+            <h2>{state === "verified" ? "Email verified" : "Verification failed"}</h2>
+            <p className="message">{message}</p>
+            {state === "failed" && isLoggedIn && (
+              <p className="hint">You can request a new link from your chats.</p>
+            )}
+            <Link to={isLoggedIn ? "/" : "/login"} className="continue-btn">
+              {isLoggedIn ? "Go to chats" : "Log in"}
+            </Link>
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
+
+const Container = styled.div`
+  min-height: 100vh;
+  width: 100vw;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  background: #f0f2f5;
+
+  .verify-container {
+    width: 90vw;
+    max-width: 420px;
+    padding: 32px 28px;
+    background: white;
+    border-radius: 12px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.1);
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 12px;
+    text-align: center;
+
+    .icon {
+      display: flex;
+      font-size: 56px;
+
+      &.verified {
+        color: #008069;
+      }
+
+      &.failed {
+        color: #dc3545;
+      }
+    }
+
+    h2 {
+      margin: 0;
+      color: #111b21;
+      font-size: 20px;
+      font-weight: 500;
+    }
+
+    .message {
+      margin: 0;
+      color: #54656f;
+      font-size: 14px;
+    }
+
+    .hint {
+      margin: 0;
+      color: #667781;
+      font-size: 12px;
+    }
+
+    .continue-btn {
+      margin-top: 8px;
+      padding: 10px 24px;
+      border-radius: 6px;
+      background: #008069;
+      color: white;
+      font-size: 14px;
+      font-weight: 500;
+      text-decoration: none;
+      transition: all 0.2s ease;
+
+      &:hover {
+        background: #006e5a;
+      }
+    }
+  }
+`;
@@ -1,11 +1,26 @@
 export const host = "http://localhost:5000";
 export const loginRoute = `${host}/api/auth/login`;
+export const loginTwoFactorRoute = `${host}/api/auth/login/2fa`;
 export const registerRoute = `${host}/api/auth/register`;
+export const refreshRoute = `${host}/api/auth/refresh`;
 export const logoutRoute = `${host}/api/auth/logout`;
+export const logoutOthersRoute = `${host}/api/auth/logout-others`;
+export const sessionsRoute = `${host}/api/auth/sessions`;
+export const verifyEmailRoute = `${host}/api/auth/verify-email`;
+export const resendVerificationRoute = `${host}/api/auth/verify-email/resend`;
+export const forgotPasswordRoute = `${host}/api/auth/forgot-password`;
+export const resetPasswordRoute = `${host}/api/auth/reset-password`;
+export const twoFactorRoute = `${host}/api/auth/2fa`;
 export const allUsersRoute = `${host}/api/auth/allusers`;
+export const presenceRoute = `${host}/api/auth/presence`;
 export const sendMessageRoute = `${host}/api/messages/addmsg`;
 export const recieveMessageRoute = `${host}/api/messages/getmsg`;
+export const messagesRoute = `${host}/api/messages`;
+export const forwardMessagesRoute = `${host}/api/messages/forward`;
+export const conversationsRoute = `${host}/api/messages/conversations`;
+export const groupsRoute = `${host}/api/conversations/groups`;
 export const setAvatarRoute = `${host}/api/auth/setavatar`;
+export const mediaUrlsRoute = `${host}/api/media/urls`;
 
 // Helper function to get auth headers
 export const getAuthHeaders = () => {
@@ -0,0 +1,91 @@
+const MB = 1024 * 1024;
+
+// Mirrors the categories and limits in server/services/attachmentService.js
+const CATEGORIES = {
+  image: {
+    maxSize: 5 * MB,
+    mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"]
+  },
+  document: {
+    maxSize: 20 * MB,
+    mimeTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      "application/vnd.oasis.opendocument.text",
+      "application/vnd.oasis.opendocument.spreadsheet",
+      "application/vnd.oasis.opendocument.presentation",
+      "application/rtf",
+      "text/plain",
+      "text/csv"
+    ]
+  },
+  audio: {
+    maxSize: 10 * MB,
+    mimeTypes: [
+      "audio/webm",
+      "audio/ogg",
+      "audio/mp4",
+      "audio/mpeg",
+      "audio/aac",
+      "audio/wav",
+      "audio/x-wav"
+    ]
+  },
+  archive: {
+    maxSize: 25 * MB,
+    mimeTypes: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/x-7z-compressed",
+      "application/x-rar-compressed",
+      "application/vnd.rar",
+      "application/gzip",
+      "application/x-tar"
+    ]
+  }
+};
+
+export const ACCEPTED_FILE_TYPES = Object.values(CATEGORIES)
+  .flatMap((category) => category.mimeTypes)
+  .join(",");
+
+export const getFileCategory = (mimeType) => {
+  const entry = Object.entries(CATEGORIES).find(([, category]) =>
+    category.mimeTypes.includes(mimeType)
+  );
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Check a picked file before uploading it
+ * @param {File} file - File from an input element
+ * @returns {string|null} - Error message, or null when the file can be sent
+ */
+export const validateAttachment = (file) => {
+  const category = getFileCategory(file.type);
+  if (!category) {
+    return "This file type is not supported";
+  }
+  if (file.size > CATEGORIES[category].maxSize) {
+    return `${category.charAt(0).toUpperCase()}${category.slice(1)} files must be ${CATEGORIES[category].maxSize / MB}MB or smaller`;
+  }
+  return null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) {
+    return "";
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < MB) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / MB).toFixed(1)} MB`;
+};
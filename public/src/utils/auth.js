@@ -0,0 +1,124 @@
+import axios from "axios";
+import { loginRoute, loginTwoFactorRoute, refreshRoute, logoutRoute, getAuthHeaders } from "./APIRoutes";
+
+// Refreshes started from this tab share one request
+let pendingRefresh = null;
+
+/**
+ * Store the tokens and user returned by login, register or refresh
+ * @param {Object} session - { token, refreshToken, user }; missing fields are left unchanged
+ */
+export const saveSession = ({ token, refreshToken, user }) => {
+  if (token) {
+    localStorage.setItem("token", token);
+  }
+  if (refreshToken) {
+    localStorage.setItem("refreshToken", refreshToken);
+  }
+  if (user) {
+    localStorage.setItem("user", JSON.stringify(user));
+  }
+};
+
+export const clearSession = () => {
+  localStorage.clear();
+};
+
+/**
+ * End this device's session on the server, then forget it locally
+ * Local state is cleared even when the server cannot be reached.
+ */
+export const logout = async () => {
+  try {
+    await axios.get(logoutRoute, { headers: getAuthHeaders() });
+  } catch (error) {
+    console.error("Logout error:", error);
+  }
+  clearSession();
+};
+
+const exchangeRefreshToken = async (staleToken) => {
+  // Another tab or request already rotated the tokens
+  const currentToken = localStorage.getItem("token");
+  if (currentToken && currentToken !== staleToken) {
+    return currentToken;
+  }
+
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) {
+    const error = new Error("No refresh token");
+    error.sessionEnded = true;
+    throw error;
+  }
+
+  const { data } = await axios.post(refreshRoute, { refreshToken });
+  saveSession(data);
+  return data.token;
+};
+
+/**
+ * Get a new access token with the stored refresh token
+ * Refresh tokens are single-use and the server ends the session when one is sent twice, so
+ * refreshes are serialized across tabs where the browser supports Web Locks.
+ * @param {string} staleToken - Access token that was rejected
+ * @returns {Promise<string>} - Access token to retry with
+ */
+export const refreshSession = (staleToken) => {
+  if (!pendingRefresh) {
+    const run = () => exchangeRefreshToken(staleToken);
+    pendingRefresh = (navigator.locks ? navigator.locks.request("auth-refresh", run) : run()).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+/**
+ * Whether a failed refreshSession() means the user has to log in again
+ * Network trouble is not a verdict on the session; only the server's refusal is.
+ * @param {Error} error - Rejection from refreshSession()
+ * @returns {boolean}
+ */
+export const isSessionEnded = (error) =>
+  Boolean(error.sessionEnded) || [400, 401].includes(error.response?.status);
+
+const endSession = () => {
+  clearSession();
+  window.location.assign("/login");
+};
+
+/**
+ * Retry requests rejected with 401 once, after refreshing the access token
+ * When the refresh token is rejected too, the session is over and the app returns to the login page.
+ */
+export const installAuthInterceptor = () => {
+  axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (
+      response?.status !== 401 ||
+      !config ||
+      config.retriedAfterRefresh ||
+      [loginRoute, loginTwoFactorRoute, refreshRoute].includes(config.url) ||
+      !localStorage.getItem("refreshToken")
+    ) {
+      return Promise.reject(error);
+    }
+
+    const staleToken = (config.headers?.Authorization || "").replace("Bearer ", "");
+    let token;
+    try {
+      token = await refreshSession(staleToken);
+    } catch (refreshError) {
+      if (isSessionEnded(refreshError)) {
+        endSession();
+      }
+      return Promise.reject(error);
+    }
+
+    return axios({
+      ...config,
+      retriedAfterRefresh: true,
+      headers: { ...config.headers, Authorization: `Bearer ${token}` }
+    });
+  });
+};
@@ -0,0 +1,47 @@
+import { useRef, useState } from "react";
+import axios from "axios";
+import { host, mediaUrlsRoute, getAuthHeaders } from "./APIRoutes";
+
+// A failing element only triggers a new refresh after this long, so media that is really gone cannot loop
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Signed URLs from the local storage driver are relative to the API host; S3 ones are absolute
+export const resolveMediaUrl = (url) => (url ? new URL(url, host).toString() : undefined);
+
+/**
+ * Ask the server for fresh signed URLs
+ * @param {Array} keys - Storage keys
+ * @returns {Promise<Object>} - URLs keyed by storage key; keys the user may not access are missing
+ */
+export const fetchMediaUrls = async (keys) => {
+  const response = await axios.post(mediaUrlsRoute, { keys }, { headers: getAuthHeaders() });
+  return response.data.status ? response.data.urls : {};
+};
+
+/**
+ * Signed media URLs of one message, refreshed when they expire
+ * @param {Object} signed - URLs delivered with the message, keyed by storage key
+ * @returns {Object} - { urlFor(key), refresh(), handleError() }
+ */
+export const useSignedMedia = (signed) => {
+  const [fresh, setFresh] = useState({});
+  const lastRefresh = useRef(0);
+
+  const urlFor = (key) => resolveMediaUrl(fresh[key] || signed[key]);
+
+  const refresh = async () => {
+    lastRefresh.current = Date.now();
+    const urls = await fetchMediaUrls(Object.keys(signed));
+    setFresh(urls);
+    return urls;
+  };
+
+  // img/audio onError: the links have most likely expired
+  const handleError = () => {
+    if (Date.now() - lastRefresh.current > REFRESH_RETRY_MS) {
+      refresh().catch((error) => console.error("Error refreshing media links:", error));
+    }
+  };
+
+  return { urlFor, refresh, handleError };
+};
@@ -0,0 +1,26 @@
+// Human-readable status line for a contact's presence entry
+export const formatPresence = (presence) => {
+  if (!presence) {
+    return "";
+  }
+  if (presence.status === "online") {
+    return "Online";
+  }
+  if (!presence.lastSeen) {
+    return "Offline";
+  }
+
+  const lastSeen = new Date(presence.lastSeen);
+  const time = lastSeen.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (lastSeen.toDateString() === today.toDateString()) {
+    return `Last seen today at ${time}`;
+  }
+  if (lastSeen.toDateString() === yesterday.toDateString()) {
+    return `Last seen yesterday at ${time}`;
+  }
+  return `Last seen ${lastSeen.toLocaleDateString()} at ${time}`;
+};
@@ -0,0 +1,37 @@
+const { createMemoryAdapter } = require("./memoryAdapter");
+const { createRedisAdapter } = require("./redisAdapter");
+
+/**
+ * Create the realtime adapter selected by the environment
+ *
+ * REALTIME_ADAPTER=memory (default) keeps routing and presence in this process.
+ * REALTIME_ADAPTER=redis shares both through REDIS_URL so several instances can run
+ * behind a load balancer, e.g. two local nodes against a local Redis:
+ *   REALTIME_ADAPTER=redis PORT=5000 node index.js
+ *   REALTIME_ADAPTER=redis PORT=5001 node index.js
+ * A local Redis can run in Docker with `docker run --rm -p 6379:6379 redis:7`, and
+ * `npm run check:redis-adapter` starts two nodes against REDIS_URL and checks a cross-node delivery.
+ *
+ * Every adapter exposes { name, socketAdapter, presenceStore, close }.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Realtime adapter
+ */
+const createRealtimeAdapter = async (env = process.env) => {
+  const adapterName = (env.REALTIME_ADAPTER || "memory").toLowerCase();
+
+  switch (adapterName) {
+    case "memory":
+      return createMemoryAdapter();
+    case "redis":
+      return createRedisAdapter({
+        url: env.REDIS_URL || "redis://localhost:6379",
+        keyPrefix: env.REDIS_KEY_PREFIX || "chat:"
+      });
+    default:
+      throw new Error(`Unknown realtime adapter: ${adapterName}`);
+  }
+};
+
+module.exports = {
+  createRealtimeAdapter
+};
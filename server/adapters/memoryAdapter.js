@@ -0,0 +1,77 @@
+/**
+ * In-process presence store used when a single server instance handles all sockets
+ */
+class MemoryPresenceStore {
+  constructor() {
+    // userId -> Set of socket IDs, one entry per open tab or device
+    this.userSockets = new Map();
+  }
+
+  /**
+   * Register a socket for a user
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {number} - Live socket count after the change
+   */
+  async addSocket(userId, socketId) {
+    let sockets = this.userSockets.get(userId);
+    if (!sockets) {
+      sockets = new Set();
+      this.userSockets.set(userId, sockets);
+    }
+    sockets.add(socketId);
+    return sockets.size;
+  }
+
+  /**
+   * Unregister a socket for a user
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {number} - Live socket count after the change
+   */
+  async removeSocket(userId, socketId) {
+    const sockets = this.userSockets.get(userId);
+    if (!sockets) {
+      return 0;
+    }
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      this.userSockets.delete(userId);
+    }
+    return sockets.size;
+  }
+
+  /**
+   * Get all live socket IDs for a user
+   * @param {string} userId - User ID
+   * @returns {Array} - Socket IDs
+   */
+  async getSocketIds(userId) {
+    return Array.from(this.userSockets.get(userId) || []);
+  }
+
+  async close() {
+    this.userSockets.clear();
+  }
+}
+
+/**
+ * Single-node realtime adapter: Socket.IO's built-in in-memory adapter plus a local presence store
+ * @returns {Object} - Realtime adapter
+ */
+const createMemoryAdapter = async () => {
+  const presenceStore = new MemoryPresenceStore();
+
+  return {
+    name: "memory",
+    socketAdapter: null,
+    presenceStore,
+    close: () => presenceStore.close()
+  };
+};
+
+module.exports = {
+  MemoryPresenceStore,
+  createMemoryAdapter
+};
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+
+// A node whose heartbeat key has expired is treated as dead and its sockets are ignored
+const NODE_TTL_MS = 30 * 1000;
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Presence store shared by every server instance through Redis
+ *
+ * Keys:
+ *   <prefix>presence:<userId>  set of "<nodeId>|<socketId>"
+ *   <prefix>node:<nodeId>      heartbeat, expires after NODE_TTL_MS
+ *   <prefix>node-sockets:<nodeId>  set of "<userId>|<socketId>" owned by the node
+ *   <prefix>nodes              set of node IDs that may still own sockets
+ *
+ * A node that dies without close() leaves its sets behind; every node prunes those of dead
+ * nodes on start and with each heartbeat.
+ */
+class RedisPresenceStore {
+  constructor(client, { keyPrefix = "chat:", nodeId = crypto.randomUUID() } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.nodeId = nodeId;
+    this.heartbeat = null;
+  }
+
+  userKey(userId) {
+    return `${this.keyPrefix}presence:${userId}`;
+  }
+
+  nodeKey(nodeId) {
+    return `${this.keyPrefix}node:${nodeId}`;
+  }
+
+  nodeSocketsKey(nodeId) {
+    return `${this.keyPrefix}node-sockets:${nodeId}`;
+  }
+
+  nodesKey() {
+    return `${this.keyPrefix}nodes`;
+  }
+
+  /**
+   * Start refreshing this node's heartbeat key
+   */
+  async start() {
+    const beat = async () => {
+      await this.client
+        .multi()
+        .set(this.nodeKey(this.nodeId), "1", { PX: NODE_TTL_MS })
+        .sAdd(this.nodesKey(), this.nodeId)
+        .exec();
+      await this.pruneDeadNodes();
+    };
+    await beat();
+    this.heartbeat = setInterval(() => {
+      beat().catch((error) => console.error("Presence heartbeat error:", error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Remove the sockets of nodes whose heartbeat has expired, along with their node-sockets sets
+   * @returns {Promise<Array>} - IDs of the pruned nodes
+   */
+  async pruneDeadNodes() {
+    const nodeIds = (await this.client.sMembers(this.nodesKey())).filter((nodeId) => nodeId !== this.nodeId);
+    if (nodeIds.length === 0) {
+      return [];
+    }
+
+    const alive = await this.client.mGet(nodeIds.map((nodeId) => this.nodeKey(nodeId)));
+    const deadNodeIds = nodeIds.filter((nodeId, index) => alive[index] === null);
+
+    for (const nodeId of deadNodeIds) {
+      const owned = await this.client.sMembers(this.nodeSocketsKey(nodeId));
+      const multi = this.client.multi();
+      owned.forEach((entry) => {
+        const [userId, socketId] = entry.split("|");
+        multi.sRem(this.userKey(userId), `${nodeId}|${socketId}`);
+      });
+      multi.del(this.nodeSocketsKey(nodeId));
+      multi.sRem(this.nodesKey(), nodeId);
+      await multi.exec();
+    }
+
+    return deadNodeIds;
+  }
+
+  async addSocket(userId, socketId) {
+    await this.client
+      .multi()
+      .sAdd(this.userKey(userId), `${this.nodeId}|${socketId}`)
+      .sAdd(this.nodeSocketsKey(this.nodeId), `${userId}|${socketId}`)
+      .exec();
+    return (await this.getSocketIds(userId)).length;
+  }
+
+  async removeSocket(userId, socketId) {
+    await this.client
+      .multi()
+      .sRem(this.userKey(userId), `${this.nodeId}|${socketId}`)
+      .sRem(this.nodeSocketsKey(this.nodeId), `${userId}|${socketId}`)
+      .exec();
+    return (await this.getSocketIds(userId)).length;
+  }
+
+  /**
+   * Get live socket IDs for a user across all nodes, pruning entries of dead nodes
+   * @param {string} userId - User ID
+   * @returns {Array} - Socket IDs
+   */
+  async getSocketIds(userId) {
+    const members = await this.client.sMembers(this.userKey(userId));
+    if (members.length === 0) {
+      return [];
+    }
+
+    const entries = members.map((member) => {
+      const [nodeId, socketId] = member.split("|");
+      return { member, nodeId, socketId };
+    });
+    const nodeIds = [...new Set(entries.map((entry) => entry.nodeId))];
+    const alive = await this.client.mGet(nodeIds.map((nodeId) => this.nodeKey(nodeId)));
+    const liveNodes = new Set(nodeIds.filter((nodeId, index) => alive[index] !== null));
+
+    const stale = entries.filter((entry) => !liveNodes.has(entry.nodeId));
+    if (stale.length > 0) {
+      await this.client.sRem(this.userKey(userId), stale.map((entry) => entry.member));
+    }
+
+    return entries
+      .filter((entry) => liveNodes.has(entry.nodeId))
+      .map((entry) => entry.socketId);
+  }
+
+  /**
+   * Drop every socket owned by this node and stop the heartbeat
+   */
+  async close() {
+    clearInterval(this.heartbeat);
+
+    const owned = await this.client.sMembers(this.nodeSocketsKey(this.nodeId));
+    const multi = this.client.multi();
+    owned.forEach((entry) => {
+      const [userId, socketId] = entry.split("|");
+      multi.sRem(this.userKey(userId), `${this.nodeId}|${socketId}`);
+    });
+    multi.del(this.nodeSocketsKey(this.nodeId));
+    multi.del(this.nodeKey(this.nodeId));
+    multi.sRem(this.nodesKey(), this.nodeId);
+    await multi.exec();
+  }
+}
+
+/**
+ * Cluster realtime adapter: Socket.IO Redis adapter for cross-node fan-out plus a Redis presence store
+ * @param {Object} options - Adapter options
+ * @param {string} options.url - Redis connection URL
+ * @param {string} options.keyPrefix - Prefix for presence keys
+ * @returns {Object} - Realtime adapter
+ */
+const createRedisAdapter = async ({ url, keyPrefix }) => {
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+
+  pubClient.on("error", (error) => console.error("Redis pub client error:", error.message));
+  subClient.on("error", (error) => console.error("Redis sub client error:", error.message));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  const presenceStore = new RedisPresenceStore(pubClient, { keyPrefix });
+  await presenceStore.start();
+
+  return {
+    name: "redis",
+    socketAdapter: createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }),
+    presenceStore,
+    close: async () => {
+      await presenceStore.close();
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+module.exports = {
+  RedisPresenceStore,
+  createRedisAdapter
+};
@@ -0,0 +1,92 @@
+const ConversationService = require("../services/conversationService");
+
+module.exports.createGroup = async (req, res, next) => {
+  try {
+    const result = await ConversationService.createGroup(req.user._id, req.body);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.getConversation = async (req, res, next) => {
+  try {
+    const result = await ConversationService.getConversation(req.params.conversationId, req.user._id);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.updateGroup = async (req, res, next) => {
+  try {
+    const result = await ConversationService.updateGroup(req.params.conversationId, req.user._id, req.body);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation, msg: result.message } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.addMembers = async (req, res, next) => {
+  try {
+    const result = await ConversationService.addMembers(req.params.conversationId, req.user._id, req.body.userIds);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation, msg: result.message } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.removeMember = async (req, res, next) => {
+  try {
+    const result = await ConversationService.removeMember(req.params.conversationId, req.user._id, req.params.userId);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation, msg: result.message } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.promoteAdmin = async (req, res, next) => {
+  try {
+    const result = await ConversationService.promoteAdmin(req.params.conversationId, req.user._id, req.params.userId);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { conversation: result.conversation, msg: result.message } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.leaveGroup = async (req, res, next) => {
+  try {
+    const result = await ConversationService.leaveGroup(req.params.conversationId, req.user._id);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
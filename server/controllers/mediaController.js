@@ -0,0 +1,90 @@
+const AuthService = require("../services/authService");
+const MediaService = require("../services/mediaService");
+const StorageService = require("../services/storageService");
+
+// Uploads are stored under unique keys and never change, so the requesting browser may keep them
+const CACHE_MAX_AGE_SECONDS = 60 * 60;
+
+const sendStoredFile = async (res, key) => {
+  const driver = StorageService.getDriver();
+
+  // Object stores serve the bytes (and range requests) themselves
+  if (driver.directDownloads) {
+    return res.redirect(await MediaService.signKey(key));
+  }
+
+  // The recorded type wins over the one sendFile would guess from the key, and only images and
+  // audio may render here: anything else on this origin could run as a page
+  const { mimeType, inline } = await MediaService.describeKey(key);
+  res.type(mimeType);
+  if (!inline) {
+    res.attachment();
+  }
+
+  // sendFile handles range requests, which audio seeking relies on
+  res.set("Cache-Control", `private, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  return new Promise((resolve, reject) => {
+    res.sendFile(driver.resolve(key), { cacheControl: false }, (error) => {
+      if (error && !res.headersSent) {
+        return reject(error);
+      }
+      resolve();
+    });
+  });
+};
+
+module.exports.serveMedia = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (signature) {
+      // Signed URLs stand in for the Authorization header that img/audio elements cannot send
+      const driver = StorageService.getDriver();
+      if (!driver.verifySignature?.(key, expires, signature)) {
+        return res.status(403).json({
+          status: false,
+          msg: "Media link is invalid or has expired"
+        });
+      }
+    } else {
+      const authResult = await AuthService.authenticateUser(req);
+      if (!authResult.success) {
+        return res.status(authResult.statusCode || 401).json({
+          status: false,
+          msg: authResult.error
+        });
+      }
+
+      const accessResult = await MediaService.authorizeKey(authResult.user._id, key);
+      if (!accessResult.success) {
+        return res.status(accessResult.statusCode).json({
+          status: false,
+          msg: accessResult.error
+        });
+      }
+    }
+
+    await sendStoredFile(res, key);
+  } catch (ex) {
+    if (ex.code === "ENOENT") {
+      return res.status(404).json({ status: false, msg: "Media not found" });
+    }
+    next(ex);
+  }
+};
+
+module.exports.getSignedUrls = async (req, res, next) => {
+  try {
+    const result = await MediaService.getSignedUrls(req.user._id, req.body.keys);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { urls: result.urls, expiresIn: result.expiresIn }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
@@ -1,15 +1,19 @@
-const Message = require("../models/messageModel");
-const jwt = require("jsonwebtoken");
+const MessageService = require("../services/messageService");
+const AttachmentService = require("../services/attachmentService");
+const AuthService = require("../services/authService");
+const EmailVerificationService = require("../services/emailVerificationService");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
 
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+// Uploads are processed here first, then moved into the configured storage driver
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "chat-app-uploads");
 
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = 'uploads/';
+    const uploadDir = UPLOAD_TMP_DIR;
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
@@ -17,16 +21,22 @@ const storage = multer.diskStorage({
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    // The extension follows the MIME type checked by fileFilter, never the client's file name
+    cb(null, file.fieldname + '-' + uniqueSuffix + AttachmentService.getExtension(file.mimetype));
   }
 });
 
 const fileFilter = (req, file, cb) => {
-  // Accept images only
-  if (file.mimetype.startsWith('image/')) {
+  // "image" and "audio" take their own category only, "file" any accepted attachment
+  const category = AttachmentService.getCategory(file.mimetype);
+  const accepted = file.fieldname === 'file' ? category !== null : category === file.fieldname;
+
+  if (accepted) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'), false);
+    const error = new Error(file.fieldname === 'file' ? 'Unsupported file type' : `Only ${file.fieldname} files are allowed!`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(error, false);
   }
 };
 
@@ -34,91 +44,94 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    // Per-type limits are enforced by AttachmentService after upload
+    fileSize: AttachmentService.getMaxUploadSize()
   }
 });
 
 module.exports.addMessage = async (req, res, next) => {
+  const imageFile = req.files?.image?.[0];
+  const attachmentFile = req.files?.file?.[0];
+  const audioFile = req.files?.audio?.[0];
+  const uploads = [imageFile, attachmentFile, audioFile];
+
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     
     if (!token) {
+      AttachmentService.discard(uploads);
       return res.status(401).json({ 
         status: false, 
         msg: "Access token required" 
       });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const senderId = decoded.userId;
+    // Also rejects expired tokens and ended sessions
+    const authResult = await AuthService.authenticateUser(req);
+    if (!authResult.success) {
+      AttachmentService.discard(uploads);
+      return res.status(authResult.statusCode).json({
+        status: false,
+        msg: authResult.error
+      });
+    }
+    const senderId = authResult.user._id.toString();
+
+    const verification = await EmailVerificationService.authorize(authResult.user, "send-message");
+    if (!verification.success) {
+      AttachmentService.discard(uploads);
+      return res.status(verification.statusCode).json({
+        status: false,
+        msg: verification.error,
+        code: verification.code
+      });
+    }
     
-    const { to, message } = req.body;
-    const imageFile = req.file;
+    const { to, conversationId, message, replyTo, audioDuration } = req.body;
     
-    if (!to) {
+    if (!to && !conversationId) {
+      AttachmentService.discard(uploads);
       return res.status(400).json({
         status: false,
-        msg: "Recipient ID is required"
+        msg: "Recipient ID or conversation ID is required"
       });
     }
     
-    if (!message && !imageFile) {
+    if (!message && !uploads.some(Boolean)) {
       return res.status(400).json({
         status: false,
-        msg: "Message text or image is required"
+        msg: "Message text, image, file or voice recording is required"
       });
     }
     
-    let messageData = {
-      users: [senderId, to],
-      sender: senderId,
-    };
-    
-    // Determine message type and content
-    if (imageFile && message) {
-      messageData.message = {
-        text: message,
-        image: `/uploads/${imageFile.filename}`,
-        type: 'mixed'
-      };
-    } else if (imageFile) {
-      messageData.message = {
-        image: `/uploads/${imageFile.filename}`,
-        type: 'image'
-      };
-    } else {
-      messageData.message = {
-        text: message,
-        type: 'text'
-      };
-    }
-    
-    const newMessage = await Message.create(messageData);
+    const result = await MessageService.createMessage({
+      senderId,
+      to,
+      conversationId,
+      text: message,
+      imageFile,
+      attachmentFile,
+      audioFile,
+      audioDuration,
+      replyTo
+    });
     
-    if (newMessage) {
+    if (result.success) {
       return res.json({
         status: true,
         msg: "Message added successfully",
-        message: {
-          _id: newMessage._id,
-          message: newMessage.message,
-          sender: newMessage.sender,
-          time: newMessage.time
-        }
+        message: await MessageService.formatMessage(result.message)
       });
     } else {
-      return res.json({
+      // Rejected messages must not leave their uploads behind
+      AttachmentService.discard(uploads);
+      return res.status(result.statusCode).json({
         status: false,
-        msg: "Failed to add message to the database"
+        msg: result.error
       });
     }
   } catch (ex) {
-    if (ex.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        status: false, 
-        msg: "Invalid token" 
-      });
-    }
+    AttachmentService.discard(uploads);
     next(ex);
   }
 };
@@ -134,45 +147,48 @@ module.exports.getMessages = async (req, res, next) => {
       });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const currentUserId = decoded.userId;
+    // Also rejects expired tokens and ended sessions
+    const authResult = await AuthService.authenticateUser(req);
+    if (!authResult.success) {
+      return res.status(authResult.statusCode).json({
+        status: false,
+        msg: authResult.error
+      });
+    }
+    const currentUserId = authResult.user._id.toString();
     
-    const { from } = req.body;
+    const { from, conversationId, before, after, limit } = req.body;
     
-    if (!from) {
+    if (!from && !conversationId) {
       return res.status(400).json({
         status: false,
-        msg: "Recipient ID is required"
+        msg: "Recipient ID or conversation ID is required"
       });
     }
     
-    const messages = await Message.find({
-      users: {
-        $all: [currentUserId, from],
-      },
-    }).sort({ updatedAt: 1 });
-    
-    const projectedMessages = messages.map((msg) => {
-      return {
-        fromSelf: msg.sender.toString() === currentUserId,
-        message: msg.message,
-        time: msg.time,
-        _id: msg._id
-      };
+    const result = await MessageService.getMessages(currentUserId, {
+      otherUserId: from,
+      conversationId,
+      before,
+      after,
+      limit
     });
     
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: false,
+        msg: result.error
+      });
+    }
+    
     return res.json({
       status: true,
-      messages: projectedMessages,
-      count: projectedMessages.length
+      conversationId: result.conversationId,
+      messages: result.messages,
+      count: result.count,
+      pagination: result.pagination
     });
   } catch (ex) {
-    if (ex.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        status: false, 
-        msg: "Invalid token" 
-      });
-    }
     next(ex);
   }
 };
@@ -188,48 +204,33 @@ module.exports.deleteMessage = async (req, res, next) => {
       });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const currentUserId = decoded.userId;
-    
-    const { messageId } = req.params;
-    
-    const message = await Message.findById(messageId);
-    
-    if (!message) {
-      return res.status(404).json({
+    // Also rejects expired tokens and ended sessions
+    const authResult = await AuthService.authenticateUser(req);
+    if (!authResult.success) {
+      return res.status(authResult.statusCode).json({
         status: false,
-        msg: "Message not found"
+        msg: authResult.error
       });
     }
+    const currentUserId = authResult.user._id.toString();
     
-    if (message.sender.toString() !== currentUserId) {
-      return res.status(403).json({
+    const { messageId } = req.params;
+    const scope = req.query.scope || req.body?.scope || 'everyone';
+    
+    if (!['me', 'everyone'].includes(scope)) {
+      return res.status(400).json({
         status: false,
-        msg: "You can only delete your own messages"
+        msg: "Scope must be 'me' or 'everyone'"
       });
     }
     
-    // Delete associated image file if exists
-    if (message.message.image) {
-      const imagePath = path.join(__dirname, '..', message.message.image);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    }
+    const result = await MessageService.deleteMessage(messageId, currentUserId, scope);
     
-    await Message.findByIdAndDelete(messageId);
-    
-    return res.json({
-      status: true,
-      msg: "Message deleted successfully"
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
     });
   } catch (ex) {
-    if (ex.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        status: false, 
-        msg: "Invalid token" 
-      });
-    }
     next(ex);
   }
 };
@@ -245,58 +246,151 @@ module.exports.getConversations = async (req, res, next) => {
       });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const currentUserId = decoded.userId;
+    // Also rejects expired tokens and ended sessions
+    const authResult = await AuthService.authenticateUser(req);
+    if (!authResult.success) {
+      return res.status(authResult.statusCode).json({
+        status: false,
+        msg: authResult.error
+      });
+    }
+    const currentUserId = authResult.user._id.toString();
+    
+    const result = await MessageService.getConversations(currentUserId);
     
-    const conversations = await Message.aggregate([
-      {
-        $match: {
-          users: { $in: [currentUserId] }
-        }
-      },
-      {
-        $sort: { time: -1 }
-      },
-      {
-        $group: {
-          _id: {
-            $cond: [
-              { $eq: ["$users.0", currentUserId] },
-              "$users.1",
-              "$users.0"
-            ]
-          },
-          lastMessage: { 
-            $first: {
-              $cond: [
-                { $eq: ["$message.type", "text"] },
-                "$message.text",
-                { $cond: [
-                  { $eq: ["$message.type", "image"] },
-                  "📷 Image",
-                  { $concat: ["$message.text", " 📷"] }
-                ]}
-              ]
-            }
-          },
-          lastMessageTime: { $first: "$time" },
-          messageCount: { $sum: 1 }
-        }
-      }
-    ]);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: false,
+        msg: result.error
+      });
+    }
     
     return res.json({
       status: true,
-      conversations,
-      count: conversations.length
+      conversations: result.conversations,
+      count: result.count
     });
   } catch (ex) {
-    if (ex.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        status: false, 
-        msg: "Invalid token" 
+    next(ex);
+  }
+};
+
+module.exports.markAsRead = async (req, res, next) => {
+  try {
+    const { from, conversationId } = req.body;
+    
+    if (!from && !conversationId) {
+      return res.status(400).json({
+        status: false,
+        msg: "Recipient ID or conversation ID is required"
+      });
+    }
+    
+    const result = await MessageService.markConversationRead(req.user._id.toString(), {
+      otherUserId: from,
+      conversationId
+    });
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { conversationId: result.conversationId, count: result.count }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.editMessage = async (req, res, next) => {
+  try {
+    const result = await MessageService.editMessage(req.params.messageId, req.user._id, req.body.text);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { message: result.message } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const result = await MessageService.getAttachment(req.params.messageId, req.user._id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: false,
+        msg: result.error
       });
     }
+
+    // res.attachment sets Content-Disposition: attachment with the original (RFC 5987 encoded) name
+    res.attachment(result.fileName);
+    if (result.mimeType) {
+      res.type(result.mimeType);
+    }
+    if (result.size) {
+      res.set("Content-Length", result.size);
+    }
+    result.stream.on("error", next);
+    return result.stream.pipe(res);
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.markPlayed = async (req, res, next) => {
+  try {
+    const result = await MessageService.markPlayed(req.user._id, req.params.messageId);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { messageId: result.messageId } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.forwardMessages = async (req, res, next) => {
+  try {
+    const { messageIds, conversationIds, userIds } = req.body;
+    const result = await MessageService.forwardMessages(req.user._id, { messageIds, conversationIds, userIds });
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { messages: result.messages, count: result.count } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.reactToMessage = async (req, res, next) => {
+  try {
+    const { emoji, action } = req.body;
+    const result = await MessageService.reactToMessage(req.params.messageId, req.user._id, emoji, action);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { reactions: result.reactions } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.removeReaction = async (req, res, next) => {
+  try {
+    const result = await MessageService.reactToMessage(req.params.messageId, req.user._id, req.params.emoji, 'remove');
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { reactions: result.reactions } : { msg: result.error })
+    });
+  } catch (ex) {
     next(ex);
   }
 };
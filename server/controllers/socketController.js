@@ -0,0 +1,79 @@
+const MessageService = require("../services/messageService");
+const EmailVerificationService = require("../services/emailVerificationService");
+
+/**
+ * Reply to a Socket.IO acknowledgement callback in the REST response shape
+ * @param {Function} ack - Acknowledgement callback (optional)
+ * @param {Object} result - Service result
+ * @param {Object} data - Extra fields for successful results
+ */
+const reply = (ack, result, data = {}) => {
+  if (typeof ack !== "function") {
+    return;
+  }
+  ack({
+    status: result.success,
+    ...(result.success ? data : { msg: result.error })
+  });
+};
+
+/**
+ * Attach message receipt and reaction listeners to an authenticated socket
+ * @param {Object} socket - Socket.IO socket
+ */
+module.exports.registerMessageEvents = (socket) => {
+  const { userId, emailVerified } = socket.data;
+
+  // Recipient's client got a message
+  socket.on("message-delivered", async (payload = {}, ack) => {
+    try {
+      const result = await MessageService.markDelivered(userId, payload.messageIds);
+      reply(ack, result, { count: result.count });
+    } catch (error) {
+      reply(ack, { success: false, error: "Failed to mark messages as delivered" });
+    }
+  });
+
+  // Recipient is viewing the chat
+  socket.on("messages-read", async (payload = {}, ack) => {
+    try {
+      const result = await MessageService.markConversationRead(userId, {
+        otherUserId: payload.from,
+        conversationId: payload.conversationId
+      });
+      reply(ack, result, { count: result.count });
+    } catch (error) {
+      reply(ack, { success: false, error: "Failed to mark conversation as read" });
+    }
+  });
+
+  // Recipient started listening to a voice message
+  socket.on("message-played", async (payload = {}, ack) => {
+    try {
+      const result = await MessageService.markPlayed(userId, payload.messageId);
+      reply(ack, result, { messageId: result.messageId });
+    } catch (error) {
+      reply(ack, { success: false, error: "Failed to mark voice message as played" });
+    }
+  });
+
+  // Same as POST /api/messages/:messageId/reactions, without a round trip through HTTP
+  socket.on("message-react", async (payload = {}, ack) => {
+    try {
+      const verification = await EmailVerificationService.authorize({ _id: userId, emailVerified }, "react");
+      if (!verification.success) {
+        return reply(ack, verification);
+      }
+
+      const result = await MessageService.reactToMessage(
+        payload.messageId,
+        userId,
+        payload.emoji,
+        payload.action
+      );
+      reply(ack, result, { reactions: result.reactions });
+    } catch (error) {
+      reply(ack, { success: false, error: "Failed to update reaction" });
+    }
+  });
+};
@@ -1,13 +1,47 @@
 const UserService = require("../services/userService");
+const EmailVerificationService = require("../services/emailVerificationService");
+const PasswordResetService = require("../services/passwordResetService");
+const TwoFactorService = require("../services/twoFactorService");
 const { authenticateToken } = require("../middleware/authMiddleware");
 
+// Recorded on the session a login creates
+const requestContext = (req) => ({
+  userAgent: req.get("user-agent") || "",
+  ip: req.ip
+});
+
 module.exports.login = async (req, res, next) => {
   try {
-    const result = await UserService.loginUser(req.body);
+    const result = await UserService.loginUser(req.body, requestContext(req));
+    
+    if (result.twoFactorRequired) {
+      return res.status(result.statusCode).json({
+        status: true,
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken
+      });
+    }
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { user: result.user, token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const result = await UserService.completeTwoFactorLogin(req.body, requestContext(req));
     
     return res.status(result.statusCode).json({
       status: result.success,
-      ...(result.success ? { user: result.user, token: result.token } : { msg: result.error })
+      ...(result.success
+        ? { user: result.user, token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn }
+        : { msg: result.error, code: result.code })
     });
   } catch (ex) {
     next(ex);
@@ -16,11 +50,28 @@ module.exports.login = async (req, res, next) => {
 
 module.exports.register = async (req, res, next) => {
   try {
-    const result = await UserService.registerUser(req.body);
+    const result = await UserService.registerUser(req.body, requestContext(req));
     
     return res.status(result.statusCode).json({
       status: result.success,
-      ...(result.success ? { user: result.user, token: result.token } : { msg: result.error })
+      ...(result.success
+        ? { user: result.user, token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.refresh = async (req, res, next) => {
+  try {
+    const result = await UserService.refreshSession(req.body.refreshToken);
+
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn }
+        : { msg: result.error, code: result.code })
     });
   } catch (ex) {
     next(ex);
@@ -53,14 +104,121 @@ module.exports.setAvatar = async (req, res, next) => {
   }
 };
 
-module.exports.logout = (req, res, next) => {
+module.exports.getPresence = async (req, res, next) => {
+  try {
+    const userIds = typeof req.query.userIds === "string"
+      ? req.query.userIds.split(",").map((id) => id.trim()).filter(Boolean)
+      : [];
+    const result = await UserService.getPresence(userIds);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { presence: result.presence } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.logout = async (req, res, next) => {
+  try {
+    const result = await UserService.logout(req.user._id, req.token.sid);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.logoutOthers = async (req, res, next) => {
+  try {
+    const result = await UserService.logoutOtherSessions(req.user._id, req.token.sid);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { msg: result.message, count: result.count } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.verifyEmail = async (req, res, next) => {
+  try {
+    const result = await UserService.verifyEmail(req.body.token);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error,
+      ...(result.success ? { userId: result.userId } : {})
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.resendVerification = async (req, res, next) => {
+  try {
+    const result = await EmailVerificationService.resend(req.user._id);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.forgotPassword = async (req, res, next) => {
+  try {
+    const result = await PasswordResetService.request(req.body.email);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.resetPassword = async (req, res, next) => {
+  try {
+    const result = await UserService.resetPassword(req.body.token, req.body.password);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.getSessions = async (req, res, next) => {
   try {
-    // Remove user from online users (if you have this functionality)
-    // onlineUsers.delete(req.user._id);
+    const result = await UserService.getSessions(req.user._id, req.token.sid);
     
-    return res.json({ 
-      status: true, 
-      msg: "User logged out successfully" 
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { sessions: result.sessions } : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.revokeSession = async (req, res, next) => {
+  try {
+    const result = await UserService.revokeSession(req.user._id, req.params.id);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      msg: result.success ? result.message : result.error
     });
   } catch (ex) {
     next(ex);
@@ -99,7 +257,7 @@ module.exports.changePassword = async (req, res, next) => {
     
     return res.status(result.statusCode).json({
       status: result.success,
-      ...(result.success ? { msg: result.message } : { msg: result.error })
+      ...(result.success ? { msg: result.message } : { msg: result.error, code: result.code })
     });
   } catch (ex) {
     next(ex);
@@ -108,11 +266,84 @@ module.exports.changePassword = async (req, res, next) => {
 
 module.exports.deleteAccount = async (req, res, next) => {
   try {
-    const result = await UserService.deleteAccount(req.user._id, req.body.password);
+    const result = await UserService.deleteAccount(req.user._id, req.body.password, req.body.twoFactorCode);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { msg: result.message } : { msg: result.error, code: result.code })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.getStatus(req.user._id);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { enabled: result.enabled, recoveryCodesRemaining: result.recoveryCodesRemaining }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.startEnrollment(req.user._id);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { secret: result.secret, otpauthUrl: result.otpauthUrl, qrCode: result.qrCode }
+        : { msg: result.error })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.confirmEnrollment(req.user._id, req.body.code);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success
+        ? { msg: result.message, recoveryCodes: result.recoveryCodes }
+        : { msg: result.error, code: result.code })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.disable(req.user._id, req.body);
+    
+    return res.status(result.statusCode).json({
+      status: result.success,
+      ...(result.success ? { msg: result.message } : { msg: result.error, code: result.code })
+    });
+  } catch (ex) {
+    next(ex);
+  }
+};
+
+module.exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
     
     return res.status(result.statusCode).json({
       status: result.success,
-      ...(result.success ? { msg: result.message } : { msg: result.error })
+      ...(result.success
+        ? { msg: result.message, recoveryCodes: result.recoveryCodes }
+        : { msg: result.error, code: result.code })
     });
   } catch (ex) {
     next(ex);
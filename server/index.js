@@ -3,22 +3,38 @@ const cors = require("cors");
 const mongoose = require("mongoose");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
-const path = require("path");
 const authRoutes = require("./routes/auth");
 const messageRoutes = require("./routes/messages");
+const conversationRoutes = require("./routes/conversations");
+const mediaRoutes = require("./routes/media");
 const { requestLogger, errorHandler, rateLimiter } = require("./middleware/authMiddleware");
+const SocketService = require("./services/socketService");
+const StorageService = require("./services/storageService");
+const MailService = require("./services/mailService");
+const BlobService = require("./services/blobService");
+const { createRealtimeAdapter } = require("./adapters");
+const { createStorage } = require("./storage");
+const { createMailer } = require("./mailer");
+const { registerMessageEvents } = require("./controllers/socketController");
 const app = express();
-const socket = require("socket.io");
 require("dotenv").config();
 
 // Middleware
 app.use(cors());
+// Browsers must use the Content-Type we send, never one sniffed from stored user content
+app.use((req, res, next) => {
+  res.set("X-Content-Type-Options", "nosniff");
+  next();
+});
 app.use(express.json());
 app.use(requestLogger);
 app.use(rateLimiter(100, 15 * 60 * 1000)); // 100 requests per 15 minutes
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploads are only reachable through the authorized /api/media routes
+StorageService.useDriver(createStorage());
+console.log(`Storage driver: ${StorageService.getDriver().name}`);
+MailService.useDriver(createMailer());
+console.log(`Mail driver: ${MailService.getDriver().name}`);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -85,6 +101,11 @@ const swaggerOptions = {
               type: "boolean",
               description: "Whether avatar is set",
               example: true
+            },
+            emailVerified: {
+              type: "boolean",
+              description: "Whether the email address was verified; unverified accounts cannot send messages or manage groups",
+              example: true
             }
           },
           required: ["_id", "username", "email"]
@@ -107,17 +128,36 @@ const swaggerOptions = {
                 },
                 image: {
                   type: "string",
-                  description: "Image file path",
-                  example: "/uploads/image-1234567890.jpg"
+                  description: "Storage key of the image, served at /api/media/{key}",
+                  example: "image-1234567890.jpg"
+                },
+                imageUrl: {
+                  type: "string",
+                  description: "Short-lived signed URL of the original image (MEDIA_URL_TTL_MINUTES)",
+                  example: "/api/media/image-1234567890.jpg?expires=1700000000&signature=abc"
+                },
+                file: {
+                  $ref: "#/components/schemas/FileAttachment"
+                },
+                imageMeta: {
+                  $ref: "#/components/schemas/ImageMeta"
+                },
+                audio: {
+                  $ref: "#/components/schemas/AudioAttachment"
                 },
                 type: {
                   type: "string",
-                  enum: ["text", "image", "mixed"],
+                  enum: ["text", "image", "mixed", "file", "audio"],
                   description: "Message type",
                   example: "mixed"
                 }
               }
             },
+            conversation: {
+              type: "string",
+              description: "Conversation ID",
+              example: "507f1f77bcf86cd799439020"
+            },
             users: {
               type: "array",
               items: {
@@ -136,6 +176,46 @@ const swaggerOptions = {
               format: "date-time",
               description: "Message timestamp",
               example: "2024-01-15T10:30:00.000Z"
+            },
+            replyTo: {
+              allOf: [{ $ref: "#/components/schemas/ReplySnapshot" }],
+              nullable: true
+            },
+            reactions: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Reaction" }
+            },
+            forwarded: {
+              type: "boolean",
+              description: "Whether the message was forwarded from another chat"
+            },
+            forwardCount: {
+              type: "integer",
+              description: "Forwarding hops from the original message",
+              example: 1
+            },
+            playedBy: {
+              type: "array",
+              items: { type: "string" },
+              description: "Recipients who played a voice message"
+            },
+            editedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Time of the last edit, null if never edited"
+            },
+            deletedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Set when the sender deleted the message for everyone; text and image are then empty"
+            },
+            status: {
+              type: "string",
+              enum: ["sent", "delivered", "read"],
+              description: "Delivery state across all recipients",
+              example: "delivered"
             }
           },
           required: ["_id", "message", "sender"]
@@ -145,9 +225,20 @@ const swaggerOptions = {
           properties: {
             _id: {
               type: "string",
-              description: "Other user's ID in conversation",
+              description: "Other user's ID for direct chats, conversation ID for groups",
               example: "507f1f77bcf86cd799439013"
             },
+            conversationId: {
+              type: "string",
+              description: "Conversation ID",
+              example: "507f1f77bcf86cd799439020"
+            },
+            type: {
+              type: "string",
+              enum: ["direct", "group"],
+              description: "Conversation type",
+              example: "direct"
+            },
             lastMessage: {
               type: "string",
               description: "Last message in conversation (with emoji for images)",
@@ -163,6 +254,271 @@ const swaggerOptions = {
               type: "integer",
               description: "Total number of messages in conversation",
               example: 25
+            },
+            unreadCount: {
+              type: "integer",
+              description: "Messages from others not yet read by the current user",
+              example: 3
+            }
+          }
+        },
+        FileAttachment: {
+          type: "object",
+          description: "Document or archive attached to a file message",
+          properties: {
+            key: {
+              type: "string",
+              description: "Storage key, served at /api/media/{key}",
+              example: "file-1234567890.pdf"
+            },
+            name: {
+              type: "string",
+              description: "Original file name",
+              example: "itinerary.pdf"
+            },
+            size: {
+              type: "integer",
+              description: "Size in bytes",
+              example: 482133
+            },
+            mimeType: {
+              type: "string",
+              example: "application/pdf"
+            }
+          }
+        },
+        ImageMeta: {
+          type: "object",
+          description: "Computed when an image is uploaded; the stored original has its EXIF/GPS metadata removed and its orientation applied",
+          properties: {
+            width: {
+              type: "integer",
+              example: 1200
+            },
+            height: {
+              type: "integer",
+              example: 1600
+            },
+            placeholder: {
+              type: "string",
+              description: "Tiny WebP data URI to show blurred while the thumbnail loads"
+            },
+            thumbnails: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  size: {
+                    type: "string",
+                    enum: ["small", "medium"],
+                    description: "small fits 320px, medium fits 800px"
+                  },
+                  key: {
+                    type: "string",
+                    description: "Storage key, served at /api/media/{key}",
+                    example: "image-1234567890-medium.webp"
+                  },
+                  url: {
+                    type: "string",
+                    description: "Short-lived signed URL"
+                  },
+                  width: {
+                    type: "integer",
+                    example: 600
+                  },
+                  height: {
+                    type: "integer",
+                    example: 800
+                  }
+                }
+              }
+            }
+          }
+        },
+        AudioAttachment: {
+          type: "object",
+          description: "Voice recording of an audio message",
+          properties: {
+            key: {
+              type: "string",
+              description: "Storage key, served at /api/media/{key}",
+              example: "audio-1234567890.webm"
+            },
+            url: {
+              type: "string",
+              description: "Short-lived signed URL"
+            },
+            duration: {
+              type: "number",
+              nullable: true,
+              description: "Length in seconds",
+              example: 12.4
+            },
+            waveform: {
+              type: "array",
+              items: { type: "integer" },
+              description: "Peak amplitude per bar, 0-100 (empty when the server could not decode the audio)",
+              example: [12, 40, 87, 100, 63, 20]
+            },
+            size: {
+              type: "integer",
+              example: 48213
+            },
+            mimeType: {
+              type: "string",
+              example: "audio/webm;codecs=opus"
+            }
+          }
+        },
+        Reaction: {
+          type: "object",
+          properties: {
+            emoji: {
+              type: "string",
+              example: "👍"
+            },
+            users: {
+              type: "array",
+              items: { type: "string" },
+              description: "IDs of the users who reacted with this emoji",
+              example: ["507f1f77bcf86cd799439013"]
+            }
+          }
+        },
+        ReplySnapshot: {
+          type: "object",
+          description: "Quoted message as it was when the reply was sent",
+          properties: {
+            messageId: {
+              type: "string",
+              description: "ID of the quoted message",
+              example: "507f1f77bcf86cd799439011"
+            },
+            sender: {
+              type: "string",
+              description: "Sender of the quoted message",
+              example: "507f1f77bcf86cd799439013"
+            },
+            text: {
+              type: "string",
+              description: "Quoted text",
+              example: "Are we still on for tonight?"
+            },
+            type: {
+              type: "string",
+              enum: ["text", "image", "mixed"]
+            }
+          }
+        },
+        Presence: {
+          type: "object",
+          properties: {
+            userId: {
+              type: "string",
+              description: "User ID",
+              example: "507f1f77bcf86cd799439013"
+            },
+            status: {
+              type: "string",
+              enum: ["online", "offline"],
+              description: "Whether the user has at least one connected device",
+              example: "offline"
+            },
+            lastSeen: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the user's last device disconnected (null while online)",
+              example: "2024-01-15T10:30:00.000Z"
+            }
+          }
+        },
+        GroupConversation: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              description: "Conversation ID",
+              example: "507f1f77bcf86cd799439020"
+            },
+            type: {
+              type: "string",
+              enum: ["direct", "group"],
+              example: "group"
+            },
+            name: {
+              type: "string",
+              example: "Weekend trip"
+            },
+            description: {
+              type: "string",
+              example: "Planning for Saturday"
+            },
+            avatarImage: {
+              type: "string",
+              example: "https://api.dicebear.com/7.x/shapes/svg?seed=trip"
+            },
+            members: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  user: {
+                    $ref: "#/components/schemas/User"
+                  },
+                  role: {
+                    type: "string",
+                    enum: ["member", "admin"],
+                    example: "admin"
+                  },
+                  joinedAt: {
+                    type: "string",
+                    format: "date-time"
+                  }
+                }
+              }
+            },
+            createdBy: {
+              type: "string",
+              description: "Creator user ID",
+              example: "507f1f77bcf86cd799439011"
+            }
+          }
+        },
+        Session: {
+          type: "object",
+          description: "One login on one device",
+          properties: {
+            _id: {
+              type: "string",
+              example: "3b241101-e2bb-4255-8caf-4136c566a962"
+            },
+            device: {
+              type: "string",
+              description: "Summary of the user agent",
+              example: "Chrome on Windows"
+            },
+            userAgent: {
+              type: "string",
+              example: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36"
+            },
+            ip: {
+              type: "string",
+              description: "Address the session was last used from",
+              example: "203.0.113.7"
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+              description: "Login time"
+            },
+            lastSeenAt: {
+              type: "string",
+              format: "date-time"
+            },
+            current: {
+              type: "boolean",
+              description: "Whether this is the session making the request"
             }
           }
         },
@@ -222,6 +578,21 @@ const swaggerOptions = {
               type: "string",
               format: "binary",
               description: "Image file (optional if message text is provided)"
+            },
+            file: {
+              type: "string",
+              format: "binary",
+              description: "Document or archive attachment (optional, not combined with image)"
+            },
+            audio: {
+              type: "string",
+              format: "binary",
+              description: "Voice recording (optional, sent on its own)"
+            },
+            replyTo: {
+              type: "string",
+              description: "ID of a message in the same conversation being replied to",
+              example: "507f1f77bcf86cd799439011"
             }
           }
         },
@@ -298,9 +669,21 @@ const swaggerOptions = {
         name: "User Management",
         description: "User profile and account management endpoints"
       },
+      {
+        name: "Two-Factor Authentication",
+        description: "TOTP enrollment, recovery codes and the second login step"
+      },
       {
         name: "Messages",
         description: "Message and conversation management endpoints with image support"
+      },
+      {
+        name: "Conversations",
+        description: "Group conversation membership and metadata endpoints"
+      },
+      {
+        name: "Media",
+        description: "Authorized access to uploaded images, voice messages and files"
       }
     ]
   },
@@ -326,6 +709,8 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/media", mediaRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -346,6 +731,7 @@ mongoose
   })
   .then(() => {
     console.log("DB Connection Successful");
+    BlobService.startGarbageCollection();
   })
   .catch((err) => {
     console.log(err.message);
@@ -354,24 +740,28 @@ mongoose
 const server = app.listen(process.env.PORT, () =>
   console.log(`Server started on ${process.env.PORT}`)
 );
-const io = socket(server, {
-  cors: {
-    origin: "http://localhost:3000",
-    credentials: true,
-  },
-});
 
-global.onlineUsers = new Map();
-io.on("connection", (socket) => {
-  global.chatSocket = socket;
-  socket.on("add-user", (userId) => {
-    onlineUsers.set(userId, socket.id);
-  });
+createRealtimeAdapter()
+  .then((realtimeAdapter) => {
+    SocketService.init(server, {
+      cors: {
+        origin: "http://localhost:3000",
+        credentials: true,
+      },
+    }, realtimeAdapter);
+    SocketService.addConnectionHandler(registerMessageEvents);
+    console.log(`Realtime adapter: ${realtimeAdapter.name}`);
 
-  socket.on("send-msg", (data) => {
-    const sendUserSocket = onlineUsers.get(data.to);
-    if (sendUserSocket) {
-      socket.to(sendUserSocket).emit("msg-recieve", data.msg);
-    }
+    const shutdown = () => {
+      realtimeAdapter
+        .close()
+        .catch((err) => console.log(err.message))
+        .finally(() => process.exit(0));
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  })
+  .catch((err) => {
+    console.log(`Failed to start realtime adapter: ${err.message}`);
+    process.exit(1);
   });
-});
@@ -0,0 +1,45 @@
+const { createLocalMailer } = require("./localMailer");
+const { createSmtpMailer } = require("./smtpMailer");
+
+/**
+ * Create the mail driver selected by the environment
+ *
+ * MAIL_DRIVER=local (default) logs every message and, with MAIL_FILE_DIR set, also saves it
+ * there as an .eml file. MAIL_DRIVER=smtp sends through SMTP_HOST, e.g. a local MailHog:
+ *   docker run -p 1025:1025 -p 8025:8025 mailhog/mailhog
+ *   MAIL_DRIVER=smtp SMTP_HOST=localhost SMTP_PORT=1025 node index.js
+ *
+ * Every driver exposes { name, from, send({ to, subject, text, html }) }.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Mail driver
+ */
+const createMailer = (env = process.env) => {
+  const driverName = (env.MAIL_DRIVER || "local").toLowerCase();
+  const from = env.MAIL_FROM || "Chat App <no-reply@localhost>";
+
+  switch (driverName) {
+    case "local":
+      return createLocalMailer({
+        directory: env.MAIL_FILE_DIR,
+        from
+      });
+    case "smtp":
+      if (!env.SMTP_HOST) {
+        throw new Error("SMTP_HOST is required for the smtp mail driver");
+      }
+      return createSmtpMailer({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from
+      });
+    default:
+      throw new Error(`Unknown mail driver: ${driverName}`);
+  }
+};
+
+module.exports = {
+  createMailer
+};
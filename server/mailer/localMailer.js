@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps mail on this machine for development: every message is logged, and written to
+ * `directory` as an .eml file when one is configured
+ * @param {Object} options - { directory, from }
+ * @returns {Object} - Mail driver
+ */
+const createLocalMailer = ({ directory, from }) => {
+  if (directory) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  return {
+    name: directory ? "local (file)" : "local (console)",
+    from,
+
+    /**
+     * Record one message
+     * @param {Object} message - { to, subject, text, html }
+     */
+    async send({ to, subject, text }) {
+      console.log(`Mail to ${to}: ${subject}\n${text}`);
+
+      if (directory) {
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+        const content = [
+          `From: ${from}`,
+          `To: ${to}`,
+          `Subject: ${subject}`,
+          `Date: ${new Date().toUTCString()}`,
+          "Content-Type: text/plain; charset=utf-8",
+          "",
+          text
+        ].join("\r\n");
+        await fs.promises.writeFile(path.join(directory, fileName), content);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalMailer
+};
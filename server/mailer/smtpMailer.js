@@ -0,0 +1,32 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Sends mail through an SMTP server
+ * @param {Object} options - { host, port, secure, user, pass, from }
+ * @returns {Object} - Mail driver
+ */
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: "smtp",
+    from,
+
+    /**
+     * Send one message
+     * @param {Object} message - { to, subject, text, html }
+     */
+    async send(message) {
+      await transport.sendMail({ from, ...message });
+    }
+  };
+};
+
+module.exports = {
+  createSmtpMailer
+};
@@ -1,4 +1,5 @@
 const AuthService = require("../services/authService");
+const EmailVerificationService = require("../services/emailVerificationService");
 
 /**
  * Middleware to authenticate user requests
@@ -28,6 +29,107 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// setTimeout overflows above this value and fires immediately
+const MAX_TIMEOUT_MS = 2147483647;
+// Clients are asked for a fresh access token this long before the current one expires
+const REFRESH_LEAD_MS = 60 * 1000;
+// Expiry timers of each socket, replaced whenever it re-authenticates
+const expiryTimers = new WeakMap();
+
+const clampDelay = (ms) => Math.min(Math.max(ms, 0), MAX_TIMEOUT_MS);
+
+const clearTokenExpiry = (socket) => {
+  (expiryTimers.get(socket) || []).forEach(clearTimeout);
+  expiryTimers.delete(socket);
+};
+
+/**
+ * Warn the client shortly before its access token expires, and disconnect it if the token
+ * was not replaced through "refresh-auth" by then
+ * @param {Object} socket - Socket.IO socket
+ * @param {number} exp - `exp` claim of the access token (optional)
+ */
+const scheduleTokenExpiry = (socket, exp) => {
+  clearTokenExpiry(socket);
+  if (!exp) {
+    return;
+  }
+
+  const msUntilExpiry = exp * 1000 - Date.now();
+  expiryTimers.set(socket, [
+    setTimeout(() => {
+      socket.emit("token-expiring", { expiresAt: exp * 1000 });
+    }, clampDelay(msUntilExpiry - REFRESH_LEAD_MS)),
+    setTimeout(() => {
+      socket.emit("token-expired", { code: "TOKEN_EXPIRED", msg: "jwt expired" });
+      socket.disconnect(true);
+    }, clampDelay(msUntilExpiry))
+  ]);
+};
+
+/**
+ * Socket.IO middleware to authenticate connections during the handshake
+ * Sets socket.data.userId from the token and disconnects the socket when the token expires.
+ * Failures reach the client as a connect_error with `data: { code, msg }`.
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authResult = await AuthService.authenticateSocket(socket);
+
+    if (!authResult.success) {
+      const err = new Error(authResult.error);
+      err.data = { code: authResult.code, msg: authResult.error };
+      return next(err);
+    }
+
+    socket.data.userId = authResult.user._id.toString();
+    socket.data.username = authResult.user.username;
+    socket.data.sessionId = authResult.token.sid;
+    socket.data.emailVerified = authResult.user.emailVerified;
+    socket.data.tokenExp = authResult.token.exp;
+
+    scheduleTokenExpiry(socket, authResult.token.exp);
+    socket.on("disconnect", () => clearTokenExpiry(socket));
+
+    next();
+  } catch (error) {
+    const err = new Error("Authentication middleware error");
+    err.data = { code: "AUTH_FAILED", msg: err.message };
+    next(err);
+  }
+};
+
+/**
+ * Swap the access token of a connected socket for a newer one of the same session
+ * The connection, its rooms and the user's presence stay as they are; only the expiry moves.
+ * @param {Object} socket - Authenticated socket
+ * @param {string} token - New access token
+ * @returns {Object} - Result with `code` on failure
+ */
+const reauthenticateSocket = async (socket, token) => {
+  if (!token) {
+    return { success: false, error: "Access token required", code: "TOKEN_REQUIRED" };
+  }
+
+  const authResult = await AuthService.authenticateSocket(socket, token);
+  if (!authResult.success) {
+    return authResult;
+  }
+
+  if (
+    authResult.user._id.toString() !== socket.data.userId ||
+    authResult.token.sid !== socket.data.sessionId
+  ) {
+    return { success: false, error: "Token belongs to another session", code: "SESSION_MISMATCH" };
+  }
+
+  socket.data.emailVerified = authResult.user.emailVerified;
+  socket.data.tokenExp = authResult.token.exp;
+  scheduleTokenExpiry(socket, authResult.token.exp);
+
+  return { success: true };
+};
+
 /**
  * Middleware to check if user has permission to access a resource
  * @param {string} resourceType - Type of resource (e.g., 'message', 'user')
@@ -62,6 +164,34 @@ const checkPermission = (resourceType, action) => {
   };
 };
 
+/**
+ * Middleware to keep accounts with an unverified email address out of an action
+ * Must run after authenticateToken. UNVERIFIED_ALLOWED_ACTIONS can open actions up again.
+ * @param {string} action - Action name, see EmailVerificationService
+ */
+const requireVerifiedEmail = (action) => {
+  return async (req, res, next) => {
+    try {
+      const result = await EmailVerificationService.authorize(req.user, action);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          status: false,
+          msg: result.error,
+          code: result.code
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        status: false,
+        msg: "Verification check error"
+      });
+    }
+  };
+};
+
 /**
  * Middleware to validate request body
  * @param {Array} requiredFields - Array of required field names
@@ -93,6 +223,11 @@ const validateRequest = (requiredFields) => {
 const errorHandler = (error, req, res, next) => {
   console.error('Error:', error);
   
+  // A streamed response already started; let Express close the connection
+  if (res.headersSent) {
+    return next(error);
+  }
+  
   // Handle specific error types
   if (error.name === 'ValidationError') {
     return res.status(400).json({
@@ -109,6 +244,20 @@ const errorHandler = (error, req, res, next) => {
     });
   }
   
+  if (error.name === 'MulterError') {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      status: false,
+      msg: error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : error.message
+    });
+  }
+  
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(415).json({
+      status: false,
+      msg: error.message
+    });
+  }
+  
   if (error.code === 11000) {
     return res.status(400).json({
       status: false,
@@ -173,7 +322,10 @@ const rateLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   authenticateToken,
+  authenticateSocket,
+  reauthenticateSocket,
   checkPermission,
+  requireVerifiedEmail,
   validateRequest,
   errorHandler,
   requestLogger,
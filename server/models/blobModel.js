@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// One stored object, shared by every message that uploaded the same content
+const blobSchema = new mongoose.Schema(
+  {
+    // Storage key: SHA-256 of the content plus the file extension
+    _id: {
+      type: String,
+    },
+    // Null for uploads stored before content addressing (see scripts/backfillBlobs.js)
+    hash: {
+      type: String,
+      default: null,
+    },
+    size: Number,
+    mimeType: String,
+    // Objects derived from this one (image thumbnails), removed together with it
+    variants: [String],
+    // MIME type of each variant; media is served with these, never with a type guessed from the key
+    variantTypes: [
+      {
+        _id: false,
+        key: String,
+        mimeType: String,
+      },
+    ],
+    // Messages referencing this blob; forwarded copies count separately
+    refCount: {
+      type: Number,
+      default: 0,
+    },
+    // When refCount last dropped to zero; garbage collected after a grace period
+    orphanedAt: {
+      type: Date,
+      default: null,
+    },
+    // True until the upload that created the record has written the object; uploads of the same
+    // content wait for it. writerToken identifies that upload, writingSince lets a stalled one be replaced.
+    pending: {
+      type: Boolean,
+      default: false,
+    },
+    writerToken: {
+      type: String,
+      default: null,
+    },
+    writingSince: Date,
+    // Set while the garbage collector removes the stored objects; the record cannot be revived then
+    deletingAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blobSchema.index({ orphanedAt: 1 }, { partialFilterExpression: { orphanedAt: { $type: "date" } } });
+
+module.exports = mongoose.model("Blobs", blobSchema);
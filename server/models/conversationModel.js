@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['member', 'admin'],
+      default: 'member',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Received messages this member has not read, excluding hidden and deleted ones
+    unreadCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['direct', 'group'],
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    avatarImage: {
+      type: String,
+      default: "",
+    },
+    members: [memberSchema],
+    // Sorted "userA:userB" pair so each direct chat exists only once
+    directKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSchema.index({ "members.user": 1 });
+
+module.exports = mongoose.model("Conversations", conversationSchema);
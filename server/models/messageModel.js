@@ -1,5 +1,111 @@
 const mongoose = require("mongoose");
 
+const receiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const editHistorySchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+    },
+    // When this version was replaced by the next edit
+    replacedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Voice message; duration (seconds) and waveform (0-100 peaks) are computed on upload
+const audioSchema = new mongoose.Schema(
+  {
+    // Storage key, see storage/index.js
+    key: String,
+    duration: Number,
+    waveform: [Number],
+    size: Number,
+    mimeType: String,
+  },
+  { _id: false }
+);
+
+const thumbnailSchema = new mongoose.Schema(
+  {
+    size: {
+      type: String,
+      enum: ['small', 'medium'],
+    },
+    key: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// Computed on upload so clients can reserve layout and show a blurred preview before anything loads
+const imageMetaSchema = new mongoose.Schema(
+  {
+    width: Number,
+    height: Number,
+    // Tiny WebP data URI
+    placeholder: String,
+    thumbnails: [thumbnailSchema],
+  },
+  { _id: false }
+);
+
+// Copy of the quoted message taken at send time, so the quote outlives edits and deletion
+const replySnapshotSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Messages",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+    },
+    text: {
+      type: String,
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image', 'mixed', 'file', 'audio'],
+    },
+  },
+  { _id: false }
+);
+
+const reactionSchema = new mongoose.Schema(
+  {
+    emoji: {
+      type: String,
+      required: true,
+    },
+    users: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Users",
+      },
+    ],
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     message: {
@@ -7,18 +113,42 @@ const messageSchema = new mongoose.Schema(
         type: String,
         required: false,
       },
+      // Storage key of the original image (see storage/index.js)
       image: {
         type: String,
         required: false,
       },
+      imageMeta: {
+        type: imageMetaSchema,
+        default: undefined,
+      },
+      // Non-image attachment: storage key plus what the uploader's device reported
+      file: {
+        key: String,
+        name: String,
+        size: Number,
+        mimeType: String,
+      },
+      audio: {
+        type: audioSchema,
+        default: undefined,
+      },
       type: {
         type: String,
-        enum: ['text', 'image', 'mixed'],
+        enum: ['text', 'image', 'mixed', 'file', 'audio'],
         default: 'text',
         required: true
       }
     },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversations",
+    },
     users: Array,
+    replyTo: {
+      type: replySnapshotSchema,
+      default: null,
+    },
     sender: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -28,10 +158,52 @@ const messageSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // One entry per recipient once their client has received / viewed the message
+    deliveredTo: [receiptSchema],
+    readBy: [receiptSchema],
+    // Recipients who listened to a voice message
+    playedBy: [receiptSchema],
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the text, oldest first
+    editHistory: [editHistorySchema],
+    forwarded: {
+      type: Boolean,
+      default: false,
+    },
+    // How many forwarding hops separate this copy from the original message
+    forwardCount: {
+      type: Number,
+      default: 0,
+    },
+    // One entry per emoji with everyone who reacted with it; empty entries are removed
+    reactions: [reactionSchema],
+    // Users who deleted the message on their side only
+    hiddenFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Users",
+      },
+    ],
+    // Set when the sender deleted it for everyone; the content is cleared and a tombstone remains
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Serves history pages: equality on conversation, range and sort on _id
+messageSchema.index({ conversation: 1, _id: -1 });
+// Media access checks and shared-upload lookups by storage key
+messageSchema.index({ "message.image": 1 }, { sparse: true });
+messageSchema.index({ "message.imageMeta.thumbnails.key": 1 }, { sparse: true });
+messageSchema.index({ "message.file.key": 1 }, { sparse: true });
+messageSchema.index({ "message.audio.key": 1 }, { sparse: true });
+
 module.exports = mongoose.model("Messages", messageSchema);
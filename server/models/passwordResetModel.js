@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One password reset link; only the newest unused link of a user works
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    // SHA-256 of the token; the token itself only ever appears in the email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the link is used or replaced by a newer one
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passwordResetSchema.index({ user: 1, createdAt: -1 });
+// Expired links are useless, so MongoDB removes them
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResets", passwordResetSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// One refresh token; every rotation adds a token to the same family
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    // Shared by all tokens descending from one login
+    family: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the token; the token itself is only ever known to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the token is exchanged; presenting it again is treated as theft
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are useless, so MongoDB removes them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshTokens", refreshTokenSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// One login on one device; its refresh tokens form the token family with the same ID
+const sessionSchema = new mongoose.Schema(
+  {
+    // Also the `sid` claim of the session's access tokens
+    _id: {
+      type: String,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    // Readable summary of userAgent, e.g. "Chrome on Windows"
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    // Address the session was last used from
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moves forward with every refresh; the session is gone once its refresh token would have expired
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Sessions", sessionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A login waiting for its second factor; the challenge token carries the record's ID
+const twoFactorChallengeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    // Wrong codes entered against this challenge; it is deleted when they reach the limit
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired challenges are useless, so MongoDB removes them
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("TwoFactorChallenges", twoFactorChallengeSchema);
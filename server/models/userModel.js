@@ -27,6 +27,66 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Accounts created before verification existed count as verified; registration sets false
+  emailVerified: {
+    type: Boolean,
+    default: true,
+  },
+  // Last verification mail, for the resend cooldown
+  emailVerificationSentAt: {
+    type: Date,
+    default: null,
+  },
+  // TOTP second factor; secrets and recovery codes are left out of queries unless asked for
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Base32 secret shared with the authenticator app
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret of an enrollment not yet confirmed with a code
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Wrong codes in a row; reaching the limit locks code checks until lockedUntil
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+  },
+  lastSeen: {
+    type: Date,
+    default: null,
+  },
 });
 
 module.exports = mongoose.model("Users", userSchema);
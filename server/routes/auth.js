@@ -4,13 +4,28 @@ const {
   login, 
   setAvatar, 
   getAllUsers, 
+  getPresence, 
   logout, 
   getProfile, 
   updateProfile, 
   changePassword, 
-  deleteAccount 
+  deleteAccount,
+  refresh,
+  logoutOthers,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require("../controllers/userController");
-const { authenticateToken, validateRequest } = require("../middleware/authMiddleware");
+const { authenticateToken, validateRequest, rateLimiter } = require("../middleware/authMiddleware");
 
 /**
  * @swagger
@@ -57,8 +72,16 @@ const { authenticateToken, validateRequest } = require("../middleware/authMiddle
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for /api/auth/refresh
+ *                   example: "q3Jx0m6bS1Vd2c..."
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the access token in seconds
+ *                   example: 900
  *       400:
  *         description: Registration failed
  *         content:
@@ -80,6 +103,9 @@ router.post("/register", validateRequest(['username', 'email', 'password']), reg
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: >
+ *       Accounts with two-factor authentication get `twoFactorRequired` and a `challengeToken`
+ *       instead of tokens, and finish the login with /api/auth/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -114,8 +140,22 @@ router.post("/register", validateRequest(['username', 'email', 'password']), reg
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for /api/auth/refresh
+ *                   example: "q3Jx0m6bS1Vd2c..."
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the access token in seconds
+ *                   example: 900
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Set instead of user and tokens when a second factor is needed
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Proof of the password step for /api/auth/login/2fa, valid for 5 minutes
  *       400:
  *         description: Login failed
  *         content:
@@ -132,6 +172,233 @@ router.post("/register", validateRequest(['username', 'email', 'password']), reg
  */
 router.post("/login", validateRequest(['username', 'password']), login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Finish a login with a second factor
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused recovery code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful; same body as /api/auth/login without a second factor
+ *       401:
+ *         description: >
+ *           Wrong or already used code (code INVALID_TWO_FACTOR_CODE), or the challenge
+ *           expired, was used or had 3 wrong codes (code INVALID_CHALLENGE)
+ *       429:
+ *         description: >
+ *           Too many attempts from this IP address, or too many wrong codes in a row for the
+ *           account (code TWO_FACTOR_LOCKED)
+ */
+router.post("/login/2fa", rateLimiter(10, 15 * 60 * 1000), validateRequest(['challengeToken', 'code']), loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single-use. The response carries a new refresh token that replaces the
+ *       one sent. Sending an already used refresh token revokes every token issued since that
+ *       login, so all devices sharing it must log in again.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "q3Jx0m6bS1Vd2c..."
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   example: "Zp8Kc1wq7YtR0e..."
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 900
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token is invalid, expired or was already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: false
+ *                 msg:
+ *                   type: string
+ *                   example: "Refresh token reuse detected"
+ *                 code:
+ *                   type: string
+ *                   enum: [INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED]
+ */
+router.post("/refresh", validateRequest(['refreshToken']), refresh);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     description: >
+ *       Takes the token from the link mailed after registration or an email change. Until the
+ *       address is verified, sending, forwarding, editing, reacting and creating or managing groups
+ *       answer 403 with code EMAIL_NOT_VERIFIED, except for actions listed in UNVERIFIED_ALLOWED_ACTIONS.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 msg:
+ *                   type: string
+ *                 userId:
+ *                   type: string
+ *                   description: Account whose address was verified
+ *       400:
+ *         description: Link is invalid, expired or was sent to a previous address
+ */
+router.post("/verify-email", validateRequest(['token']), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       429:
+ *         description: A link was sent too recently
+ */
+router.post("/verify-email/resend", authenticateToken, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Mail a password reset link
+ *     description: >
+ *       Answers the same way and as fast whether or not the address belongs to an account; the
+ *       link is mailed after the response. It expires after PASSWORD_RESET_TTL_MINUTES
+ *       (default 60), works once and replaces earlier links.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Not an email address
+ *       429:
+ *         description: Too many requests from this IP address
+ */
+router.post("/forgot-password", rateLimiter(5, 15 * 60 * 1000), validateRequest(['email']), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset link
+ *     description: Ends every session of the account, so all devices have to log in again.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 example: "newpassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Link is invalid, expired or already used, or the password is too short
+ */
+router.post("/reset-password", validateRequest(['token', 'password']), resetPassword);
+
 /**
  * @swagger
  * /api/auth/setavatar:
@@ -207,11 +474,53 @@ router.post("/setavatar", authenticateToken, validateRequest(['image']), setAvat
  */
 router.get("/allusers", authenticateToken, getAllUsers);
 
+/**
+ * @swagger
+ * /api/auth/presence:
+ *   get:
+ *     summary: Get online status and last-seen time for users
+ *     description: Live changes are pushed over the socket as `presence` events with the same shape.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userIds
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user IDs, at most 100
+ *         example: "507f1f77bcf86cd799439011,507f1f77bcf86cd799439013"
+ *     responses:
+ *       200:
+ *         description: Presence retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 presence:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Presence'
+ *       400:
+ *         description: userIds missing, malformed or longer than 100
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get("/presence", authenticateToken, getPresence);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   get:
  *     summary: Logout user
+ *     description: >
+ *       Ends the session the access token belongs to. Its refresh token and access tokens stop
+ *       working, and its sockets receive session-ended and are disconnected.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -236,6 +545,92 @@ router.get("/allusers", authenticateToken, getAllUsers);
  */
 router.get("/logout", authenticateToken, logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-others:
+ *   post:
+ *     summary: Log out all other devices
+ *     description: Ends every session of the user except the one the access token belongs to.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 msg:
+ *                   type: string
+ *                   example: "Logged out of all other devices"
+ *                 count:
+ *                   type: integer
+ *                   description: Number of sessions ended
+ *                   example: 2
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post("/logout-others", authenticateToken, logoutOthers);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the user is logged in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get("/sessions", authenticateToken, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Log a device out
+ *     description: Ends the session like a logout on that device. Ending the current session logs this device out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: No active session with this ID belongs to the user
+ */
+router.delete("/sessions/:id", authenticateToken, revokeSession);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -337,6 +732,10 @@ router.put("/profile", authenticateToken, updateProfile);
  *                 type: string
  *                 description: New password (min 8 characters)
  *                 example: "newpassword123"
+ *               twoFactorCode:
+ *                 type: string
+ *                 description: Authenticator or recovery code, required when two-factor authentication is on
+ *                 example: "123456"
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -352,9 +751,13 @@ router.put("/profile", authenticateToken, updateProfile);
  *                   type: string
  *                   example: "Password changed successfully"
  *       400:
- *         description: Bad request - Current password incorrect or missing fields
+ *         description: Bad request - Current password incorrect, missing fields or invalid authentication code
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Two-factor authentication is on and twoFactorCode is missing (code TWO_FACTOR_REQUIRED)
+ *       429:
+ *         description: Too many wrong codes in a row (code TWO_FACTOR_LOCKED)
  */
 router.post("/change-password", authenticateToken, validateRequest(['currentPassword', 'newPassword']), changePassword);
 
@@ -379,6 +782,10 @@ router.post("/change-password", authenticateToken, validateRequest(['currentPass
  *                 type: string
  *                 description: Current password for verification
  *                 example: "password123"
+ *               twoFactorCode:
+ *                 type: string
+ *                 description: Authenticator or recovery code, required when two-factor authentication is on
+ *                 example: "123456"
  *     responses:
  *       200:
  *         description: Account deleted successfully
@@ -394,10 +801,195 @@ router.post("/change-password", authenticateToken, validateRequest(['currentPass
  *                   type: string
  *                   example: "Account deleted successfully"
  *       400:
- *         description: Bad request - Password incorrect or missing
+ *         description: Bad request - Password incorrect or missing, or invalid authentication code
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Two-factor authentication is on and twoFactorCode is missing (code TWO_FACTOR_REQUIRED)
+ *       429:
+ *         description: Too many wrong codes in a row (code TWO_FACTOR_LOCKED)
  */
 router.delete("/delete-account", authenticateToken, validateRequest(['password']), deleteAccount);
 
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 enabled:
+ *                   type: boolean
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ *                   example: 10
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get("/2fa", authenticateToken, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Creates a new secret. It only takes effect once a code from it is sent to
+ *       /api/auth/2fa/enable; calling setup again replaces it.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret for manual entry
+ *                 otpauthUrl:
+ *                   type: string
+ *                   description: Provisioning URI
+ *                   example: "otpauth://totp/WhatsApp%20Clone%3Ajohn_doe?secret=JBSWY3DPEHPK3PXP&issuer=WhatsApp+Clone"
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL of a QR code of otpauthUrl
+ *       400:
+ *         description: Two-factor authentication is already on
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post("/2fa/setup", authenticateToken, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and turn two-factor authentication on
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current code from the authenticator app
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Turned on; the recovery codes in the response are not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                 msg:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["3f9a1-c07d2", "b81e4-5a6c0"]
+ *       400:
+ *         description: Invalid code, no setup in progress, or already on
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.post("/2fa/enable", authenticateToken, validateRequest(['code']), enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "password123"
+ *               code:
+ *                 type: string
+ *                 description: Authenticator or recovery code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Turned off
+ *       400:
+ *         description: Wrong password or code, or not on
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       429:
+ *         description: Too many wrong codes in a row (code TWO_FACTOR_LOCKED)
+ */
+router.post("/2fa/disable", authenticateToken, validateRequest(['password', 'code']), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Authenticator or recovery code
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       429:
+ *         description: Too many wrong codes in a row (code TWO_FACTOR_LOCKED)
+ */
+router.post("/2fa/recovery-codes", authenticateToken, validateRequest(['code']), regenerateRecoveryCodes);
+
 module.exports = router;
@@ -0,0 +1,254 @@
+const router = require("express").Router();
+const {
+  createGroup,
+  getConversation,
+  updateGroup,
+  addMembers,
+  removeMember,
+  promoteAdmin,
+  leaveGroup
+} = require("../controllers/conversationController");
+const { authenticateToken, requireVerifiedEmail, validateRequest } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/conversations/groups:
+ *   post:
+ *     summary: Create a group conversation
+ *     description: The creator becomes the first admin. Members receive a `conversation-updated` socket event.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - members
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Weekend trip"
+ *               description:
+ *                 type: string
+ *                 example: "Planning for Saturday"
+ *               avatarImage:
+ *                 type: string
+ *                 example: "https://api.dicebear.com/7.x/shapes/svg?seed=trip"
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: User IDs to add besides the creator
+ *                 example: ["507f1f77bcf86cd799439013"]
+ *     responses:
+ *       201:
+ *         description: Group created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 conversation:
+ *                   $ref: '#/components/schemas/GroupConversation'
+ *       400:
+ *         description: Missing name or members
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: One or more users not found
+ */
+router.post("/groups", authenticateToken, requireVerifiedEmail("create-group"), validateRequest(['name', 'members']), createGroup);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}:
+ *   get:
+ *     summary: Get a conversation with its members
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 conversation:
+ *                   $ref: '#/components/schemas/GroupConversation'
+ *       403:
+ *         description: Not a member of this conversation
+ *       404:
+ *         description: Conversation not found
+ *   put:
+ *     summary: Update group name, description or avatar (admins only)
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               avatarImage:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *       403:
+ *         description: Only group admins can perform this action
+ */
+router.get("/:conversationId", authenticateToken, getConversation);
+router.put("/:conversationId", authenticateToken, requireVerifiedEmail("manage-group"), updateGroup);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/members:
+ *   post:
+ *     summary: Add members to a group (admins only)
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439014"]
+ *     responses:
+ *       200:
+ *         description: Members added successfully
+ *       400:
+ *         description: Users are already members
+ *       403:
+ *         description: Only group admins can perform this action
+ */
+router.post("/:conversationId/members", authenticateToken, requireVerifiedEmail("manage-group"), validateRequest(['userIds']), addMembers);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group (admins only)
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Only group admins can perform this action
+ *       404:
+ *         description: User is not a member of this group
+ */
+router.delete("/:conversationId/members/:userId", authenticateToken, requireVerifiedEmail("manage-group"), removeMember);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/admins/{userId}:
+ *   post:
+ *     summary: Promote a group member to admin (admins only)
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member promoted to admin
+ *       400:
+ *         description: User is already an admin
+ *       403:
+ *         description: Only group admins can perform this action
+ */
+router.post("/:conversationId/admins/:userId", authenticateToken, requireVerifiedEmail("manage-group"), promoteAdmin);
+
+/**
+ * @swagger
+ * /api/conversations/{conversationId}/leave:
+ *   post:
+ *     summary: Leave a group
+ *     description: If the last admin leaves, the longest-standing member becomes admin.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: You left the group
+ *       400:
+ *         description: Not a group conversation
+ *       403:
+ *         description: Not a member of this conversation
+ */
+router.post("/:conversationId/leave", authenticateToken, leaveGroup);
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const router = require("express").Router();
+const { serveMedia, getSignedUrls } = require("../controllers/mediaController");
+const { authenticateToken, validateRequest } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/media/urls:
+ *   post:
+ *     summary: Get fresh signed URLs for stored media
+ *     description: >
+ *       For clients whose message media URLs have expired. Keys the user may not access are left out
+ *       of the result. URLs of anything but images and audio download as attachments.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keys
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 example: ["image-1234567890.jpg", "image-1234567890-small.webp"]
+ *     responses:
+ *       200:
+ *         description: Signed URLs keyed by storage key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 urls:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                   example:
+ *                     image-1234567890.jpg: "/api/media/image-1234567890.jpg?expires=1700000000&signature=abc"
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the URLs in seconds
+ *                   example: 900
+ *       400:
+ *         description: Missing or too many keys
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/urls", authenticateToken, validateRequest(['keys']), getSignedUrls);
+
+/**
+ * @swagger
+ * /api/media/{key}:
+ *   get:
+ *     summary: Fetch stored media
+ *     description: >
+ *       Authorized either by a signed URL (expires and signature query parameters, as returned on
+ *       messages and by /api/media/urls) or by a bearer token whose user is a current member of the
+ *       conversation of a message that references the key. With the S3 storage driver the response
+ *       is a redirect to a presigned object URL. Content is served with the MIME type recorded at
+ *       upload; anything but images and audio is sent as an attachment.
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Storage key
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Expiry time of a signed URL (epoch seconds)
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature of a signed URL
+ *     responses:
+ *       200:
+ *         description: File content
+ *       302:
+ *         description: Redirect to a presigned object storage URL
+ *       401:
+ *         description: No signature and no valid token
+ *       403:
+ *         description: Signed URL is invalid or expired
+ *       404:
+ *         description: Media not found or not accessible to the user
+ */
+router.get("/:key", serveMedia);
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const router = require("express").Router();
-const { addMessage, getMessages, deleteMessage, getConversations, upload } = require("../controllers/messageController");
+const {
+  addMessage,
+  getMessages,
+  editMessage,
+  deleteMessage,
+  downloadAttachment,
+  forwardMessages,
+  markPlayed,
+  reactToMessage,
+  removeReaction,
+  getConversations,
+  markAsRead,
+  upload
+} = require("../controllers/messageController");
+const { authenticateToken, requireVerifiedEmail, validateRequest } = require("../middleware/authMiddleware");
 
 /**
  * @swagger
  * /api/messages/addmsg:
  *   post:
  *     summary: Send a message (text and/or image)
+ *     description: Stores the message and then pushes it to the recipient as a `msg-recieve` socket event.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -15,13 +30,15 @@ const { addMessage, getMessages, deleteMessage, getConversations, upload } = req
  *         multipart/form-data:
  *           schema:
  *             type: object
- *             required:
- *               - to
  *             properties:
  *               to:
  *                 type: string
- *                 description: Recipient user ID
+ *                 description: Recipient user ID for direct chats (required unless conversationId is given)
  *                 example: "507f1f77bcf86cd799439012"
+ *               conversationId:
+ *                 type: string
+ *                 description: Group or direct conversation ID (required unless to is given)
+ *                 example: "507f1f77bcf86cd799439020"
  *               message:
  *                 type: string
  *                 description: Message text (optional if image is provided)
@@ -29,7 +46,27 @@ const { addMessage, getMessages, deleteMessage, getConversations, upload } = req
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Image file (optional if message text is provided)
+ *                 description: Image file, max 5MB (optional if message text is provided)
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: |
+ *                   Document (PDF, office, text; max 20MB) or archive (zip, 7z, rar, tar, gzip; max 25MB).
+ *                   Creates a `file` message; cannot be combined with image.
+ *               audio:
+ *                 type: string
+ *                 format: binary
+ *                 description: |
+ *                   Voice recording (webm, ogg, mp4, mpeg, aac or wav; max 10MB and 5 minutes).
+ *                   Creates an `audio` message whose duration and waveform are computed by the server.
+ *               audioDuration:
+ *                 type: number
+ *                 description: Recorder-reported duration in seconds, used only if the server cannot decode the audio
+ *                 example: 12.4
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message in the same conversation being replied to (optional)
+ *                 example: "507f1f77bcf86cd799439011"
  *     responses:
  *       200:
  *         description: Message sent successfully
@@ -58,20 +95,33 @@ const { addMessage, getMessages, deleteMessage, getConversations, upload } = req
  *                           description: Message text
  *                         image:
  *                           type: string
- *                           description: Image file path
+ *                           description: Storage key of the image, served at /api/media/{key}
+ *                         file:
+ *                           $ref: '#/components/schemas/FileAttachment'
+ *                         imageMeta:
+ *                           $ref: '#/components/schemas/ImageMeta'
+ *                         audio:
+ *                           $ref: '#/components/schemas/AudioAttachment'
  *                         type:
  *                           type: string
- *                           enum: [text, image, mixed]
+ *                           enum: [text, image, mixed, file, audio]
  *                           description: Message type
  *                     sender:
  *                       type: string
  *                       description: Sender user ID
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Participant user IDs
+ *                     replyTo:
+ *                       $ref: '#/components/schemas/ReplySnapshot'
  *                     time:
  *                       type: string
  *                       format: date-time
  *                       description: Message timestamp
  *       400:
- *         description: Bad request - Missing required fields or invalid file
+ *         description: Bad request - Missing required fields, invalid file or the sender as recipient
  *         content:
  *           application/json:
  *             schema:
@@ -85,16 +135,29 @@ const { addMessage, getMessages, deleteMessage, getConversations, upload } = req
  *                   example: "Message text or image is required"
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Replied message not found in this conversation
  *       413:
- *         description: File too large (max 5MB)
+ *         description: File exceeds the size limit for its type
+ *       415:
+ *         description: Unsupported file type
  */
-router.post("/addmsg", upload.single('image'), addMessage);
+router.post(
+  "/addmsg",
+  upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'file', maxCount: 1 },
+    { name: 'audio', maxCount: 1 }
+  ]),
+  addMessage
+);
 
 /**
  * @swagger
  * /api/messages/getmsg:
  *   post:
- *     summary: Get messages between current user and another user
+ *     summary: Get messages of a direct chat or group conversation
+ *     description: Returns one page of history, oldest first. Without a cursor the newest page is returned.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -104,13 +167,26 @@ router.post("/addmsg", upload.single('image'), addMessage);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - from
  *             properties:
  *               from:
  *                 type: string
- *                 description: Other user's ID to get conversation with
+ *                 description: Other user's ID for direct chats (required unless conversationId is given)
  *                 example: "507f1f77bcf86cd799439012"
+ *               conversationId:
+ *                 type: string
+ *                 description: Group or direct conversation ID (required unless from is given)
+ *                 example: "507f1f77bcf86cd799439020"
+ *               before:
+ *                 type: string
+ *                 description: Message ID cursor - return the page of messages older than this one
+ *                 example: "507f1f77bcf86cd799439030"
+ *               after:
+ *                 type: string
+ *                 description: Message ID cursor - return the page of messages newer than this one
+ *               limit:
+ *                 type: integer
+ *                 description: Page size (default 50, max 100)
+ *                 example: 50
  *     responses:
  *       200:
  *         description: Messages retrieved successfully
@@ -122,6 +198,9 @@ router.post("/addmsg", upload.single('image'), addMessage);
  *                 status:
  *                   type: boolean
  *                   example: true
+ *                 conversationId:
+ *                   type: string
+ *                   description: Conversation the messages belong to
  *                 messages:
  *                   type: array
  *                   items:
@@ -130,6 +209,9 @@ router.post("/addmsg", upload.single('image'), addMessage);
  *                       fromSelf:
  *                         type: boolean
  *                         description: Whether message is from current user
+ *                       sender:
+ *                         type: string
+ *                         description: Sender user ID
  *                       message:
  *                         type: object
  *                         properties:
@@ -138,10 +220,16 @@ router.post("/addmsg", upload.single('image'), addMessage);
  *                             description: Message text
  *                           image:
  *                             type: string
- *                             description: Image file path
+ *                             description: Storage key of the image, served at /api/media/{key}
+ *                           file:
+ *                             $ref: '#/components/schemas/FileAttachment'
+ *                           imageMeta:
+ *                             $ref: '#/components/schemas/ImageMeta'
+ *                           audio:
+ *                             $ref: '#/components/schemas/AudioAttachment'
  *                           type:
  *                             type: string
- *                             enum: [text, image, mixed]
+ *                             enum: [text, image, mixed, file, audio]
  *                             description: Message type
  *                       time:
  *                         type: string
@@ -150,10 +238,33 @@ router.post("/addmsg", upload.single('image'), addMessage);
  *                       _id:
  *                         type: string
  *                         description: Message ID
+ *                       replyTo:
+ *                         $ref: '#/components/schemas/ReplySnapshot'
+ *                       status:
+ *                         type: string
+ *                         enum: [sent, delivered, read]
+ *                         description: Delivery state (own messages only)
  *                 count:
  *                   type: integer
- *                   description: Number of messages
+ *                   description: Number of messages in this page
  *                   example: 15
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       example: 50
+ *                     hasMore:
+ *                       type: boolean
+ *                       description: Whether more messages exist in the requested direction
+ *                     before:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the previous (older) page
+ *                     after:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the next (newer) page
  *       400:
  *         description: Bad request - Missing recipient ID
  *       401:
@@ -165,7 +276,11 @@ router.post("/getmsg", getMessages);
  * @swagger
  * /api/messages/delete/{messageId}:
  *   delete:
- *     summary: Delete a specific message
+ *     summary: Delete a message for yourself or for everyone
+ *     description: |
+ *       `scope=me` hides the message from your own history and works on any message in your chats.
+ *       `scope=everyone` (default) is limited to the sender within MESSAGE_DELETE_WINDOW_MINUTES (default 60)
+ *       and leaves a "This message was deleted" tombstone. Both emit a `message-deleted` socket event.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -177,6 +292,12 @@ router.post("/getmsg", getMessages);
  *           type: string
  *         description: ID of the message to delete
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [me, everyone]
+ *           default: everyone
  *     responses:
  *       200:
  *         description: Message deleted successfully
@@ -190,21 +311,286 @@ router.post("/getmsg", getMessages);
  *                   example: true
  *                 msg:
  *                   type: string
- *                   example: "Message deleted successfully"
+ *                   example: "Message deleted for everyone"
+ *       400:
+ *         description: Invalid scope or message already deleted
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Can only delete own messages
+ *         description: Forbidden - Not the sender, or the delete-for-everyone window has passed
  *       404:
  *         description: Message not found
  */
 router.delete("/delete/:messageId", deleteMessage);
 
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   patch:
+ *     summary: Edit the text of a sent message
+ *     description: |
+ *       Only the sender can edit text or mixed messages, within MESSAGE_EDIT_WINDOW_MINUTES (default 15) of sending.
+ *       The previous text is kept in the message's edit history and members receive a `message-edited` socket event.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439011"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "See you at 8 instead"
+ *     responses:
+ *       200:
+ *         description: Message edited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Missing or unchanged text, or message has no text
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Not the sender, or the edit window has passed
+ *       404:
+ *         description: Message not found
+ */
+router.patch("/:messageId", authenticateToken, requireVerifiedEmail("edit-message"), validateRequest(['text']), editMessage);
+
+/**
+ * @swagger
+ * /api/messages/forward:
+ *   post:
+ *     summary: Forward messages to other chats
+ *     description: |
+ *       Copies the messages into each target chat as new messages from the current user, flagged as forwarded.
+ *       Images reuse the stored upload. One forward can reach at most MESSAGE_FORWARD_MAX_TARGETS (default 5) chats.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageIds
+ *             properties:
+ *               messageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439011"]
+ *               conversationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Target group or direct conversations
+ *                 example: ["507f1f77bcf86cd799439020"]
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Target users for direct chats
+ *                 example: ["507f1f77bcf86cd799439013"]
+ *     responses:
+ *       201:
+ *         description: Messages forwarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: No targets, too many targets or messages
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Not a member of a target conversation
+ *       404:
+ *         description: Message or target not found
+ */
+router.post("/forward", authenticateToken, requireVerifiedEmail("send-message"), validateRequest(['messageIds']), forwardMessages);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/download:
+ *   get:
+ *     summary: Download the file or image of a message
+ *     description: "Served with `Content-Disposition: attachment` and the original file name."
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Message not found, not visible to a current member, or has no attachment
+ *       410:
+ *         description: The stored file no longer exists
+ */
+router.get("/:messageId/download", authenticateToken, downloadAttachment);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/played:
+ *   post:
+ *     summary: Mark a voice message as played
+ *     description: Recipients only. Chat members receive a `message-played` socket event; the socket event of the same name does the same.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Marked as played
+ *       400:
+ *         description: The sender cannot mark their own voice message
+ *       404:
+ *         description: Voice message not found
+ */
+router.post("/:messageId/played", authenticateToken, markPlayed);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message with an emoji
+ *     description: |
+ *       Members of the chat can add, remove or toggle their reaction. Each emoji keeps the list of users
+ *       who reacted with it. Changes are broadcast as `reaction-updated` socket events; the same operation
+ *       is available over the socket as `message-react` with `{messageId, emoji, action}`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *               action:
+ *                 type: string
+ *                 enum: [add, remove, toggle]
+ *                 default: add
+ *     responses:
+ *       200:
+ *         description: Reactions after the change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 reactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Reaction'
+ *       400:
+ *         description: Invalid emoji or action, or the message was deleted
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Message not found
+ */
+router.post("/:messageId/reactions", authenticateToken, requireVerifiedEmail("react"), validateRequest(['emoji']), reactToMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions/{emoji}:
+ *   delete:
+ *     summary: Remove your emoji reaction from a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         description: URL-encoded emoji
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reactions after the change
+ *       404:
+ *         description: Message not found
+ */
+router.delete("/:messageId/reactions/:emoji", authenticateToken, removeReaction);
+
 /**
  * @swagger
  * /api/messages/conversations:
  *   get:
  *     summary: Get all conversations for current user
+ *     description: Sorted by most recent activity. Live changes to unread counts and previews arrive as `unread-updated` socket events.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -226,7 +612,13 @@ router.delete("/delete/:messageId", deleteMessage);
  *                     properties:
  *                       _id:
  *                         type: string
- *                         description: Other user's ID in conversation
+ *                         description: Other user's ID for direct chats, conversation ID for groups
+ *                       conversationId:
+ *                         type: string
+ *                         description: Conversation ID
+ *                       type:
+ *                         type: string
+ *                         enum: [direct, group]
  *                       lastMessage:
  *                         type: string
  *                         description: Last message in conversation (with emoji for images)
@@ -238,6 +630,9 @@ router.delete("/delete/:messageId", deleteMessage);
  *                       messageCount:
  *                         type: integer
  *                         description: Total number of messages in conversation
+ *                       unreadCount:
+ *                         type: integer
+ *                         description: Messages from others not yet read by the current user
  *                 count:
  *                   type: integer
  *                   description: Number of conversations
@@ -247,4 +642,54 @@ router.delete("/delete/:messageId", deleteMessage);
  */
 router.get("/conversations", getConversations);
 
+/**
+ * @swagger
+ * /api/messages/read:
+ *   post:
+ *     summary: Mark every message of a conversation as read
+ *     description: Senders are notified with a `message-receipts` socket event. Clients can also emit `messages-read` over the socket.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 description: Other user's ID for direct chats (required unless conversationId is given)
+ *                 example: "507f1f77bcf86cd799439012"
+ *               conversationId:
+ *                 type: string
+ *                 description: Group or direct conversation ID (required unless from is given)
+ *                 example: "507f1f77bcf86cd799439020"
+ *     responses:
+ *       200:
+ *         description: Conversation marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: boolean
+ *                   example: true
+ *                 conversationId:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                   description: Number of messages newly marked as read
+ *                   example: 3
+ *       400:
+ *         description: Bad request - Missing recipient or conversation ID
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Not a member of this conversation
+ */
+router.post("/read", authenticateToken, markAsRead);
+
 module.exports = router;
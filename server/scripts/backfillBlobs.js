@@ -0,0 +1,65 @@
+/**
+ * Create blob records for uploads stored before content addressing
+ *
+ * Each message upload key gets a record counting the non-deleted messages that reference it,
+ * with the image's thumbnails as variants. Keys that already have a record are left alone, so
+ * the script is safe to run more than once. Run migrate:upload-keys first on older databases.
+ *   node scripts/backfillBlobs.js
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Message = require("../models/messageModel");
+const Blob = require("../models/blobModel");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const references = await Message.aggregate([
+    { $match: { deletedAt: null } },
+    {
+      $project: {
+        key: { $ifNull: ["$message.file.key", { $ifNull: ["$message.audio.key", "$message.image"] }] },
+        size: { $ifNull: ["$message.file.size", "$message.audio.size"] },
+        mimeType: { $ifNull: ["$message.file.mimeType", "$message.audio.mimeType"] },
+        variants: { $ifNull: ["$message.imageMeta.thumbnails.key", []] }
+      }
+    },
+    { $match: { key: { $type: "string", $ne: "" } } },
+    {
+      $group: {
+        _id: "$key",
+        refCount: { $sum: 1 },
+        size: { $first: "$size" },
+        mimeType: { $first: "$mimeType" },
+        variants: { $addToSet: "$variants" }
+      }
+    }
+  ]);
+
+  let created = 0;
+  for (const reference of references) {
+    const result = await Blob.updateOne(
+      { _id: reference._id },
+      {
+        $setOnInsert: {
+          hash: null,
+          size: reference.size,
+          mimeType: reference.mimeType,
+          variants: [...new Set(reference.variants.flat())],
+          refCount: reference.refCount,
+          orphanedAt: null
+        }
+      },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+  console.log(`Created ${created} blob records for ${references.length} upload keys`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,52 @@
+/**
+ * Set every member's unread counter from the messages already stored
+ *
+ * A message counts for each user it was sent to, other than its sender, until they read it, hide it
+ * or it is deleted for everyone. Counters are overwritten, so the script can run again to repair
+ * drift; run it while the server is stopped so no message lands between the count and the write.
+ *   node scripts/backfillUnreadCounts.js
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Message = require("../models/messageModel");
+const Conversation = require("../models/conversationModel");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const counts = await Message.aggregate([
+    { $match: { conversation: { $ne: null }, deletedAt: null } },
+    { $unwind: "$users" },
+    {
+      $match: {
+        $expr: {
+          $and: [
+            { $ne: ["$users", { $toString: "$sender" }] },
+            { $not: { $in: [{ $toObjectId: "$users" }, { $ifNull: ["$readBy.user", []] }] } },
+            { $not: { $in: [{ $toObjectId: "$users" }, { $ifNull: ["$hiddenFor", []] }] } }
+          ]
+        }
+      }
+    },
+    { $group: { _id: { conversation: "$conversation", user: "$users" }, count: { $sum: 1 } } }
+  ]);
+
+  await Conversation.updateMany({}, { $set: { "members.$[].unreadCount": 0 } });
+
+  let updated = 0;
+  for (const entry of counts) {
+    const result = await Conversation.updateOne(
+      { _id: entry._id.conversation, "members.user": entry._id.user },
+      { $set: { "members.$.unreadCount": entry.count } }
+    );
+    updated += result.modifiedCount;
+  }
+  console.log(`Set ${updated} unread counters from ${counts.length} member conversations with unread messages`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,161 @@
+/**
+ * Check that the redis realtime adapter carries events between server instances
+ *
+ * Starts two server processes that share the Redis at REDIS_URL under a throwaway key prefix,
+ * connects a throwaway user to each node, sends a message through the first node and waits for
+ * the other user to receive it on the second. The throwaway users and everything they created
+ * are removed afterwards. Needs MONGO_URI like the server, and a Redis, e.g.
+ *   docker run --rm -p 6379:6379 redis:7
+ *   node scripts/checkRedisAdapter.js
+ */
+require("dotenv").config();
+const crypto = require("crypto");
+const path = require("path");
+const { spawn } = require("child_process");
+const mongoose = require("mongoose");
+const { io } = require("socket.io-client");
+const User = require("../models/userModel");
+const Session = require("../models/sessionModel");
+const RefreshToken = require("../models/refreshTokenModel");
+const Conversation = require("../models/conversationModel");
+const Message = require("../models/messageModel");
+const AuthService = require("../services/authService");
+
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+const BASE_PORT = parseInt(process.env.CHECK_BASE_PORT) || 5100;
+const STARTUP_TIMEOUT_MS = 20 * 1000;
+const DELIVERY_TIMEOUT_MS = 5 * 1000;
+
+const withTimeout = (promise, ms, what) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out waiting for ${what}`)), ms).unref())
+]);
+
+/**
+ * Start a server process and wait until its database and realtime adapter are up
+ * @param {number} port - HTTP port
+ * @param {string} redisUrl - Redis URL
+ * @param {string} keyPrefix - Redis key prefix shared by the nodes
+ * @returns {Promise<Object>} - Child process
+ */
+const startNode = (port, redisUrl, keyPrefix) => {
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: path.join(__dirname, ".."),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      REALTIME_ADAPTER: "redis",
+      REDIS_URL: redisUrl,
+      REDIS_KEY_PREFIX: keyPrefix
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  const ready = new Promise((resolve, reject) => {
+    const waitingFor = new Set(["DB Connection Successful", "Realtime adapter: redis"]);
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      waitingFor.forEach((line) => output.includes(line) && waitingFor.delete(line));
+      if (waitingFor.size === 0) {
+        resolve(child);
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.once("exit", (code) => reject(new Error(`Node on port ${port} exited with ${code}:\n${output}`)));
+  });
+
+  return withTimeout(ready, STARTUP_TIMEOUT_MS, `the node on port ${port}`).catch((error) => {
+    child.kill();
+    throw error;
+  });
+};
+
+const createThrowawayUser = async (label) => {
+  const suffix = crypto.randomBytes(4).toString("hex");
+  const user = await User.create({
+    username: `check-${label}-${suffix}`,
+    email: `check-${label}-${suffix}@example.invalid`,
+    password: crypto.randomBytes(16).toString("hex"),
+    emailVerified: true
+  });
+  const { token } = await AuthService.startSession(user._id.toString(), { userAgent: "checkRedisAdapter", ip: "127.0.0.1" });
+  return { user, token };
+};
+
+const connectClient = (port, token) => {
+  const socket = io(`http://127.0.0.1:${port}`, { auth: { token }, transports: ["websocket"], reconnection: false });
+  const connected = new Promise((resolve, reject) => {
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", reject);
+  });
+  return withTimeout(connected, STARTUP_TIMEOUT_MS, `a client on port ${port}`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const keyPrefix = `check-${crypto.randomBytes(4).toString("hex")}:`;
+  const nodes = [];
+  const clients = [];
+  const users = [];
+
+  try {
+    nodes.push(await startNode(BASE_PORT, REDIS_URL, keyPrefix));
+    nodes.push(await startNode(BASE_PORT + 1, REDIS_URL, keyPrefix));
+    console.log(`Two nodes on ports ${BASE_PORT} and ${BASE_PORT + 1} share the Redis at ${REDIS_URL}`);
+
+    const sender = await createThrowawayUser("sender");
+    const recipient = await createThrowawayUser("recipient");
+    users.push(sender.user, recipient.user);
+
+    clients.push(await connectClient(BASE_PORT, sender.token));
+    const recipientSocket = await connectClient(BASE_PORT + 1, recipient.token);
+    clients.push(recipientSocket);
+
+    const text = `cross-node check ${Date.now()}`;
+    const received = new Promise((resolve) => {
+      recipientSocket.on("msg-recieve", (message) => {
+        if (message.message && message.message.text === text) {
+          resolve(message);
+        }
+      });
+    });
+
+    const response = await fetch(`http://127.0.0.1:${BASE_PORT}/api/messages/addmsg`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${sender.token}` },
+      body: JSON.stringify({ to: recipient.user._id.toString(), message: text })
+    });
+    if (!response.ok) {
+      throw new Error(`Sending through port ${BASE_PORT} failed with ${response.status}: ${await response.text()}`);
+    }
+
+    await withTimeout(received, DELIVERY_TIMEOUT_MS, "the message on the other node");
+    console.log(`OK: a message sent through port ${BASE_PORT} reached a client of port ${BASE_PORT + 1}`);
+  } finally {
+    clients.forEach((socket) => socket.close());
+    await Promise.all(nodes.map((child) => new Promise((resolve) => {
+      child.once("exit", resolve);
+      child.kill("SIGTERM");
+    })));
+
+    if (users.length > 0) {
+      const userIds = users.map((user) => user._id);
+      await Message.deleteMany({ sender: { $in: userIds } });
+      await Conversation.deleteMany({ "members.user": { $in: userIds } });
+      await RefreshToken.deleteMany({ user: { $in: userIds } });
+      await Session.deleteMany({ user: { $in: userIds } });
+      await User.deleteMany({ _id: { $in: userIds } });
+    }
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Check failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,89 @@
+/**
+ * Check the S3 storage driver against a local S3 stand-in
+ *
+ * Starts s3rver on a free port with a throwaway bucket in a temporary directory, then runs the
+ * driver's put, exists, createReadStream, getSignedUrl and delete against it. Everything it
+ * creates is removed afterwards; no AWS account or network access is needed.
+ *   node scripts/checkS3Storage.js
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const S3rver = require("s3rver");
+const { createS3Storage } = require("../storage/s3Storage");
+
+const BUCKET = "chat-uploads-check";
+// s3rver accepts only its built-in key pair
+const CREDENTIALS = { accessKeyId: "S3RVER", secretAccessKey: "S3RVER" };
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const run = async () => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "s3-check-"));
+  const standIn = new S3rver({
+    address: "127.0.0.1",
+    port: 0,
+    silent: true,
+    directory: path.join(workDir, "store"),
+    configureBuckets: [{ name: BUCKET }]
+  });
+
+  try {
+    const { port } = await standIn.run();
+    const storage = createS3Storage({
+      bucket: BUCKET,
+      region: "us-east-1",
+      endpoint: `http://127.0.0.1:${port}`,
+      forcePathStyle: true,
+      keyPrefix: "check/",
+      ...CREDENTIALS
+    });
+    console.log(`S3 stand-in listening on port ${port}`);
+
+    const key = "hello.txt";
+    const content = `S3 driver check ${Date.now()}`;
+    const sourcePath = path.join(workDir, "upload.txt");
+    await fs.promises.writeFile(sourcePath, content);
+
+    await storage.put(key, sourcePath, { contentType: "text/plain" });
+    assert.strictEqual(fs.existsSync(sourcePath), false, "put() should remove the local file");
+    assert.strictEqual(await storage.exists(key), true, "exists() after put()");
+    console.log("OK: put");
+
+    const object = await storage.createReadStream(key);
+    assert.strictEqual(object.size, Buffer.byteLength(content), "createReadStream() size");
+    assert.strictEqual(object.contentType, "text/plain", "createReadStream() content type");
+    assert.strictEqual(await readAll(object.stream), content, "createReadStream() content");
+    console.log("OK: createReadStream");
+
+    const signedUrl = await storage.getSignedUrl(key, { expiresIn: 60, fileName: "report 1.txt" });
+    const download = await fetch(signedUrl);
+    assert.strictEqual(download.status, 200, "signed URL status");
+    assert.strictEqual(await download.text(), content, "signed URL content");
+    assert.match(download.headers.get("content-disposition") || "", /^attachment;/, "signed URL disposition");
+    console.log("OK: getSignedUrl");
+
+    await storage.delete(key);
+    assert.strictEqual(await storage.exists(key), false, "exists() after delete()");
+    await assert.rejects(storage.createReadStream(key), { code: "ENOENT" }, "createReadStream() of a deleted key");
+    await storage.delete(key);
+    console.log("OK: delete");
+
+    console.log("S3 storage driver works against the stand-in");
+  } finally {
+    await standIn.close();
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+run().catch((error) => {
+  console.error("Check failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+/**
+ * Rewrite messages stored before uploads went through storage drivers
+ *
+ * Older records hold public paths such as /uploads/image-123.jpg in message.image,
+ * message.file.path, message.audio.path and message.imageMeta.thumbnails[].path. Files in
+ * server/uploads keep their names under the local driver, so the key is the path without
+ * the /uploads/ prefix. Safe to run more than once.
+ *   node scripts/migrateUploadKeys.js
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Message = require("../models/messageModel");
+
+const LEGACY_PREFIX = "/uploads/";
+
+const toKey = (expression) => ({
+  $replaceOne: { input: expression, find: LEGACY_PREFIX, replacement: "" }
+});
+
+const migrations = [
+  {
+    name: "images",
+    filter: { "message.image": { $regex: `^${LEGACY_PREFIX}` } },
+    update: [{ $set: { "message.image": toKey("$message.image") } }]
+  },
+  {
+    name: "files",
+    filter: { "message.file.path": { $exists: true } },
+    update: [
+      { $set: { "message.file.key": toKey("$message.file.path") } },
+      { $unset: "message.file.path" }
+    ]
+  },
+  {
+    name: "voice messages",
+    filter: { "message.audio.path": { $exists: true } },
+    update: [
+      { $set: { "message.audio.key": toKey("$message.audio.path") } },
+      { $unset: "message.audio.path" }
+    ]
+  },
+  {
+    name: "thumbnails",
+    filter: { "message.imageMeta.thumbnails.path": { $exists: true } },
+    update: [
+      {
+        $set: {
+          "message.imageMeta.thumbnails": {
+            $map: {
+              input: "$message.imageMeta.thumbnails",
+              as: "thumbnail",
+              in: {
+                size: "$$thumbnail.size",
+                key: toKey("$$thumbnail.path"),
+                width: "$$thumbnail.width",
+                height: "$$thumbnail.height"
+              }
+            }
+          }
+        }
+      }
+    ]
+  }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  for (const migration of migrations) {
+    const result = await Message.updateMany(migration.filter, migration.update);
+    console.log(`Migrated ${result.modifiedCount} ${migration.name}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
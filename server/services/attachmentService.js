@@ -0,0 +1,177 @@
+const fs = require("fs");
+
+const MB = 1024 * 1024;
+
+// Accepted uploads by category, each with its own size limit. Every MIME type maps to the
+// extension its storage key gets, so keys never carry an extension the client chose.
+const CATEGORIES = {
+  image: {
+    maxSize: 5 * MB,
+    types: {
+      "image/jpeg": ".jpg",
+      "image/png": ".png",
+      "image/gif": ".gif",
+      "image/webp": ".webp"
+    }
+  },
+  document: {
+    maxSize: 20 * MB,
+    types: {
+      "application/pdf": ".pdf",
+      "application/msword": ".doc",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+      "application/vnd.ms-excel": ".xls",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+      "application/vnd.ms-powerpoint": ".ppt",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx",
+      "application/vnd.oasis.opendocument.text": ".odt",
+      "application/vnd.oasis.opendocument.spreadsheet": ".ods",
+      "application/vnd.oasis.opendocument.presentation": ".odp",
+      "application/rtf": ".rtf",
+      "text/plain": ".txt",
+      "text/csv": ".csv"
+    }
+  },
+  audio: {
+    maxSize: 10 * MB,
+    types: {
+      "audio/webm": ".webm",
+      "audio/ogg": ".ogg",
+      "audio/mp4": ".m4a",
+      "audio/mpeg": ".mp3",
+      "audio/aac": ".aac",
+      "audio/wav": ".wav",
+      "audio/x-wav": ".wav"
+    }
+  },
+  archive: {
+    maxSize: 25 * MB,
+    types: {
+      "application/zip": ".zip",
+      "application/x-zip-compressed": ".zip",
+      "application/x-7z-compressed": ".7z",
+      "application/x-rar-compressed": ".rar",
+      "application/vnd.rar": ".rar",
+      "application/gzip": ".gz",
+      "application/x-tar": ".tar"
+    }
+  }
+};
+
+// Categories browsers may render in place; everything else is only ever served as a download
+const INLINE_CATEGORIES = ["image", "audio"];
+
+// Multer needs one global ceiling; per-category limits are checked after upload
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(CATEGORIES).map((category) => category.maxSize));
+
+class AttachmentService {
+  /**
+   * Find the upload category of a MIME type
+   * @param {string} mimeType - MIME type reported for the upload, parameters such as codecs are ignored
+   * @returns {string|null} - 'image', 'document', 'audio', 'archive' or null when not accepted
+   */
+  static getCategory(mimeType = "") {
+    const baseType = this.getBaseType(mimeType);
+    const entry = Object.entries(CATEGORIES).find(([, category]) =>
+      Object.prototype.hasOwnProperty.call(category.types, baseType)
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * MIME type without parameters, lowercased
+   * @param {string} mimeType - MIME type, e.g. "audio/webm;codecs=opus"
+   * @returns {string} - Base type, e.g. "audio/webm"
+   */
+  static getBaseType(mimeType = "") {
+    return String(mimeType).split(";")[0].trim().toLowerCase();
+  }
+
+  /**
+   * Storage key extension of an accepted MIME type
+   * @param {string} mimeType - MIME type reported for the upload
+   * @returns {string} - Extension with the dot, or "" when the type is not accepted
+   */
+  static getExtension(mimeType) {
+    const category = this.getCategory(mimeType);
+    return category ? CATEGORIES[category].types[this.getBaseType(mimeType)] : "";
+  }
+
+  /**
+   * Check whether stored content of a MIME type may be displayed in the browser
+   * @param {string} mimeType - Stored MIME type
+   * @returns {boolean} - True for accepted images and audio, false for anything else
+   */
+  static isInline(mimeType) {
+    return INLINE_CATEGORIES.includes(this.getCategory(mimeType));
+  }
+
+  /**
+   * Largest upload accepted for any category
+   * @returns {number} - Size in bytes
+   */
+  static getMaxUploadSize() {
+    return MAX_UPLOAD_SIZE;
+  }
+
+  /**
+   * Check an uploaded file against the rules of the field it was sent in
+   * @param {Object} file - Multer file
+   * @param {string} field - 'image' or 'audio' for inline media, 'file' for attachments of any accepted category
+   * @returns {Object} - Validation result
+   */
+  static validateUpload(file, field) {
+    const category = this.getCategory(file.mimetype);
+
+    if (!category || (field !== 'file' && category !== field)) {
+      return {
+        success: false,
+        error: field === 'file'
+          ? "Unsupported file type"
+          : `Only ${field} files are allowed`,
+        statusCode: 415
+      };
+    }
+
+    const { maxSize } = CATEGORIES[category];
+    if (file.size > maxSize) {
+      return {
+        success: false,
+        error: `${category.charAt(0).toUpperCase()}${category.slice(1)} files must be ${maxSize / MB}MB or smaller`,
+        statusCode: 413
+      };
+    }
+
+    return { success: true, category };
+  }
+
+  /**
+   * Metadata stored on a file message
+   * @param {Object} file - Multer file
+   * @returns {Object} - Storage key, original name, size and MIME type
+   */
+  static describeFile(file) {
+    return {
+      key: file.filename,
+      name: file.originalname,
+      size: file.size,
+      mimeType: file.mimetype
+    };
+  }
+
+  /**
+   * Remove temporary upload files that never made it into storage, e.g. when the message was rejected
+   * @param {Array} files - Multer files or other { path } entries (falsy entries are skipped)
+   */
+  static discard(files) {
+    files.filter(Boolean).forEach((file) => {
+      fs.unlink(file.path, (error) => {
+        if (error && error.code !== 'ENOENT') {
+          console.error("Upload cleanup error:", error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,97 @@
+const { spawn } = require("child_process");
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const SAMPLE_RATE = 8000;
+const WAVEFORM_BARS = 48;
+const ANALYZE_TIMEOUT_MS = 15000;
+
+class AudioService {
+  /**
+   * Decode an audio file to mono PCM with ffmpeg
+   * @param {string} filePath - Absolute path of the audio file
+   * @returns {Promise<Int16Array>} - Samples at SAMPLE_RATE
+   */
+  static decode(filePath) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(FFMPEG_PATH, [
+        "-v", "error",
+        "-i", filePath,
+        "-ac", "1",
+        "-ar", String(SAMPLE_RATE),
+        "-f", "s16le",
+        "-"
+      ]);
+      const chunks = [];
+      let stderr = "";
+
+      const timer = setTimeout(() => {
+        ffmpeg.kill("SIGKILL");
+        reject(new Error("Audio decoding timed out"));
+      }, ANALYZE_TIMEOUT_MS);
+
+      ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+      ffmpeg.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+      ffmpeg.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      ffmpeg.on("close", (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+          return;
+        }
+        const buffer = Buffer.concat(chunks);
+        resolve(new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / 2)));
+      });
+    });
+  }
+
+  /**
+   * Peak amplitude per bar, scaled to 0-100
+   * @param {Int16Array} samples - Mono PCM samples
+   * @param {number} bars - Number of bars
+   * @returns {Array} - Waveform summary
+   */
+  static summarize(samples, bars = WAVEFORM_BARS) {
+    if (samples.length === 0) {
+      return [];
+    }
+
+    const barSize = Math.max(Math.floor(samples.length / bars), 1);
+    const peaks = [];
+    for (let start = 0; start < samples.length && peaks.length < bars; start += barSize) {
+      let peak = 0;
+      const end = Math.min(start + barSize, samples.length);
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) {
+          peak = value;
+        }
+      }
+      peaks.push(peak);
+    }
+
+    // Normalize to the loudest bar so quiet recordings still show a shape
+    const loudest = Math.max(...peaks, 1);
+    return peaks.map((peak) => Math.round((peak / loudest) * 100));
+  }
+
+  /**
+   * Compute the duration and waveform summary of a voice message
+   * Requires an ffmpeg binary on PATH or at FFMPEG_PATH.
+   * @param {string} filePath - Absolute path of the audio file
+   * @returns {Promise<Object>} - { duration (seconds), waveform }
+   */
+  static async analyze(filePath) {
+    const samples = await this.decode(filePath);
+    return {
+      duration: Math.round((samples.length / SAMPLE_RATE) * 10) / 10,
+      waveform: this.summarize(samples)
+    };
+  }
+}
+
+module.exports = AudioService;
@@ -1,7 +1,12 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const User = require("../models/userModel");
+const RefreshToken = require("../models/refreshTokenModel");
+const SessionService = require("./sessionService");
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
 class AuthService {
   /**
@@ -16,6 +21,10 @@ class AuthService {
       }
       
       const decoded = jwt.verify(token, JWT_SECRET);
+      // Purpose-bound tokens such as email verification links share the secret but are not logins
+      if (decoded.purpose) {
+        throw new jwt.JsonWebTokenError("Token cannot be used for authentication");
+      }
       return { success: true, user: decoded };
     } catch (error) {
       return { 
@@ -39,6 +48,78 @@ class AuthService {
     return authHeader.replace('Bearer ', '');
   }
 
+  /**
+   * Extract token from Socket.IO handshake
+   * Prefers the `auth.token` payload and falls back to the Authorization header
+   * @param {Object} handshake - Socket.IO handshake object
+   * @returns {string|null} - Token or null
+   */
+  static extractTokenFromHandshake(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+      return handshake.auth.token;
+    }
+    return this.extractTokenFromHeader(handshake.headers || {});
+  }
+
+  /**
+   * Authenticate a Socket.IO connection from its handshake, or from a newer token it sent later
+   * @param {Object} socket - Socket.IO socket
+   * @param {string} token - Access token (optional, defaults to the handshake's)
+   * @returns {Object} - Authentication result
+   */
+  static async authenticateSocket(socket, token = this.extractTokenFromHandshake(socket.handshake)) {
+    try {
+
+      if (!token) {
+        return {
+          success: false,
+          error: "Access token required",
+          code: "TOKEN_REQUIRED"
+        };
+      }
+
+      const tokenResult = this.verifyToken(token);
+
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          error: tokenResult.error,
+          code: tokenResult.code
+        };
+      }
+
+      if (!(await this.isSessionActive(tokenResult.user.sid, { ip: socket.handshake.address }))) {
+        return {
+          success: false,
+          error: "Session has ended",
+          code: "SESSION_REVOKED"
+        };
+      }
+
+      const user = await User.findById(tokenResult.user.userId).select(["_id", "username", "emailVerified"]);
+
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          code: "USER_NOT_FOUND"
+        };
+      }
+
+      return {
+        success: true,
+        user,
+        token: tokenResult.user
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Authentication failed",
+        code: "AUTH_FAILED"
+      };
+    }
+  }
+
   /**
    * Authenticate user from request
    * @param {Object} req - Express request object
@@ -67,13 +148,23 @@ class AuthService {
         };
       }
 
+      if (!(await this.isSessionActive(tokenResult.user.sid, { ip: req.ip }))) {
+        return {
+          success: false,
+          error: "Session has ended",
+          statusCode: 401,
+          code: "SESSION_REVOKED"
+        };
+      }
+
       // Get user from database
       const user = await User.findById(tokenResult.user.userId).select([
         "_id",
         "username",
         "email",
         "avatarImage",
-        "isAvatarImageSet"
+        "isAvatarImageSet",
+        "emailVerified"
       ]);
 
       if (!user) {
@@ -99,13 +190,173 @@ class AuthService {
   }
 
   /**
-   * Generate JWT token for user
+   * Generate JWT access token for user
    * @param {string} userId - User ID
-   * @param {string} expiresIn - Token expiration time
+   * @param {Object} options - Token options
+   * @param {string} options.sessionId - Refresh token family the access token belongs to
+   * @param {string} options.expiresIn - Token expiration time
    * @returns {string} - JWT token
    */
-  static generateToken(userId, expiresIn = '24h') {
-    return jwt.sign({ userId }, JWT_SECRET, { expiresIn });
+  static generateToken(userId, { sessionId, expiresIn = ACCESS_TOKEN_TTL }) {
+    return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn });
+  }
+
+  /**
+   * SHA-256 of a refresh token, the form in which it is stored
+   * @param {string} refreshToken - Refresh token
+   * @returns {string} - Hex digest
+   */
+  static hashRefreshToken(refreshToken) {
+    return crypto.createHash("sha256").update(String(refreshToken)).digest("hex");
+  }
+
+  /**
+   * Expiry of a refresh token issued now
+   * @returns {Date} - Expiry time
+   */
+  static refreshTokenExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Record a login as a new session and issue its first token pair
+   * @param {string} userId - User ID
+   * @param {Object} context - { userAgent, ip } of the login request
+   * @returns {Object} - { token, refreshToken, expiresIn }
+   */
+  static async startSession(userId, context) {
+    const session = await SessionService.create(userId, context, this.refreshTokenExpiry());
+    return this.issueTokens(userId, session._id);
+  }
+
+  /**
+   * Issue an access token and a refresh token for a session
+   * @param {string} userId - User ID
+   * @param {string} family - Session ID, shared by the session's refresh tokens
+   * @returns {Object} - { token, refreshToken, expiresIn } with expiresIn in seconds
+   */
+  static async issueTokens(userId, family) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = this.refreshTokenExpiry();
+
+    await RefreshToken.create({
+      user: userId,
+      family,
+      tokenHash: this.hashRefreshToken(refreshToken),
+      expiresAt
+    });
+    await SessionService.extend(family, expiresAt);
+
+    const token = this.generateToken(userId, { sessionId: family });
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Each refresh token works once. Presenting a used one means it was copied, so the whole
+   * session is revoked and every device holding a token from it has to log in again.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - Refresh result with the new token pair
+   */
+  static async refreshTokens(refreshToken) {
+    try {
+      if (!refreshToken) {
+        return {
+          success: false,
+          error: "Refresh token required",
+          statusCode: 400
+        };
+      }
+
+      const tokenHash = this.hashRefreshToken(refreshToken);
+      const now = new Date();
+
+      // Claimed atomically so two concurrent refreshes cannot both succeed
+      const claimed = await RefreshToken.findOneAndUpdate(
+        { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+      );
+
+      if (!claimed) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+
+        if (existing && existing.usedAt && !existing.revokedAt) {
+          await SessionService.revoke([existing.family], "reuse");
+          return {
+            success: false,
+            error: "Refresh token reuse detected",
+            code: "REFRESH_TOKEN_REUSED",
+            revokedSessionId: existing.family,
+            statusCode: 401
+          };
+        }
+
+        return {
+          success: false,
+          error: existing && existing.expiresAt <= now ? "Refresh token expired" : "Invalid refresh token",
+          code: "INVALID_REFRESH_TOKEN",
+          statusCode: 401
+        };
+      }
+
+      if (!(await SessionService.touch(claimed.family))) {
+        await SessionService.revoke([claimed.family], "session-ended");
+        return {
+          success: false,
+          error: "Session has ended",
+          code: "INVALID_REFRESH_TOKEN",
+          statusCode: 401
+        };
+      }
+
+      const userCheck = await this.checkUserExists(claimed.user);
+      if (!userCheck.success) {
+        await SessionService.revoke([claimed.family], "user-not-found");
+        return {
+          success: false,
+          error: "User not found",
+          code: "INVALID_REFRESH_TOKEN",
+          statusCode: 401
+        };
+      }
+
+      const tokens = await this.issueTokens(claimed.user, claimed.family);
+
+      return {
+        success: true,
+        ...tokens,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to refresh token",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Check that the session an access token belongs to was not ended, and record its use
+   * Tokens issued before sessions existed carry no session ID. Nothing on the server could end
+   * them, so they are refused and their holders log in again.
+   * @param {string} sessionId - `sid` claim of the access token
+   * @param {Object} context - { ip } of the current request (optional)
+   * @returns {boolean} - Whether the session is still active
+   */
+  static async isSessionActive(sessionId, context) {
+    if (!sessionId) {
+      return false;
+    }
+    return SessionService.touch(sessionId, context);
   }
 
   /**
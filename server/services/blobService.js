@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Blob = require("../models/blobModel");
+const StorageService = require("./storageService");
+const AttachmentService = require("./attachmentService");
+
+// Orphans are kept this long so a send racing the collector can still revive them
+const GC_GRACE_MINUTES = parseInt(process.env.BLOB_GC_GRACE_MINUTES) || 60;
+const GC_INTERVAL_MINUTES = parseInt(process.env.BLOB_GC_INTERVAL_MINUTES) || 60;
+const GC_BATCH_SIZE = 100;
+// A collector that died mid-removal leaves its claim; another run takes it over after this long
+const GC_CLAIM_TIMEOUT_MINUTES = 10;
+// store() waits this long, in total, for the collector to finish with content being re-uploaded
+const STORE_RETRY_DELAY_MS = 500;
+const STORE_RETRY_ATTEMPTS = 10;
+// An upload still writing a new object after this long is assumed dead and another one takes over
+const STORE_WRITE_TIMEOUT_MS = 5 * 60 * 1000;
+// Uploads of content another upload is writing wait up to this many retry delays
+const STORE_WAIT_ATTEMPTS = 2 * STORE_WRITE_TIMEOUT_MS / STORE_RETRY_DELAY_MS;
+
+class BlobService {
+  /**
+   * SHA-256 of a file's content
+   * @param {string} filePath - Local file
+   * @returns {Promise<string>} - Hex digest
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  /**
+   * Store an upload by content hash and take one reference on it
+   * When the same content is already stored, the local copies are discarded and the existing
+   * object is reused; variants it does not have yet are added. When another upload of the same
+   * content is still writing it, this waits for that write, or takes it over if it fails.
+   * @param {Object} file - Processed upload { filename, path, size, mimetype }
+   * @param {Array} variants - Derived files [{ suffix, path, mimetype }], e.g. suffix "-small.webp"
+   * @returns {Promise<Object>} - { key, variantKeys } in the order of variants
+   */
+  static async store(file, variants = []) {
+    const hash = await this.hashFile(file.path);
+    const key = `${hash}${path.extname(file.filename).toLowerCase()}`;
+    const variantKeys = variants.map((variant) => `${hash}${variant.suffix}`);
+    const writerToken = crypto.randomUUID();
+
+    let previous = await this.reference(key, {
+      hash,
+      size: file.size,
+      mimeType: AttachmentService.getBaseType(file.mimetype),
+      pending: true,
+      writerToken,
+      writingSince: new Date()
+    });
+    let writesObject = !previous;
+    let written = [];
+
+    try {
+      if (previous?.pending) {
+        writesObject = await this.waitForObject(key, writerToken);
+        previous = await Blob.findById(key).select("variants").lean();
+      }
+
+      const known = new Set(previous?.variants || []);
+      const toWrite = [
+        ...(writesObject ? [{ key, file }] : []),
+        ...variants
+          .map((variant, index) => ({ key: variantKeys[index], file: variant }))
+          .filter((entry) => !known.has(entry.key))
+      ];
+
+      for (const entry of toWrite) {
+        await StorageService.store({ filename: entry.key, path: entry.file.path, mimetype: entry.file.mimetype });
+        written.push(entry);
+      }
+
+      const newVariants = written.filter((entry) => entry.key !== key);
+      await Blob.updateOne({ _id: key }, {
+        ...(writesObject ? { $set: { pending: false }, $unset: { writerToken: 1, writingSince: 1 } } : {}),
+        ...(newVariants.length > 0
+          ? {
+            $addToSet: {
+              variants: { $each: newVariants.map((entry) => entry.key) },
+              variantTypes: {
+                $each: newVariants.map((entry) => ({
+                  key: entry.key,
+                  mimeType: AttachmentService.getBaseType(entry.file.mimetype)
+                }))
+              }
+            }
+          }
+          : {})
+      });
+
+      AttachmentService.discard([
+        ...(writesObject ? [] : [file]),
+        ...variants.filter((variant, index) => !written.some((entry) => entry.key === variantKeys[index]))
+      ]);
+    } catch (error) {
+      await StorageService.remove(written.map((entry) => entry.key));
+      await this.release([key]);
+      if (writesObject) {
+        // Only a record this call was writing, and only when nobody else took a reference meanwhile
+        await Blob.deleteOne({ _id: key, writerToken, refCount: { $lte: 0 } });
+        // Otherwise an upload waiting on it takes the write over
+        await Blob.updateOne({ _id: key, writerToken }, { $set: { writerToken: null } });
+      }
+      throw error;
+    }
+
+    return { key, variantKeys };
+  }
+
+  /**
+   * Wait until another upload has written a blob's object
+   * @param {string} key - Blob key, referenced by the caller
+   * @param {string} writerToken - Token to claim the write with
+   * @returns {Promise<boolean>} - True when the caller has to write the object itself because
+   *   the other upload failed or stalled, false once the object is stored
+   */
+  static async waitForObject(key, writerToken) {
+    for (let attempt = 1; attempt <= STORE_WAIT_ATTEMPTS; attempt++) {
+      const claimed = await Blob.findOneAndUpdate(
+        {
+          _id: key,
+          pending: true,
+          $or: [
+            { writerToken: null },
+            { writingSince: { $lte: new Date(Date.now() - STORE_WRITE_TIMEOUT_MS) } }
+          ]
+        },
+        { $set: { writerToken, writingSince: new Date() } }
+      );
+      if (claimed) {
+        return true;
+      }
+
+      const blob = await Blob.findById(key).select("pending").lean();
+      if (!blob) {
+        throw new Error(`Blob ${key} disappeared while waiting for it to be stored`);
+      }
+      if (!blob.pending) {
+        return false;
+      }
+      await new Promise((resolve) => setTimeout(resolve, STORE_RETRY_DELAY_MS));
+    }
+    throw new Error(`Timed out waiting for an identical upload of ${key} to be stored`);
+  }
+
+  /**
+   * Take one reference on a blob record, creating it when missing
+   * A record the collector is deleting is left alone: its objects are about to disappear, so this
+   * waits for the record to go and then creates a fresh one.
+   * @param {string} key - Blob key
+   * @param {Object} fields - Fields of a new record { hash, size, mimeType, pending, writerToken, writingSince }
+   * @returns {Promise<Object|null>} - The record before the reference was taken, null when it was created
+   */
+  static async reference(key, fields) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await Blob.findOneAndUpdate(
+          { _id: key, deletingAt: null },
+          {
+            $inc: { refCount: 1 },
+            $set: { orphanedAt: null },
+            $setOnInsert: fields
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Duplicate key: the collector holds the record, or a concurrent upload created it first
+        if (error.code !== 11000 || attempt >= STORE_RETRY_ATTEMPTS) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, STORE_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  /**
+   * Take additional references, e.g. for forwarded copies
+   * Keys without a blob record (uploads that were never backfilled) are ignored.
+   * @param {Array} keys - Blob keys, once per new reference
+   */
+  static async retain(keys) {
+    const counts = new Map();
+    keys.filter(Boolean).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+
+    for (const [key, count] of counts) {
+      await Blob.updateOne(
+        { _id: key, deletingAt: null },
+        { $inc: { refCount: count }, $set: { orphanedAt: null } }
+      );
+    }
+  }
+
+  /**
+   * Drop one reference per key; blobs left without references become orphans for collectGarbage()
+   * @param {Array} keys - Blob keys, once per dropped reference
+   */
+  static async release(keys) {
+    for (const key of keys.filter(Boolean)) {
+      const blob = await Blob.findOneAndUpdate(
+        { _id: key, refCount: { $gt: 0 } },
+        { $inc: { refCount: -1 } },
+        { new: true }
+      );
+      if (blob && blob.refCount === 0) {
+        await Blob.updateOne({ _id: key, refCount: 0 }, { $set: { orphanedAt: new Date() } });
+      }
+    }
+  }
+
+  /**
+   * Delete orphaned blobs, with their variants, from storage
+   * @returns {Promise<number>} - Number of blobs removed
+   */
+  static async collectGarbage() {
+    const cutoff = new Date(Date.now() - GC_GRACE_MINUTES * 60 * 1000);
+    const staleClaim = new Date(Date.now() - GC_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+    const orphans = await Blob.find({ refCount: { $lte: 0 }, orphanedAt: { $lte: cutoff } })
+      .select("_id")
+      .limit(GC_BATCH_SIZE);
+
+    let removed = 0;
+    for (const orphan of orphans) {
+      // Claimed atomically, re-checking that no reference arrived since the query. The record stays
+      // as a tombstone until the objects are gone, so store() cannot revive it and have its fresh
+      // upload removed underneath it.
+      const claimedAt = new Date();
+      const blob = await Blob.findOneAndUpdate(
+        {
+          _id: orphan._id,
+          refCount: { $lte: 0 },
+          $or: [{ deletingAt: null }, { deletingAt: { $lte: staleClaim } }]
+        },
+        { $set: { deletingAt: claimedAt } },
+        { new: true }
+      );
+      if (blob) {
+        await StorageService.remove([blob._id, ...blob.variants]);
+        await Blob.deleteOne({ _id: blob._id, deletingAt: claimedAt });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Run collectGarbage() every BLOB_GC_INTERVAL_MINUTES
+   * Safe on several instances at once: each orphan is claimed by a single conditional update.
+   * @returns {Object} - Interval timer
+   */
+  static startGarbageCollection() {
+    const timer = setInterval(() => {
+      this.collectGarbage()
+        .then((removed) => {
+          if (removed > 0) {
+            console.log(`Garbage collection removed ${removed} unreferenced uploads`);
+          }
+        })
+        .catch((error) => console.error("Garbage collection error:", error.message));
+    }, GC_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = BlobService;
@@ -0,0 +1,731 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/conversationModel");
+const Message = require("../models/messageModel");
+const User = require("../models/userModel");
+const SocketService = require("./socketService");
+const BlobService = require("./blobService");
+
+const MEMBER_FIELDS = "username avatarImage isAvatarImageSet";
+
+class ConversationService {
+  /**
+   * Get the user ID of a member entry, populated or not
+   * @param {Object} member - Conversation member
+   * @returns {string} - User ID
+   */
+  static memberId(member) {
+    return (member.user._id || member.user).toString();
+  }
+
+  /**
+   * Get the user IDs of every member
+   * @param {Object} conversation - Conversation document
+   * @returns {Array} - User IDs
+   */
+  static getMemberIds(conversation) {
+    return conversation.members.map((member) => this.memberId(member));
+  }
+
+  /**
+   * Find a member entry for a user
+   * @param {Object} conversation - Conversation document
+   * @param {string} userId - User ID
+   * @returns {Object|undefined} - Member entry
+   */
+  static findMember(conversation, userId) {
+    return conversation.members.find((member) => this.memberId(member) === userId.toString());
+  }
+
+  /**
+   * Check whether a user is an admin of the conversation
+   * @param {Object} conversation - Conversation document
+   * @param {string} userId - User ID
+   * @returns {boolean} - Admin state
+   */
+  static isAdmin(conversation, userId) {
+    const member = this.findMember(conversation, userId);
+    return !!member && member.role === 'admin';
+  }
+
+  /**
+   * Key identifying the direct conversation between two users
+   * @param {string} userId - First user ID
+   * @param {string} otherUserId - Second user ID
+   * @returns {string} - Order-independent key
+   */
+  static buildDirectKey(userId, otherUserId) {
+    return [userId.toString(), otherUserId.toString()].sort().join(':');
+  }
+
+  /**
+   * Find or create the direct conversation between two users
+   * Messages stored before conversations existed are attached to it on creation.
+   * @param {string} userId - Current user ID
+   * @param {string} otherUserId - Other user ID
+   * @returns {Object} - Conversation result
+   */
+  static async findOrCreateDirect(userId, otherUserId) {
+    try {
+      if (!userId || !otherUserId) {
+        return {
+          success: false,
+          error: "Both user IDs are required",
+          statusCode: 400
+        };
+      }
+
+      if (userId.toString() === otherUserId.toString()) {
+        return {
+          success: false,
+          error: "You cannot start a conversation with yourself",
+          statusCode: 400
+        };
+      }
+
+      const directKey = this.buildDirectKey(userId, otherUserId);
+      let conversation = await Conversation.findOne({ directKey });
+
+      if (!conversation) {
+        if (!mongoose.Types.ObjectId.isValid(otherUserId) || !(await User.exists({ _id: otherUserId }))) {
+          return {
+            success: false,
+            error: "Recipient not found",
+            statusCode: 404
+          };
+        }
+
+        try {
+          conversation = await Conversation.create({
+            type: 'direct',
+            directKey,
+            members: [{ user: userId }, { user: otherUserId }],
+            createdBy: userId
+          });
+        } catch (error) {
+          // Another request created it first
+          if (error.code !== 11000) {
+            throw error;
+          }
+          conversation = await Conversation.findOne({ directKey });
+        }
+
+        const adopted = await Message.updateMany(
+          {
+            conversation: null,
+            users: { $all: [userId.toString(), otherUserId.toString()], $size: 2 }
+          },
+          { conversation: conversation._id }
+        );
+
+        // Adopted messages the members have not read start on their unread counters
+        if (adopted.modifiedCount > 0) {
+          for (const memberId of [userId, otherUserId]) {
+            const unreadCount = await Message.countDocuments({
+              conversation: conversation._id,
+              deletedAt: null,
+              sender: { $ne: memberId },
+              hiddenFor: { $ne: memberId },
+              "readBy.user": { $ne: memberId }
+            });
+            await Conversation.updateOne(
+              { _id: conversation._id, "members.user": memberId },
+              { $set: { "members.$.unreadCount": unreadCount } }
+            );
+          }
+        }
+      }
+
+      return {
+        success: true,
+        conversation,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get conversation",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Attach a user's pre-conversation messages to direct conversations
+   * @param {string} userId - User ID
+   */
+  static async migrateLegacyMessages(userId) {
+    const pairs = await Message.aggregate([
+      { $match: { conversation: null, users: userId.toString() } },
+      { $group: { _id: "$users" } }
+    ]);
+
+    for (const pair of pairs) {
+      const [first, second] = pair._id;
+      if (first && second) {
+        await this.findOrCreateDirect(first, second);
+      }
+    }
+  }
+
+  /**
+   * Load a conversation the user belongs to
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Object} - Conversation result
+   */
+  static async getConversationForMember(conversationId, userId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        return {
+          success: false,
+          error: "Invalid conversation ID",
+          statusCode: 400
+        };
+      }
+
+      const conversation = await Conversation.findById(conversationId);
+
+      if (!conversation) {
+        return {
+          success: false,
+          error: "Conversation not found",
+          statusCode: 404
+        };
+      }
+
+      if (!this.findMember(conversation, userId)) {
+        return {
+          success: false,
+          error: "You are not a member of this conversation",
+          statusCode: 403
+        };
+      }
+
+      return {
+        success: true,
+        conversation,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get conversation",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Resolve the conversation a request targets: a conversation ID, or the direct chat with another user
+   * @param {string} userId - Current user ID
+   * @param {Object} target - Target
+   * @param {string} target.conversationId - Conversation ID (optional)
+   * @param {string} target.otherUserId - Other user ID for direct chats (optional)
+   * @returns {Object} - Conversation result
+   */
+  static async resolveConversation(userId, { conversationId, otherUserId }) {
+    if (conversationId) {
+      return this.getConversationForMember(conversationId, userId);
+    }
+    return this.findOrCreateDirect(userId, otherUserId);
+  }
+
+  /**
+   * Load a group conversation and require the user to be one of its admins
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Object} - Conversation result
+   */
+  static async getGroupForAdmin(conversationId, userId) {
+    const result = await this.getConversationForMember(conversationId, userId);
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.conversation.type !== 'group') {
+      return {
+        success: false,
+        error: "Only group conversations can be managed",
+        statusCode: 400
+      };
+    }
+
+    if (!this.isAdmin(result.conversation, userId)) {
+      return {
+        success: false,
+        error: "Only group admins can perform this action",
+        statusCode: 403
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and normalise a list of user IDs
+   * @param {Array} userIds - User IDs
+   * @returns {Object} - { success, userIds } or an error result
+   */
+  static async resolveUserIds(userIds) {
+    const uniqueIds = [...new Set((userIds || []).map((id) => id.toString()))];
+
+    if (uniqueIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return {
+        success: false,
+        error: "Invalid user ID",
+        statusCode: 400
+      };
+    }
+
+    const count = await User.countDocuments({ _id: { $in: uniqueIds } });
+    if (count !== uniqueIds.length) {
+      return {
+        success: false,
+        error: "One or more users not found",
+        statusCode: 404
+      };
+    }
+
+    return { success: true, userIds: uniqueIds };
+  }
+
+  /**
+   * Shape a conversation for API responses and socket events
+   * @param {Object} conversation - Conversation document (members populated)
+   * @returns {Object} - Public conversation representation
+   */
+  static formatConversation(conversation) {
+    return {
+      _id: conversation._id,
+      type: conversation.type,
+      name: conversation.name,
+      description: conversation.description,
+      avatarImage: conversation.avatarImage,
+      members: conversation.members.map((member) => ({
+        user: member.user,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      createdBy: conversation.createdBy,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    };
+  }
+
+  /**
+   * Populate members and notify everyone affected about a group change
+   * @param {Object} conversation - Saved conversation
+   * @param {Array} extraUserIds - Users no longer members who still need the update
+   * @returns {Object} - Formatted conversation
+   */
+  static async publishGroupUpdate(conversation, extraUserIds = []) {
+    await conversation.populate("members.user", MEMBER_FIELDS);
+    const payload = this.formatConversation(conversation);
+
+    SocketService.emitToUsers(
+      [...this.getMemberIds(conversation), ...extraUserIds],
+      "conversation-updated",
+      payload
+    );
+
+    return payload;
+  }
+
+  /**
+   * Remove a member with a single atomic update, promoting the longest-standing member when no admin is left
+   * Member entries carry counters other requests increment, so the array is never rewritten as a whole.
+   * A group its last member leaves is deleted together with its messages.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} memberId - User ID to remove
+   * @returns {Promise<Object>} - Conversation after the removal
+   */
+  static async pullMember(conversationId, memberId) {
+    let conversation = await Conversation.findOneAndUpdate(
+      { _id: conversationId },
+      { $pull: { members: { user: memberId } } },
+      { new: true }
+    );
+
+    if (conversation.members.length === 0) {
+      await this.deleteEmptyGroup(conversationId);
+      return conversation;
+    }
+
+    const hasAdmin = conversation.members.some((member) => member.role === 'admin');
+    if (!hasAdmin) {
+      const [successor] = [...conversation.members].sort((a, b) => a.joinedAt - b.joinedAt);
+      // Guarded so two concurrent departures cannot both promote someone
+      conversation = await Conversation.findOneAndUpdate(
+        { _id: conversationId, "members.role": { $ne: 'admin' } },
+        { $set: { "members.$[successor].role": 'admin' } },
+        { new: true, arrayFilters: [{ "successor.user": successor.user }] }
+      ) || await Conversation.findById(conversationId);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Delete a group nobody is a member of any more, with its messages
+   * Messages not deleted for everyone still hold a reference on their upload, which is released.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<void>}
+   */
+  static async deleteEmptyGroup(conversationId) {
+    const deleted = await Conversation.deleteOne({ _id: conversationId, type: 'group', members: { $size: 0 } });
+    if (deleted.deletedCount === 0) {
+      return;
+    }
+
+    const messages = await Message.find({ conversation: conversationId, deletedAt: null })
+      .select("message.file.key message.audio.key message.image")
+      .lean();
+    // Same keys as MessageService.getUploadKey
+    const uploadKeys = messages
+      .map(({ message }) => message?.file?.key || message?.audio?.key || message?.image || null)
+      .filter(Boolean);
+
+    await Message.deleteMany({ conversation: conversationId });
+    await BlobService.release(uploadKeys);
+  }
+
+  /**
+   * Create a group conversation
+   * @param {string} creatorId - Creator user ID (becomes admin)
+   * @param {Object} groupData - Group data
+   * @param {string} groupData.name - Group name
+   * @param {string} groupData.description - Group description (optional)
+   * @param {string} groupData.avatarImage - Group avatar URL (optional)
+   * @param {Array} groupData.members - Initial member user IDs
+   * @returns {Object} - Created group result
+   */
+  static async createGroup(creatorId, groupData) {
+    try {
+      const { name, description, avatarImage, members } = groupData;
+
+      if (typeof name !== "string" || !name.trim()) {
+        return {
+          success: false,
+          error: "Group name is required",
+          statusCode: 400
+        };
+      }
+
+      const resolved = await this.resolveUserIds(
+        (members || []).filter((id) => id.toString() !== creatorId.toString())
+      );
+      if (!resolved.success) {
+        return resolved;
+      }
+
+      if (resolved.userIds.length === 0) {
+        return {
+          success: false,
+          error: "A group needs at least one other member",
+          statusCode: 400
+        };
+      }
+
+      const conversation = await Conversation.create({
+        type: 'group',
+        name,
+        description,
+        avatarImage,
+        createdBy: creatorId,
+        members: [
+          { user: creatorId, role: 'admin' },
+          ...resolved.userIds.map((userId) => ({ user: userId }))
+        ]
+      });
+
+      return {
+        success: true,
+        conversation: await this.publishGroupUpdate(conversation),
+        statusCode: 201
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to create group",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Get a conversation with populated members
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Object} - Conversation result
+   */
+  static async getConversation(conversationId, userId) {
+    const result = await this.getConversationForMember(conversationId, userId);
+    if (!result.success) {
+      return result;
+    }
+
+    await result.conversation.populate("members.user", MEMBER_FIELDS);
+
+    return {
+      success: true,
+      conversation: this.formatConversation(result.conversation),
+      statusCode: 200
+    };
+  }
+
+  /**
+   * Update group name, description or avatar
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Admin user ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object} - Update result
+   */
+  static async updateGroup(conversationId, userId, updateData) {
+    try {
+      const result = await this.getGroupForAdmin(conversationId, userId);
+      if (!result.success) {
+        return result;
+      }
+
+      const { conversation } = result;
+      const { name, description, avatarImage } = updateData;
+
+      if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+          return {
+            success: false,
+            error: "Group name cannot be empty",
+            statusCode: 400
+          };
+        }
+        conversation.name = name;
+      }
+      if (description !== undefined) conversation.description = description;
+      if (avatarImage !== undefined) conversation.avatarImage = avatarImage;
+
+      await conversation.save();
+
+      return {
+        success: true,
+        conversation: await this.publishGroupUpdate(conversation),
+        message: "Group updated successfully",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to update group",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Add members to a group
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Admin user ID
+   * @param {Array} userIds - User IDs to add
+   * @returns {Object} - Update result
+   */
+  static async addMembers(conversationId, userId, userIds) {
+    try {
+      const result = await this.getGroupForAdmin(conversationId, userId);
+      if (!result.success) {
+        return result;
+      }
+
+      const resolved = await this.resolveUserIds(userIds);
+      if (!resolved.success) {
+        return resolved;
+      }
+
+      const { conversation } = result;
+      const newIds = resolved.userIds.filter((id) => !this.findMember(conversation, id));
+
+      if (newIds.length === 0) {
+        return {
+          success: false,
+          error: "Users are already members of this group",
+          statusCode: 400
+        };
+      }
+
+      // Atomic so a concurrent add cannot list someone twice
+      const added = await Conversation.updateOne(
+        { _id: conversation._id, "members.user": { $nin: newIds } },
+        { $push: { members: { $each: newIds.map((id) => ({ user: id })) } } }
+      );
+      if (added.modifiedCount === 0) {
+        return {
+          success: false,
+          error: "Users are already members of this group",
+          statusCode: 400
+        };
+      }
+
+      return {
+        success: true,
+        conversation: await this.publishGroupUpdate(await Conversation.findById(conversation._id)),
+        message: "Members added successfully",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to add members",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Remove a member from a group
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Admin user ID
+   * @param {string} memberId - User ID to remove
+   * @returns {Object} - Update result
+   */
+  static async removeMember(conversationId, userId, memberId) {
+    try {
+      const result = await this.getGroupForAdmin(conversationId, userId);
+      if (!result.success) {
+        return result;
+      }
+
+      if (memberId === userId.toString()) {
+        return {
+          success: false,
+          error: "Use leave to remove yourself from a group",
+          statusCode: 400
+        };
+      }
+
+      const { conversation } = result;
+      if (!this.findMember(conversation, memberId)) {
+        return {
+          success: false,
+          error: "User is not a member of this group",
+          statusCode: 404
+        };
+      }
+
+      const updated = await this.pullMember(conversation._id, memberId);
+
+      return {
+        success: true,
+        conversation: await this.publishGroupUpdate(updated, [memberId]),
+        message: "Member removed successfully",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to remove member",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Promote a group member to admin
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Admin user ID
+   * @param {string} memberId - User ID to promote
+   * @returns {Object} - Update result
+   */
+  static async promoteAdmin(conversationId, userId, memberId) {
+    try {
+      const result = await this.getGroupForAdmin(conversationId, userId);
+      if (!result.success) {
+        return result;
+      }
+
+      const { conversation } = result;
+      const member = this.findMember(conversation, memberId);
+
+      if (!member) {
+        return {
+          success: false,
+          error: "User is not a member of this group",
+          statusCode: 404
+        };
+      }
+
+      if (member.role === 'admin') {
+        return {
+          success: false,
+          error: "User is already an admin",
+          statusCode: 400
+        };
+      }
+
+      await Conversation.updateOne(
+        { _id: conversation._id, "members.user": memberId },
+        { $set: { "members.$.role": 'admin' } }
+      );
+
+      return {
+        success: true,
+        conversation: await this.publishGroupUpdate(await Conversation.findById(conversation._id)),
+        message: "Member promoted to admin",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to promote member",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Leave a group; the longest-standing member is promoted if the last admin leaves, and
+   * the group is deleted if nobody is left
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Leaving user ID
+   * @returns {Object} - Leave result
+   */
+  static async leaveGroup(conversationId, userId) {
+    try {
+      const result = await this.getConversationForMember(conversationId, userId);
+      if (!result.success) {
+        return result;
+      }
+
+      const { conversation } = result;
+      if (conversation.type !== 'group') {
+        return {
+          success: false,
+          error: "You can only leave group conversations",
+          statusCode: 400
+        };
+      }
+
+      const updated = await this.pullMember(conversation._id, userId);
+      await this.publishGroupUpdate(updated, [userId.toString()]);
+
+      return {
+        success: true,
+        message: "You left the group",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to leave group",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+}
+
+module.exports = ConversationService;
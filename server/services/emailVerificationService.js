@@ -0,0 +1,230 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/userModel");
+const MailService = require("./mailService");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+const TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+// Client page that reads ?token= and posts it to /api/auth/verify-email
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const TOKEN_PURPOSE = "verify-email";
+
+// Actions an unverified account may be denied; everything else (reading, receipts, account
+// management) is always allowed
+const ACTIONS = ["send-message", "edit-message", "react", "create-group", "manage-group"];
+// Comma-separated subset of ACTIONS still open to unverified accounts, e.g. "react,edit-message"
+const ALLOWED_ACTIONS = new Set(
+  (process.env.UNVERIFIED_ALLOWED_ACTIONS || "")
+    .split(",")
+    .map((action) => action.trim())
+    .filter((action) => ACTIONS.includes(action))
+);
+
+// Deliberately loose: the verification mail is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class EmailVerificationService {
+  /**
+   * Normalize an email address and check that it looks like one
+   * @param {string} email - Email address as entered
+   * @returns {string|null} - Trimmed, lower-cased address, or null when invalid
+   */
+  static normalizeEmail(email) {
+    if (typeof email !== "string") {
+      return null;
+    }
+    const normalized = email.trim().toLowerCase();
+    return normalized.length <= 254 && EMAIL_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Signed verification token; it is bound to the address, so changing the email voids it
+   * @param {Object} user - User with _id and email
+   * @returns {string} - JWT
+   */
+  static createToken(user) {
+    return jwt.sign(
+      { userId: user._id.toString(), email: user.email, purpose: TOKEN_PURPOSE },
+      JWT_SECRET,
+      { expiresIn: `${TOKEN_TTL_HOURS}h` }
+    );
+  }
+
+  /**
+   * Mail a verification link to the user's current address
+   * @param {Object} user - User document
+   */
+  static async sendVerification(user) {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(this.createToken(user))}`;
+
+    await MailService.send({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+        `Hi ${user.username},`,
+        "",
+        "Confirm your email address by opening this link:",
+        link,
+        "",
+        `The link expires in ${TOKEN_TTL_HOURS} hours. If you did not create an account, ignore this email.`
+      ].join("\n"),
+      html: [
+        `<p>Hi ${MailService.escapeHtml(user.username)},</p>`,
+        `<p>Confirm your email address by opening this link:</p>`,
+        `<p><a href="${MailService.escapeHtml(link)}">Verify email address</a></p>`,
+        `<p>The link expires in ${TOKEN_TTL_HOURS} hours. If you did not create an account, ignore this email.</p>`
+      ].join("\n")
+    });
+
+    await User.updateOne({ _id: user._id }, { emailVerificationSentAt: new Date() });
+  }
+
+  /**
+   * Send a verification link without failing the surrounding request
+   * Used after registration and email changes; the user can ask for another link.
+   * @param {Object} user - User document
+   */
+  static async trySendVerification(user) {
+    try {
+      await this.sendVerification(user);
+    } catch (error) {
+      console.error("Verification mail error:", error.message);
+    }
+  }
+
+  /**
+   * Send a new verification link on request
+   * @param {string} userId - User ID
+   * @returns {Object} - Resend result
+   */
+  static async resend(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      if (user.emailVerified) {
+        return {
+          success: false,
+          error: "Email is already verified",
+          statusCode: 400
+        };
+      }
+
+      const sentAt = user.emailVerificationSentAt?.getTime() || 0;
+      if (Date.now() - sentAt < RESEND_COOLDOWN_SECONDS * 1000) {
+        return {
+          success: false,
+          error: `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another email`,
+          statusCode: 429
+        };
+      }
+
+      await this.sendVerification(user);
+
+      return {
+        success: true,
+        message: `Verification email sent to ${user.email}`,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to send verification email",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Mark an email address as verified
+   * @param {string} token - Token from the verification link
+   * @returns {Object} - Verification result with the user's ID
+   */
+  static async verify(token) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, JWT_SECRET);
+      } catch (error) {
+        return {
+          success: false,
+          error: error.name === "TokenExpiredError"
+            ? "Verification link has expired"
+            : "Invalid verification link",
+          statusCode: 400
+        };
+      }
+
+      if (payload.purpose !== TOKEN_PURPOSE) {
+        return {
+          success: false,
+          error: "Invalid verification link",
+          statusCode: 400
+        };
+      }
+
+      // Only the address the link was sent to can be verified with it
+      const user = await User.findOneAndUpdate(
+        { _id: payload.userId, email: payload.email },
+        { emailVerified: true },
+        { new: true }
+      );
+
+      if (!user) {
+        return {
+          success: false,
+          error: "Verification link is no longer valid",
+          statusCode: 400
+        };
+      }
+
+      return {
+        success: true,
+        userId: user._id,
+        message: "Email verified",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to verify email",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Check whether a user may perform an action given their verification state
+   * @param {Object} user - User with _id and emailVerified
+   * @param {string} action - One of ACTIONS
+   * @returns {Object} - Authorization result; 403 with code EMAIL_NOT_VERIFIED when denied
+   */
+  static async authorize(user, action) {
+    if (user.emailVerified || ALLOWED_ACTIONS.has(action)) {
+      return { success: true };
+    }
+
+    // The address may have been verified after the user was loaded, e.g. when a socket connected
+    const current = await User.findById(user._id).select("emailVerified").lean();
+    if (current?.emailVerified) {
+      return { success: true };
+    }
+
+    return {
+      success: false,
+      error: "Verify your email address to do this",
+      code: "EMAIL_NOT_VERIFIED",
+      statusCode: 403
+    };
+  }
+}
+
+module.exports = EmailVerificationService;
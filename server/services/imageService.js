@@ -0,0 +1,112 @@
+const sharp = require("sharp");
+const path = require("path");
+const fs = require("fs");
+
+// Longest edge in pixels; thumbnails are never upscaled past the original
+const THUMBNAIL_SIZES = {
+  small: 320,
+  medium: 800
+};
+const PLACEHOLDER_SIZE = 16;
+
+class ImageService {
+  /**
+   * Rewrite an uploaded image in place without its metadata (EXIF, GPS, ICC comments)
+   * The EXIF orientation is applied to the pixels first so the image still displays upright.
+   * GIFs are re-encoded with all frames so animations survive.
+   * @param {string} filePath - Absolute path of the uploaded image
+   * @returns {Promise<Object>} - { width, height } of the stored image
+   */
+  static async sanitize(filePath) {
+    const metadata = await sharp(filePath).metadata();
+    const animated = metadata.format === "gif";
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      let pipeline = sharp(filePath, { animated });
+      if (!animated) {
+        pipeline = pipeline.rotate();
+      }
+      // sharp drops all metadata unless withMetadata() is requested
+      const info = await pipeline.toFormat(metadata.format).toFile(tempPath);
+      await fs.promises.rename(tempPath, filePath);
+
+      return animated
+        ? { width: metadata.width, height: metadata.pageHeight || metadata.height }
+        : { width: info.width, height: info.height };
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Write WebP thumbnails next to the original, one per THUMBNAIL_SIZES entry
+   * @param {string} filePath - Absolute path of the sanitized image
+   * @returns {Promise<Array>} - [{ size, width, height, file }] where file is { filename, path, mimetype }
+   */
+  static async createThumbnails(filePath) {
+    const { dir, name } = path.parse(filePath);
+    const thumbnails = [];
+
+    try {
+      for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+        const filename = `${name}-${size}.webp`;
+        const thumbnailPath = path.join(dir, filename);
+        const info = await sharp(filePath)
+          .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toFile(thumbnailPath);
+        thumbnails.push({
+          size,
+          width: info.width,
+          height: info.height,
+          file: { filename, path: thumbnailPath, mimetype: "image/webp" }
+        });
+      }
+    } catch (error) {
+      await Promise.all(
+        Object.keys(THUMBNAIL_SIZES).map((size) =>
+          fs.promises.rm(path.join(dir, `${name}-${size}.webp`), { force: true })
+        )
+      );
+      throw error;
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Tiny inline preview the client blurs and shows while the thumbnail loads
+   * @param {string} filePath - Absolute path of the sanitized image
+   * @returns {Promise<string>} - WebP data URI
+   */
+  static async createPlaceholder(filePath) {
+    const buffer = await sharp(filePath)
+      .resize({ width: PLACEHOLDER_SIZE, height: PLACEHOLDER_SIZE, fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer();
+    return `data:image/webp;base64,${buffer.toString("base64")}`;
+  }
+
+  /**
+   * Prepare an uploaded image for display: strip metadata, then derive thumbnails and a placeholder
+   * Thumbnails are written next to the image; the caller moves them into storage.
+   * @param {string} filePath - Absolute path of the uploaded image
+   * @returns {Promise<Object>} - { width, height, placeholder, thumbnails }
+   */
+  static async process(filePath) {
+    const dimensions = await this.sanitize(filePath);
+    const thumbnails = await this.createThumbnails(filePath);
+
+    try {
+      const placeholder = await this.createPlaceholder(filePath);
+      return { ...dimensions, placeholder, thumbnails };
+    } catch (error) {
+      await Promise.all(thumbnails.map(({ file }) => fs.promises.rm(file.path, { force: true })));
+      throw error;
+    }
+  }
+}
+
+module.exports = ImageService;
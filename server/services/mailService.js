@@ -0,0 +1,50 @@
+const { createMailer } = require("../mailer");
+
+// Installed by index.js at startup; created from the environment on first use otherwise
+let driver = null;
+
+class MailService {
+  /**
+   * Use a specific mail driver
+   * @param {Object} mailDriver - Driver from mailer/index.js
+   */
+  static useDriver(mailDriver) {
+    driver = mailDriver;
+  }
+
+  /**
+   * Current mail driver
+   * @returns {Object} - Driver implementing send
+   */
+  static getDriver() {
+    if (!driver) {
+      driver = createMailer();
+    }
+    return driver;
+  }
+
+  /**
+   * Escape a value for use in an HTML mail body
+   * @param {*} value - Text or attribute value
+   * @returns {string} - Escaped text
+   */
+  static escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;"
+    })[char]);
+  }
+
+  /**
+   * Send one message
+   * @param {Object} message - { to, subject, text, html }
+   */
+  static async send(message) {
+    await this.getDriver().send(message);
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,205 @@
+const Message = require("../models/messageModel");
+const Conversation = require("../models/conversationModel");
+const Blob = require("../models/blobModel");
+const StorageService = require("./storageService");
+const AttachmentService = require("./attachmentService");
+
+const MEDIA_URL_TTL_MINUTES = parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 15;
+const MAX_URL_BATCH = 100;
+// Every message field that holds a storage key
+const MEDIA_KEY_FIELDS = [
+  "message.image",
+  "message.imageMeta.thumbnails.key",
+  "message.file.key",
+  "message.audio.key"
+];
+
+class MediaService {
+  /**
+   * Time-limited URL for a stored object, usable without an Authorization header (img/audio src)
+   * Only for keys known to hold images or audio; use signKey() for anything else.
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} - Signed URL, relative to this server for the local driver
+   */
+  static getSignedUrl(key) {
+    return StorageService.getSignedUrl(key, { expiresIn: MEDIA_URL_TTL_MINUTES * 60 });
+  }
+
+  /**
+   * How a stored object may be served, from the MIME type recorded when it was stored
+   * Objects without a recorded type (uploads from before blob records) are treated as opaque downloads.
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - { mimeType, inline } where inline is false for anything but images and audio
+   */
+  static async describeKey(key) {
+    const blob = await Blob.findOne({ $or: [{ _id: key }, { "variantTypes.key": key }] })
+      .select(["mimeType", "variantTypes"])
+      .lean();
+    const recorded = blob && (blob._id === key
+      ? blob.mimeType
+      : blob.variantTypes.find((variant) => variant.key === key)?.mimeType);
+    const mimeType = recorded && AttachmentService.getCategory(recorded) ? recorded : "application/octet-stream";
+
+    return { mimeType, inline: AttachmentService.isInline(mimeType) };
+  }
+
+  /**
+   * Signed URL for any stored object, forcing a download for documents and archives
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} - Signed URL
+   */
+  static async signKey(key) {
+    const { mimeType, inline } = await this.describeKey(key);
+    return StorageService.getSignedUrl(key, {
+      expiresIn: MEDIA_URL_TTL_MINUTES * 60,
+      contentType: mimeType,
+      attachment: !inline
+    });
+  }
+
+  /**
+   * Message content with signed URLs next to its media keys
+   * File attachments get none: they download through the authorized download endpoint.
+   * @param {Object} message - Message document or plain object
+   * @returns {Promise<Object>} - Content with imageUrl, imageMeta.thumbnails[].url and audio.url added
+   */
+  static async signContent(message) {
+    const content = typeof message.toObject === "function"
+      ? message.toObject().message
+      : { ...message.message };
+
+    if (content.image) {
+      content.imageUrl = await this.getSignedUrl(content.image);
+    }
+    if (content.imageMeta?.thumbnails?.length) {
+      content.imageMeta = {
+        ...content.imageMeta,
+        thumbnails: await Promise.all(
+          content.imageMeta.thumbnails.map(async (thumbnail) => ({
+            ...thumbnail,
+            url: await this.getSignedUrl(thumbnail.key)
+          }))
+        )
+      };
+    }
+    if (content.audio?.key) {
+      content.audio = { ...content.audio, url: await this.getSignedUrl(content.audio.key) };
+    }
+
+    return content;
+  }
+
+  /**
+   * Storage keys among the given ones that the user may fetch
+   * A key is accessible when a message the user can still see references it and the user is
+   * a current member of that message's conversation, so people removed from a group lose access
+   * and people added later can open the history they are shown.
+   * @param {string} userId - Requesting user ID
+   * @param {Array} keys - Storage keys
+   * @returns {Promise<Set>} - Accessible keys
+   */
+  static async findAccessibleKeys(userId, keys) {
+    const messages = await Message.find({
+      $or: MEDIA_KEY_FIELDS.map((field) => ({ [field]: { $in: keys } })),
+      hiddenFor: { $ne: userId },
+      deletedAt: null
+    }).select(["conversation", ...MEDIA_KEY_FIELDS]);
+
+    const conversations = await Conversation.find({
+      _id: { $in: messages.map((message) => message.conversation) },
+      "members.user": userId
+    }).select("_id");
+    const memberOf = new Set(conversations.map((conversation) => conversation._id.toString()));
+
+    const requested = new Set(keys);
+    const accessible = new Set();
+    messages
+      .filter((message) => memberOf.has(message.conversation.toString()))
+      .forEach((message) => {
+        const { image, imageMeta, file, audio } = message.message;
+        [image, file?.key, audio?.key, ...(imageMeta?.thumbnails || []).map((thumbnail) => thumbnail.key)]
+          .filter((key) => key && requested.has(key))
+          .forEach((key) => accessible.add(key));
+      });
+
+    return accessible;
+  }
+
+  /**
+   * Check that a user may fetch one stored object
+   * @param {string} userId - Requesting user ID
+   * @param {string} key - Storage key
+   * @returns {Object} - Authorization result
+   */
+  static async authorizeKey(userId, key) {
+    try {
+      const accessible = await this.findAccessibleKeys(userId, [key]);
+      if (!accessible.has(key)) {
+        // Same answer for missing and forbidden keys so keys cannot be probed
+        return {
+          success: false,
+          error: "Media not found",
+          statusCode: 404
+        };
+      }
+
+      return { success: true, statusCode: 200 };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to authorize media",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Fresh signed URLs, e.g. when the ones delivered with a message have expired
+   * Keys the user may not access are left out of the result.
+   * @param {string} userId - Requesting user ID
+   * @param {Array} keys - Storage keys
+   * @returns {Object} - Result with urls keyed by storage key
+   */
+  static async getSignedUrls(userId, keys) {
+    try {
+      if (!Array.isArray(keys) || keys.length === 0 || keys.some((key) => typeof key !== "string")) {
+        return {
+          success: false,
+          error: "keys must be a non-empty array of storage keys",
+          statusCode: 400
+        };
+      }
+
+      if (keys.length > MAX_URL_BATCH) {
+        return {
+          success: false,
+          error: `At most ${MAX_URL_BATCH} keys can be signed at once`,
+          statusCode: 400
+        };
+      }
+
+      const accessible = await this.findAccessibleKeys(userId, keys);
+      const urls = {};
+      for (const key of accessible) {
+        urls[key] = await this.signKey(key);
+      }
+
+      return {
+        success: true,
+        urls,
+        expiresIn: MEDIA_URL_TTL_MINUTES * 60,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to sign media URLs",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+}
+
+module.exports = MediaService;
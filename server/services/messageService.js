@@ -1,74 +1,1134 @@
 const Message = require("../models/messageModel");
 const AuthService = require("./authService");
+const SocketService = require("./socketService");
+const ConversationService = require("./conversationService");
+const AttachmentService = require("./attachmentService");
+const AudioService = require("./audioService");
+const ImageService = require("./imageService");
+const StorageService = require("./storageService");
+const BlobService = require("./blobService");
+const MediaService = require("./mediaService");
+const Conversation = require("../models/conversationModel");
+const mongoose = require("mongoose");
 const path = require("path");
-const fs = require("fs");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const DELETE_WINDOW_MINUTES = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60;
+const DELETE_SCOPES = ['me', 'everyone'];
+const DELETED_PREVIEW = "🚫 This message was deleted";
+const REACTION_ACTIONS = ['add', 'remove', 'toggle'];
+const MAX_REACTION_LENGTH = 16;
+const EMOJI_PATTERN = /^(\p{Extended_Pictographic}|\p{Regional_Indicator})/u;
+const MAX_FORWARD_TARGETS = parseInt(process.env.MESSAGE_FORWARD_MAX_TARGETS) || 5;
+const MAX_FORWARD_MESSAGES = 20;
+const MAX_VOICE_SECONDS = 300;
 
 class MessageService {
   /**
-   * Create a new message
-   * @param {Object} messageData - Message data
-   * @param {string} messageData.senderId - Sender user ID
-   * @param {string} messageData.to - Recipient user ID
-   * @param {string} messageData.text - Message text (optional)
-   * @param {Object} messageData.imageFile - Image file (optional)
-   * @returns {Object} - Created message result
+   * Create a new message
+   * @param {Object} messageData - Message data
+   * @param {string} messageData.senderId - Sender user ID
+   * @param {string} messageData.to - Recipient user ID for direct chats (optional)
+   * @param {string} messageData.conversationId - Conversation ID (optional, required for groups)
+   * @param {string} messageData.text - Message text (optional)
+   * @param {Object} messageData.imageFile - Image file (optional)
+   * @param {Object} messageData.attachmentFile - Document or archive file (optional)
+   * @param {Object} messageData.audioFile - Voice recording (optional)
+   * @param {number} messageData.audioDuration - Recorder-reported duration, used only when the server cannot decode the audio (optional)
+   * @param {string} messageData.replyTo - ID of a message in the same conversation being replied to (optional)
+   * @returns {Object} - Created message result
+   */
+  static async createMessage(messageData) {
+    // Generated files and blob references are not multer uploads, so the controller cannot clean them up
+    let derivedFiles = [];
+    let storedKey = null;
+    try {
+      const {
+        senderId,
+        to,
+        conversationId,
+        text,
+        imageFile,
+        attachmentFile,
+        audioFile,
+        audioDuration,
+        replyTo
+      } = messageData;
+
+      if (!senderId || (!to && !conversationId)) {
+        return {
+          success: false,
+          error: "Sender and recipient or conversation IDs are required",
+          statusCode: 400
+        };
+      }
+
+      const uploads = [
+        { file: imageFile, field: 'image' },
+        { file: attachmentFile, field: 'file' },
+        { file: audioFile, field: 'audio' }
+      ].filter((upload) => upload.file);
+
+      if (!text && uploads.length === 0) {
+        return {
+          success: false,
+          error: "Message text, image, file or voice recording is required",
+          statusCode: 400
+        };
+      }
+
+      if (uploads.length > 1) {
+        return {
+          success: false,
+          error: "Send only one image, file or voice recording per message",
+          statusCode: 400
+        };
+      }
+
+      if (uploads.length === 1) {
+        const uploadCheck = AttachmentService.validateUpload(uploads[0].file, uploads[0].field);
+        if (!uploadCheck.success) {
+          return uploadCheck;
+        }
+      }
+
+      const conversationResult = await ConversationService.resolveConversation(senderId, {
+        conversationId,
+        otherUserId: to
+      });
+      if (!conversationResult.success) {
+        return conversationResult;
+      }
+
+      const { conversation } = conversationResult;
+      const memberIds = ConversationService.getMemberIds(conversation);
+
+      let replySnapshot = null;
+      if (replyTo) {
+        const replyResult = await this.buildReplySnapshot(replyTo, conversation._id, senderId);
+        if (!replyResult.success) {
+          return replyResult;
+        }
+        replySnapshot = replyResult.snapshot;
+      }
+
+      let messageContent = {};
+      const upload = uploads[0]?.file;
+
+      // Determine message type and content
+      if (audioFile) {
+        const audioResult = await this.describeVoice(audioFile, audioDuration);
+        if (!audioResult.success) {
+          return audioResult;
+        }
+        messageContent = {
+          audio: audioResult.audio,
+          type: 'audio'
+        };
+      } else if (attachmentFile) {
+        messageContent = {
+          text: text,
+          file: AttachmentService.describeFile(attachmentFile),
+          type: 'file'
+        };
+      } else if (imageFile) {
+        const imageResult = await this.describeImage(imageFile);
+        if (!imageResult.success) {
+          return imageResult;
+        }
+        derivedFiles = imageResult.derivedFiles;
+        messageContent = {
+          text: text,
+          image: imageFile.filename,
+          imageMeta: imageResult.imageMeta,
+          type: text ? 'mixed' : 'image'
+        };
+      } else {
+        messageContent = {
+          text: text,
+          type: 'text'
+        };
+      }
+
+      // Only valid messages reach storage; identical content is stored once and shared
+      if (upload) {
+        const { key, variantKeys } = await BlobService.store(upload, derivedFiles);
+        storedKey = key;
+        if (audioFile) {
+          messageContent.audio.key = key;
+        } else if (attachmentFile) {
+          messageContent.file.key = key;
+        } else {
+          messageContent.image = key;
+          messageContent.imageMeta.thumbnails.forEach((thumbnail, index) => {
+            thumbnail.key = variantKeys[index];
+          });
+        }
+      }
+
+      const newMessage = await Message.create({
+        message: messageContent,
+        conversation: conversation._id,
+        // Members at send time, so per-user queries keep working for groups
+        users: memberIds,
+        sender: senderId,
+        replyTo: replySnapshot,
+      });
+
+      await this.broadcastNewMessages(conversation, [newMessage]);
+
+      return {
+        success: true,
+        message: newMessage,
+        statusCode: 201
+      };
+    } catch (error) {
+      AttachmentService.discard(derivedFiles);
+      await BlobService.release([storedKey]);
+      return {
+        success: false,
+        error: "Failed to create message",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Measure a voice recording and build the metadata stored on the message
+   * Without ffmpeg the recorder-reported duration is kept and the waveform stays empty.
+   * @param {Object} audioFile - Multer file
+   * @param {number} reportedDuration - Duration in seconds reported by the client (optional)
+   * @returns {Object} - Result with storage key, duration, waveform, size and MIME type
+   */
+  static async describeVoice(audioFile, reportedDuration) {
+    let analysis;
+    try {
+      analysis = await AudioService.analyze(audioFile.path);
+    } catch (error) {
+      console.error("Voice analysis error:", error.message);
+      const fallback = parseFloat(reportedDuration);
+      analysis = {
+        duration: Number.isFinite(fallback) && fallback > 0 ? Math.round(fallback * 10) / 10 : null,
+        waveform: []
+      };
+    }
+
+    if (analysis.duration > MAX_VOICE_SECONDS) {
+      return {
+        success: false,
+        error: `Voice messages can be at most ${MAX_VOICE_SECONDS / 60} minutes long`,
+        statusCode: 413
+      };
+    }
+
+    return {
+      success: true,
+      audio: {
+        key: audioFile.filename,
+        duration: analysis.duration,
+        waveform: analysis.waveform,
+        size: audioFile.size,
+        mimeType: audioFile.mimetype
+      }
+    };
+  }
+
+  /**
+   * Strip metadata from an uploaded image and derive its thumbnails and placeholder
+   * Thumbnail keys are filled in once the image is stored under its content hash.
+   * @param {Object} imageFile - Multer file
+   * @returns {Object} - Result with the image metadata and the generated thumbnail files to store, as blob variants
+   */
+  static async describeImage(imageFile) {
+    try {
+      const { thumbnails, ...details } = await ImageService.process(imageFile.path);
+      return {
+        success: true,
+        imageMeta: {
+          ...details,
+          thumbnails: thumbnails.map(({ size, width, height, file }) => ({
+            size,
+            key: file.filename,
+            width,
+            height
+          }))
+        },
+        derivedFiles: thumbnails.map(({ size, file }) => ({ ...file, suffix: `-${size}${path.extname(file.filename)}` }))
+      };
+    } catch (error) {
+      console.error("Image processing error:", error.message);
+      return {
+        success: false,
+        error: "The image could not be read",
+        statusCode: 400
+      };
+    }
+  }
+
+  /**
+   * Push freshly stored messages to every member, then count them as unread and refresh the sidebars
+   * @param {Object} conversation - Conversation the messages were stored in
+   * @param {Array} messages - New messages, oldest first
+   */
+  static async broadcastNewMessages(conversation, messages) {
+    const memberIds = ConversationService.getMemberIds(conversation);
+
+    // Broadcast only what was stored so peers never see unsaved content.
+    // The sender's other devices get it too; clients dedupe by _id.
+    for (const message of messages) {
+      SocketService.emitToUsers(memberIds, "msg-recieve", await this.formatMessage(message));
+    }
+
+    try {
+      for (const message of messages) {
+        const recipientIds = message.users.filter((id) => id.toString() !== message.sender.toString());
+        await this.adjustUnreadCounts(conversation._id, recipientIds, 1);
+      }
+      await this.publishUnreadCounts(conversation, messages[messages.length - 1]);
+    } catch (error) {
+      console.error("Unread count update error:", error);
+    }
+  }
+
+  /**
+   * Copy messages into other chats
+   * Images are not duplicated: the copies point at the same stored upload.
+   * @param {string} userId - Forwarding user ID
+   * @param {Object} forwardData - What to forward and where
+   * @param {Array} forwardData.messageIds - IDs of messages the user can see
+   * @param {Array} forwardData.conversationIds - Target conversation IDs (optional)
+   * @param {Array} forwardData.userIds - Target users for direct chats (optional)
+   * @returns {Object} - Forward result with the created messages
+   */
+  static async forwardMessages(userId, { messageIds, conversationIds = [], userIds = [] }) {
+    try {
+      if (!userId || !Array.isArray(messageIds) || messageIds.length === 0) {
+        return {
+          success: false,
+          error: "User ID and message IDs are required",
+          statusCode: 400
+        };
+      }
+
+      if (!Array.isArray(conversationIds) || !Array.isArray(userIds)) {
+        return {
+          success: false,
+          error: "conversationIds and userIds must be arrays",
+          statusCode: 400
+        };
+      }
+
+      const targets = [
+        ...[...new Set(conversationIds.map(String))].map((conversationId) => ({ conversationId })),
+        ...[...new Set(userIds.map(String))].map((otherUserId) => ({ otherUserId }))
+      ];
+
+      if (targets.length === 0) {
+        return {
+          success: false,
+          error: "At least one target chat is required",
+          statusCode: 400
+        };
+      }
+
+      if (targets.length > MAX_FORWARD_TARGETS) {
+        return {
+          success: false,
+          error: `Messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats at once`,
+          statusCode: 400
+        };
+      }
+
+      if (messageIds.length > MAX_FORWARD_MESSAGES) {
+        return {
+          success: false,
+          error: `At most ${MAX_FORWARD_MESSAGES} messages can be forwarded at once`,
+          statusCode: 400
+        };
+      }
+
+      if (messageIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      const candidates = await Message.find({
+        _id: { $in: messageIds },
+        hiddenFor: { $ne: userId },
+        deletedAt: null
+      }).sort({ _id: 1 });
+      const memberOf = await this.findMemberConversationIds(
+        userId,
+        candidates.map((message) => message.conversation)
+      );
+      const sources = candidates.filter((message) => memberOf.has(String(message.conversation)));
+
+      if (sources.length !== new Set(messageIds.map(String)).size) {
+        return {
+          success: false,
+          error: "One or more messages were not found",
+          statusCode: 404
+        };
+      }
+
+      // Resolve every target first so a bad one doesn't leave a partial forward behind
+      const conversations = [];
+      for (const target of targets) {
+        const conversationResult = await ConversationService.resolveConversation(userId, target);
+        if (!conversationResult.success) {
+          return conversationResult;
+        }
+        conversations.push(conversationResult.conversation);
+      }
+
+      const forwarded = [];
+      for (const conversation of conversations) {
+        const memberIds = ConversationService.getMemberIds(conversation);
+        const copies = await Message.insertMany(
+          sources.map((source) => ({
+            message: {
+              text: source.message.text,
+              image: source.message.image,
+              imageMeta: source.message.imageMeta,
+              file: source.message.file,
+              audio: source.message.audio,
+              type: source.message.type
+            },
+            conversation: conversation._id,
+            users: memberIds,
+            sender: userId,
+            forwarded: true,
+            forwardCount: (source.forwardCount || 0) + 1
+          }))
+        );
+
+        await BlobService.retain(copies.map((copy) => this.getUploadKey(copy.message)));
+
+        await this.broadcastNewMessages(conversation, copies);
+        forwarded.push(...(await Promise.all(copies.map((copy) => this.formatMessage(copy)))));
+      }
+
+      return {
+        success: true,
+        messages: forwarded,
+        count: forwarded.length,
+        statusCode: 201
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to forward messages",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Validate a reply target and copy the part of it shown in the quote
+   * @param {string} replyToId - ID of the quoted message
+   * @param {string} conversationId - Conversation the reply is sent to
+   * @param {string} senderId - User sending the reply
+   * @returns {Object} - Snapshot result
+   */
+  static async buildReplySnapshot(replyToId, conversationId, senderId) {
+    if (!mongoose.Types.ObjectId.isValid(replyToId)) {
+      return {
+        success: false,
+        error: "Invalid reply message ID",
+        statusCode: 400
+      };
+    }
+
+    const original = await Message.findOne({
+      _id: replyToId,
+      conversation: conversationId,
+      hiddenFor: { $ne: senderId }
+    });
+
+    if (!original) {
+      return {
+        success: false,
+        error: "Replied message not found in this conversation",
+        statusCode: 404
+      };
+    }
+
+    if (original.deletedAt) {
+      return {
+        success: false,
+        error: "Cannot reply to a deleted message",
+        statusCode: 400
+      };
+    }
+
+    return {
+      success: true,
+      snapshot: {
+        messageId: original._id,
+        sender: original.sender,
+        text: original.message.text,
+        type: original.message.type
+      }
+    };
+  }
+
+  /**
+   * Shape a stored message for API responses and socket events
+   * @param {Object} message - Message document
+   * @returns {Promise<Object>} - Public message representation, media with signed URLs
+   */
+  static async formatMessage(message) {
+    return {
+      _id: message._id,
+      conversation: message.conversation,
+      message: await MediaService.signContent(message),
+      sender: message.sender,
+      users: message.users,
+      replyTo: message.replyTo || null,
+      reactions: message.reactions || [],
+      forwarded: !!message.forwarded,
+      forwardCount: message.forwardCount || 0,
+      playedBy: (message.playedBy || []).map((entry) => entry.user),
+      time: message.time,
+      editedAt: message.editedAt || null,
+      deletedAt: message.deletedAt || null,
+      status: this.computeStatus(message)
+    };
+  }
+
+  /**
+   * Delivery state of a message from the sender's point of view
+   * @param {Object} message - Message document
+   * @returns {string} - 'sent', 'delivered' once every recipient has it, 'read' once every recipient viewed it
+   */
+  static computeStatus(message) {
+    // Recipients are the members when the message was sent; people who joined later do not count
+    const recipients = new Set((message.users || []).map(String));
+    const recipientCount = Math.max(recipients.size - 1, 1);
+    const countReceipts = (receipts) =>
+      (receipts || []).filter((receipt) => recipients.has(String(receipt.user))).length;
+    const readCount = countReceipts(message.readBy);
+    const deliveredCount = countReceipts(message.deliveredTo);
+
+    if (readCount >= recipientCount) {
+      return 'read';
+    }
+    if (deliveredCount >= recipientCount) {
+      return 'delivered';
+    }
+    return 'sent';
+  }
+
+  /**
+   * Short sidebar preview of a message
+   * @param {Object} content - Message content
+   * @param {Date} deletedAt - Deletion time for tombstones (optional)
+   * @returns {string} - Preview text
+   */
+  static previewText(content, deletedAt = null) {
+    if (deletedAt) {
+      return DELETED_PREVIEW;
+    }
+    if (content.type === 'image') {
+      return "📷 Image";
+    }
+    if (content.type === 'mixed') {
+      return `${content.text} 📷`;
+    }
+    if (content.type === 'file') {
+      return `📎 ${content.file.name}`;
+    }
+    if (content.type === 'audio') {
+      return "🎤 Voice message";
+    }
+    return content.text;
+  }
+
+  /**
+   * Sidebar ID of a conversation for one member: the peer for direct chats, the conversation for groups
+   * @param {Object} conversation - Conversation document with members
+   * @param {string} userId - Member user ID
+   * @returns {string|null} - Chat ID
+   */
+  static chatIdFor(conversation, userId) {
+    if (conversation.type !== 'direct') {
+      return conversation._id.toString();
+    }
+
+    const peer = conversation.members.find(
+      (member) => ConversationService.memberId(member) !== userId.toString()
+    );
+    return peer ? ConversationService.memberId(peer) : null;
+  }
+
+  /**
+   * Read the unread counter of each member of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Map} - User ID to unread count
+   */
+  static async getUnreadCounts(conversationId) {
+    const conversation = await Conversation.findById(conversationId, "members").lean();
+    const members = conversation ? conversation.members : [];
+
+    // Racing decrements can briefly push a counter below zero
+    return new Map(members.map((member) => [
+      ConversationService.memberId(member),
+      Math.max(member.unreadCount || 0, 0)
+    ]));
+  }
+
+  /**
+   * Check whether a message is on a user's unread counter
+   * @param {Object} message - Message document
+   * @param {string} userId - User ID
+   * @returns {boolean} - True for an undeleted message sent to the user that they have neither read nor hidden
+   */
+  static countsAsUnread(message, userId) {
+    const id = userId.toString();
+    return !message.deletedAt
+      && message.users.some((user) => user.toString() === id)
+      && message.sender.toString() !== id
+      && !(message.readBy || []).some((receipt) => receipt.user.toString() === id)
+      && !(message.hiddenFor || []).some((user) => user.toString() === id);
+  }
+
+  /**
+   * Move the unread counters of some members of a conversation
+   * Sending adds a message for the members it was sent to (its `users`, minus the sender); hiding it
+   * or deleting it for everyone takes it off again, and reading the conversation resets the counter.
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} userIds - Members whose counter changes
+   * @param {number} delta - Amount to add, negative to subtract
+   */
+  static async adjustUnreadCounts(conversationId, userIds, delta) {
+    if (userIds.length === 0 || delta === 0) {
+      return;
+    }
+
+    await Conversation.updateOne(
+      { _id: conversationId },
+      { $inc: { "members.$[member].unreadCount": delta } },
+      {
+        arrayFilters: [{
+          "member.user": { $in: userIds.map((id) => new mongoose.Types.ObjectId(id.toString())) }
+        }]
+      }
+    );
+  }
+
+  /**
+   * Push fresh unread counts and the last-message preview to every member
+   * @param {Object} conversation - Conversation document
+   * @param {Object} message - The conversation's newest message
+   */
+  static async publishUnreadCounts(conversation, message) {
+    const counts = await this.getUnreadCounts(conversation._id);
+    const lastMessage = this.previewText(message.message, message.deletedAt);
+
+    ConversationService.getMemberIds(conversation).forEach((memberId) => {
+      SocketService.emitToUser(memberId, "unread-updated", {
+        conversationId: conversation._id,
+        chatId: this.chatIdFor(conversation, memberId),
+        unreadCount: counts.get(memberId) || 0,
+        lastMessage,
+        lastMessageTime: message.time
+      });
+    });
+  }
+
+  /**
+   * Load a message for a current member of its conversation
+   * Access follows the conversation's members rather than the `users` copied onto the message
+   * when it was sent: people removed from a group lose access, people added later gain it.
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Object|null} - { message, conversation }, or null when the user cannot see the message
+   */
+  static async findMessageForMember(messageId, userId) {
+    const message = await Message.findOne({ _id: messageId, hiddenFor: { $ne: userId } });
+    if (!message) {
+      return null;
+    }
+
+    const conversation = await Conversation.findOne({ _id: message.conversation, "members.user": userId });
+    return conversation ? { message, conversation } : null;
+  }
+
+  /**
+   * IDs of the given conversations that the user is currently a member of
+   * @param {string} userId - User ID
+   * @param {Array} conversationIds - Conversation IDs
+   * @returns {Promise<Set>} - Conversation IDs as strings
+   */
+  static async findMemberConversationIds(userId, conversationIds) {
+    const conversations = await Conversation.find({
+      _id: { $in: conversationIds },
+      "members.user": userId
+    }).select("_id");
+    return new Set(conversations.map((conversation) => conversation._id.toString()));
+  }
+
+  /**
+   * Get a page of messages of a conversation, oldest first
+   * Without a cursor the newest page is returned.
+   * @param {string} currentUserId - Current user ID
+   * @param {Object} query - Target and cursor
+   * @param {string} query.otherUserId - Other user ID for direct chats (optional)
+   * @param {string} query.conversationId - Conversation ID (optional)
+   * @param {string} query.before - Return messages older than this message ID (optional)
+   * @param {string} query.after - Return messages newer than this message ID (optional)
+   * @param {number} query.limit - Page size (default 50, max 100)
+   * @returns {Object} - Messages result
+   */
+  static async getMessages(currentUserId, { otherUserId, conversationId, before, after, limit }) {
+    try {
+      if (!currentUserId || (!otherUserId && !conversationId)) {
+        return {
+          success: false,
+          error: "User ID and recipient or conversation ID are required",
+          statusCode: 400
+        };
+      }
+
+      if (before && after) {
+        return {
+          success: false,
+          error: "Use either before or after, not both",
+          statusCode: 400
+        };
+      }
+
+      const cursor = before || after;
+      if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+        return {
+          success: false,
+          error: "Invalid cursor",
+          statusCode: 400
+        };
+      }
+
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+      const conversationResult = await ConversationService.resolveConversation(currentUserId, {
+        conversationId,
+        otherUserId
+      });
+      if (!conversationResult.success) {
+        return conversationResult;
+      }
+
+      const filter = {
+        conversation: conversationResult.conversation._id,
+        hiddenFor: { $ne: currentUserId }
+      };
+      if (before) filter._id = { $lt: before };
+      if (after) filter._id = { $gt: after };
+
+      // One extra document tells whether another page exists
+      const page = await Message.find(filter)
+        .sort({ _id: after ? 1 : -1 })
+        .limit(pageSize + 1);
+
+      const hasMore = page.length > pageSize;
+      const messages = page.slice(0, pageSize);
+      if (!after) {
+        messages.reverse();
+      }
+
+      const projectedMessages = await Promise.all(messages.map(async (msg) => {
+        const fromSelf = msg.sender.toString() === currentUserId;
+        return {
+          fromSelf,
+          message: await MediaService.signContent(msg),
+          sender: msg.sender,
+          replyTo: msg.replyTo || null,
+          reactions: msg.reactions || [],
+          forwarded: !!msg.forwarded,
+          forwardCount: msg.forwardCount || 0,
+          playedBy: (msg.playedBy || []).map((entry) => entry.user),
+          time: msg.time,
+          editedAt: msg.editedAt || null,
+          deletedAt: msg.deletedAt || null,
+          _id: msg._id,
+          ...(fromSelf ? { status: this.computeStatus(msg) } : {})
+        };
+      }));
+
+      return {
+        success: true,
+        conversationId: conversationResult.conversation._id,
+        messages: projectedMessages,
+        count: projectedMessages.length,
+        pagination: {
+          limit: pageSize,
+          hasMore,
+          // Cursors for the neighbouring pages
+          before: projectedMessages.length > 0 ? projectedMessages[0]._id : null,
+          after: projectedMessages.length > 0 ? projectedMessages[projectedMessages.length - 1]._id : null
+        },
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get messages",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Record receipts for messages the user received and notify the senders
+   * @param {string} userId - Recipient user ID
+   * @param {Object} filter - Query selecting candidate messages
+   * @param {string} type - 'delivered' or 'read'
+   * @returns {Array} - IDs of messages whose state changed
+   */
+  static async applyReceipts(userId, filter, type) {
+    const field = type === 'read' ? 'readBy' : 'deliveredTo';
+    const baseFilter = {
+      ...filter,
+      hiddenFor: { $ne: userId },
+      sender: { $ne: userId },
+      [`${field}.user`]: { $ne: userId }
+    };
+
+    const candidates = await Message.find(baseFilter).select(["_id", "conversation"]);
+    const memberOf = await this.findMemberConversationIds(
+      userId,
+      [...new Set(candidates.map((message) => String(message.conversation)))]
+    );
+    const pending = candidates.filter((message) => memberOf.has(String(message.conversation)));
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const ids = pending.map((msg) => msg._id);
+    const at = new Date();
+
+    await Message.updateMany(
+      { _id: { $in: ids }, [`${field}.user`]: { $ne: userId } },
+      { $push: { [field]: { user: userId, at } } }
+    );
+    // Reading implies delivery
+    if (type === 'read') {
+      await Message.updateMany(
+        { _id: { $in: ids }, "deliveredTo.user": { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, at } } }
+      );
+    }
+
+    const updated = await Message.find({ _id: { $in: ids } }).select([
+      "_id", "conversation", "sender", "users", "deliveredTo", "readBy"
+    ]);
+
+    // Each sender only hears about their own messages
+    const bySender = new Map();
+    updated.forEach((msg) => {
+      const senderId = msg.sender.toString();
+      if (!bySender.has(senderId)) {
+        bySender.set(senderId, []);
+      }
+      bySender.get(senderId).push({
+        messageId: msg._id,
+        conversation: msg.conversation,
+        status: this.computeStatus(msg)
+      });
+    });
+
+    bySender.forEach((receipts, senderId) => {
+      SocketService.emitToUser(senderId, "message-receipts", {
+        type,
+        userId: userId.toString(),
+        at,
+        receipts
+      });
+    });
+
+    return ids;
+  }
+
+  /**
+   * Mark messages as delivered to the user
+   * @param {string} userId - Recipient user ID
+   * @param {Array} messageIds - Message IDs
+   * @returns {Object} - Receipt result
+   */
+  static async markDelivered(userId, messageIds) {
+    try {
+      if (!userId || !Array.isArray(messageIds) || messageIds.length === 0) {
+        return {
+          success: false,
+          error: "User ID and message IDs are required",
+          statusCode: 400
+        };
+      }
+
+      if (messageIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      const updatedIds = await this.applyReceipts(userId, { _id: { $in: messageIds } }, 'delivered');
+
+      return {
+        success: true,
+        updatedIds,
+        count: updatedIds.length,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to mark messages as delivered",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Record that a recipient listened to a voice message
+   * @param {string} userId - Listener user ID
+   * @param {string} messageId - Voice message ID
+   * @returns {Object} - Played result
+   */
+  static async markPlayed(userId, messageId) {
+    try {
+      if (!userId || !messageId) {
+        return {
+          success: false,
+          error: "User ID and message ID are required",
+          statusCode: 400
+        };
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      const found = await this.findMessageForMember(messageId, userId);
+      const message = found?.message;
+
+      if (!message || message.deletedAt || message.message.type !== 'audio') {
+        return {
+          success: false,
+          error: "Voice message not found",
+          statusCode: 404
+        };
+      }
+
+      if (message.sender.toString() === userId.toString()) {
+        return {
+          success: false,
+          error: "Only recipients can mark a voice message as played",
+          statusCode: 400
+        };
+      }
+
+      const at = new Date();
+      const update = await Message.updateOne(
+        { _id: message._id, "playedBy.user": { $ne: userId } },
+        { $push: { playedBy: { user: userId, at } } }
+      );
+
+      // Everyone in the chat sees the played state, including the listener's other devices
+      if (update.modifiedCount > 0) {
+        SocketService.emitToUsers(ConversationService.getMemberIds(found.conversation), "message-played", {
+          messageId: message._id,
+          conversation: message.conversation,
+          userId: userId.toString(),
+          at
+        });
+      }
+
+      return {
+        success: true,
+        messageId: message._id,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to mark voice message as played",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Mark every unread message of a conversation as read by the user
+   * @param {string} userId - Reader user ID
+   * @param {Object} target - Direct chat partner or conversation
+   * @param {string} target.otherUserId - Other user ID for direct chats (optional)
+   * @param {string} target.conversationId - Conversation ID (optional)
+   * @returns {Object} - Receipt result
    */
-  static async createMessage(messageData) {
+  static async markConversationRead(userId, { otherUserId, conversationId }) {
     try {
-      const { senderId, to, text, imageFile } = messageData;
+      if (!userId || (!otherUserId && !conversationId)) {
+        return {
+          success: false,
+          error: "User ID and recipient or conversation ID are required",
+          statusCode: 400
+        };
+      }
+
+      const conversationResult = await ConversationService.resolveConversation(userId, {
+        conversationId,
+        otherUserId
+      });
+      if (!conversationResult.success) {
+        return conversationResult;
+      }
+
+      const conversation = conversationResult.conversation._id;
+      // Reset before reading so a message arriving in between stays counted rather than lost
+      const before = await Conversation.findOneAndUpdate(
+        { _id: conversation, "members.user": userId },
+        { $set: { "members.$.unreadCount": 0 } },
+        { projection: { members: 1 } }
+      ).lean();
+      const previousCount = before ? ConversationService.findMember(before, userId)?.unreadCount || 0 : 0;
+      const updatedIds = await this.applyReceipts(userId, { conversation }, 'read');
+
+      // Clear the badge on the reader's other devices too
+      if (updatedIds.length > 0 || previousCount > 0) {
+        SocketService.emitToUser(userId, "unread-updated", {
+          conversationId: conversation,
+          chatId: this.chatIdFor(conversationResult.conversation, userId),
+          unreadCount: 0
+        });
+      }
+
+      return {
+        success: true,
+        conversationId: conversation,
+        updatedIds,
+        count: updatedIds.length,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to mark conversation as read",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
 
-      if (!senderId || !to) {
+  /**
+   * Edit the text of a message, keeping the previous version in its history
+   * @param {string} messageId - Message ID
+   * @param {string} userId - User ID requesting the edit
+   * @param {string} text - New message text
+   * @returns {Object} - Edit result
+   */
+  static async editMessage(messageId, userId, text) {
+    try {
+      if (!messageId || !userId || typeof text !== 'string' || !text.trim()) {
         return {
           success: false,
-          error: "Sender and recipient IDs are required",
+          error: "Message ID, user ID and new text are required",
           statusCode: 400
         };
       }
 
-      if (!text && !imageFile) {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
         return {
           success: false,
-          error: "Message text or image is required",
+          error: "Invalid message ID",
           statusCode: 400
         };
       }
 
-      let messageContent = {};
+      const found = await this.findMessageForMember(messageId, userId);
 
-      // Determine message type and content
-      if (imageFile && text) {
-        messageContent = {
-          text: text,
-          image: `/uploads/${imageFile.filename}`,
-          type: 'mixed'
+      if (!found) {
+        return {
+          success: false,
+          error: "Message not found",
+          statusCode: 404
         };
-      } else if (imageFile) {
-        messageContent = {
-          image: `/uploads/${imageFile.filename}`,
-          type: 'image'
+      }
+
+      const { message, conversation } = found;
+
+      if (message.sender.toString() !== userId.toString()) {
+        return {
+          success: false,
+          error: "You can only edit your own messages",
+          statusCode: 403
         };
-      } else {
-        messageContent = {
-          text: text,
-          type: 'text'
+      }
+
+      if (message.deletedAt) {
+        return {
+          success: false,
+          error: "Deleted messages cannot be edited",
+          statusCode: 400
         };
       }
 
-      const newMessage = await Message.create({
-        message: messageContent,
-        users: [senderId, to],
-        sender: senderId,
-      });
+      if (!['text', 'mixed'].includes(message.message.type)) {
+        return {
+          success: false,
+          error: "Only text messages can be edited",
+          statusCode: 400
+        };
+      }
+
+      if (Date.now() - new Date(message.time).getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+        return {
+          success: false,
+          error: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`,
+          statusCode: 403
+        };
+      }
+
+      if (message.message.text === text) {
+        return {
+          success: false,
+          error: "Message text is unchanged",
+          statusCode: 400
+        };
+      }
+
+      const editedAt = new Date();
+      message.editHistory.push({ text: message.message.text, replacedAt: editedAt });
+      message.message.text = text;
+      message.editedAt = editedAt;
+      await message.save();
+
+      const formatted = await this.formatMessage(message);
+      SocketService.emitToUsers(ConversationService.getMemberIds(conversation), "message-edited", formatted);
 
       return {
         success: true,
-        message: newMessage,
-        statusCode: 201
+        message: formatted,
+        statusCode: 200
       };
     } catch (error) {
       return {
         success: false,
-        error: "Failed to create message",
+        error: "Failed to edit message",
         details: error.message,
         statusCode: 500
       };
@@ -76,44 +1136,209 @@ class MessageService {
   }
 
   /**
-   * Get messages between two users
-   * @param {string} currentUserId - Current user ID
-   * @param {string} otherUserId - Other user ID
-   * @returns {Object} - Messages result
+   * Add, remove or toggle the user's emoji reaction on a message
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Reacting user ID
+   * @param {string} emoji - Reaction emoji
+   * @param {string} action - 'add' (default), 'remove' or 'toggle'
+   * @returns {Object} - Reaction result with the message's reactions
    */
-  static async getMessages(currentUserId, otherUserId) {
+  static async reactToMessage(messageId, userId, emoji, action = 'add') {
     try {
-      if (!currentUserId || !otherUserId) {
+      if (!messageId || !userId || typeof emoji !== 'string' || !emoji) {
         return {
           success: false,
-          error: "Both user IDs are required",
+          error: "Message ID, user ID and emoji are required",
           statusCode: 400
         };
       }
 
-      const messages = await Message.find({
-        users: {
-          $all: [currentUserId, otherUserId],
-        },
-      }).sort({ updatedAt: 1 });
+      if (!REACTION_ACTIONS.includes(action)) {
+        return {
+          success: false,
+          error: `Action must be one of: ${REACTION_ACTIONS.join(', ')}`,
+          statusCode: 400
+        };
+      }
 
-      const projectedMessages = messages.map((msg) => ({
-        fromSelf: msg.sender.toString() === currentUserId,
-        message: msg.message,
-        time: msg.time,
-        _id: msg._id
-      }));
+      if (emoji.length > MAX_REACTION_LENGTH || !EMOJI_PATTERN.test(emoji) || /\s/.test(emoji)) {
+        return {
+          success: false,
+          error: "Reaction must be a single emoji",
+          statusCode: 400
+        };
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      const found = await this.findMessageForMember(messageId, userId);
+
+      if (!found) {
+        return {
+          success: false,
+          error: "Message not found",
+          statusCode: 404
+        };
+      }
+
+      const { message, conversation } = found;
+
+      if (message.deletedAt) {
+        return {
+          success: false,
+          error: "Cannot react to a deleted message",
+          statusCode: 400
+        };
+      }
+
+      const existing = message.reactions.find((reaction) => reaction.emoji === emoji);
+      const hasReacted = !!existing && existing.users.some((user) => user.toString() === userId.toString());
+      const shouldAdd = action === 'add' || (action === 'toggle' && !hasReacted);
+
+      if (shouldAdd && !hasReacted) {
+        // Join an existing entry, or create it if nobody used this emoji yet
+        const joined = await Message.updateOne(
+          { _id: message._id, "reactions.emoji": emoji },
+          { $addToSet: { "reactions.$.users": userId } }
+        );
+        if (joined.matchedCount === 0) {
+          const created = await Message.updateOne(
+            { _id: message._id, "reactions.emoji": { $ne: emoji } },
+            { $push: { reactions: { emoji, users: [userId] } } }
+          );
+          // Another user created the entry in between
+          if (created.matchedCount === 0) {
+            await Message.updateOne(
+              { _id: message._id, "reactions.emoji": emoji },
+              { $addToSet: { "reactions.$.users": userId } }
+            );
+          }
+        }
+      } else if (!shouldAdd && hasReacted) {
+        await Message.updateOne(
+          { _id: message._id, "reactions.emoji": emoji },
+          { $pull: { "reactions.$.users": userId } }
+        );
+        await Message.updateOne(
+          { _id: message._id },
+          { $pull: { reactions: { users: { $size: 0 } } } }
+        );
+      }
+
+      const updated = await Message.findById(message._id).select(["_id", "conversation", "reactions"]);
+      const payload = {
+        messageId: updated._id,
+        conversation: updated.conversation,
+        reactions: updated.reactions
+      };
+
+      if (shouldAdd !== hasReacted) {
+        SocketService.emitToUsers(ConversationService.getMemberIds(conversation), "reaction-updated", payload);
+      }
 
       return {
         success: true,
-        messages: projectedMessages,
-        count: projectedMessages.length,
+        reactions: updated.reactions,
         statusCode: 200
       };
     } catch (error) {
       return {
         success: false,
-        error: "Failed to get messages",
+        error: "Failed to update reaction",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Storage key of the upload a message references, which is also its blob key
+   * Image thumbnails are variants of the image blob and are not counted separately.
+   * @param {Object} content - Message content
+   * @returns {string|null} - Storage key
+   */
+  static getUploadKey(content) {
+    return content?.file?.key || content?.audio?.key || content?.image || null;
+  }
+
+  /**
+   * Locate the stored upload of a message for a member to download
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Object} - Download result with a read stream, size, original name and MIME type
+   */
+  static async getAttachment(messageId, userId) {
+    try {
+      if (!messageId || !userId) {
+        return {
+          success: false,
+          error: "Message ID and user ID are required",
+          statusCode: 400
+        };
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      // Same rule as signed media URLs: only current members of the conversation
+      const found = await this.findMessageForMember(messageId, userId);
+      const message = found?.message;
+
+      if (!message || message.deletedAt) {
+        return {
+          success: false,
+          error: "Message not found",
+          statusCode: 404
+        };
+      }
+
+      const { file, audio } = message.message;
+      const key = this.getUploadKey(message.message);
+      if (!key) {
+        return {
+          success: false,
+          error: "Message has no attachment",
+          statusCode: 404
+        };
+      }
+
+      let stored;
+      try {
+        stored = await StorageService.open(key);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        return {
+          success: false,
+          error: "Attachment is no longer available",
+          statusCode: 410
+        };
+      }
+
+      return {
+        success: true,
+        stream: stored.stream,
+        size: stored.size,
+        fileName: file?.name || key,
+        mimeType: file?.mimeType || audio?.mimeType || stored.contentType,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get attachment",
         details: error.message,
         statusCode: 500
       };
@@ -121,12 +1346,15 @@ class MessageService {
   }
 
   /**
-   * Delete a message
+   * Delete a message for the requesting user only, or for everyone
+   * 'me' hides it from this user's history; 'everyone' is limited to the sender within
+   * MESSAGE_DELETE_WINDOW_MINUTES and replaces the content with a tombstone.
    * @param {string} messageId - Message ID
    * @param {string} userId - User ID requesting deletion
+   * @param {string} scope - 'me' or 'everyone' (default)
    * @returns {Object} - Deletion result
    */
-  static async deleteMessage(messageId, userId) {
+  static async deleteMessage(messageId, userId, scope = 'everyone') {
     try {
       if (!messageId || !userId) {
         return {
@@ -136,9 +1364,25 @@ class MessageService {
         };
       }
 
-      const message = await Message.findById(messageId);
+      if (!DELETE_SCOPES.includes(scope)) {
+        return {
+          success: false,
+          error: `Scope must be one of: ${DELETE_SCOPES.join(', ')}`,
+          statusCode: 400
+        };
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return {
+          success: false,
+          error: "Invalid message ID",
+          statusCode: 400
+        };
+      }
+
+      const found = await this.findMessageForMember(messageId, userId);
 
-      if (!message) {
+      if (!found) {
         return {
           success: false,
           error: "Message not found",
@@ -146,27 +1390,108 @@ class MessageService {
         };
       }
 
-      if (message.sender.toString() !== userId) {
+      const { message, conversation } = found;
+
+      if (scope === 'me') {
+        const hidden = await Message.updateOne(
+          { _id: message._id, hiddenFor: { $ne: userId } },
+          { $addToSet: { hiddenFor: userId } }
+        );
+
+        // Only this user's other devices drop it
+        SocketService.emitToUser(userId, "message-deleted", {
+          messageId: message._id,
+          conversation: message.conversation,
+          scope
+        });
+
+        // A hidden message no longer counts as unread
+        if (hidden.modifiedCount > 0 && this.countsAsUnread(message, userId)) {
+          try {
+            await this.adjustUnreadCounts(conversation._id, [userId], -1);
+            const counts = await this.getUnreadCounts(conversation._id);
+            SocketService.emitToUser(userId, "unread-updated", {
+              conversationId: conversation._id,
+              chatId: this.chatIdFor(conversation, userId),
+              unreadCount: counts.get(userId.toString()) || 0
+            });
+          } catch (error) {
+            console.error("Unread count update error:", error);
+          }
+        }
+
+        return {
+          success: true,
+          message: "Message deleted for you",
+          statusCode: 200
+        };
+      }
+
+      if (message.sender.toString() !== userId.toString()) {
         return {
           success: false,
-          error: "You can only delete your own messages",
+          error: "You can only delete your own messages for everyone",
           statusCode: 403
         };
       }
 
-      // Delete associated image file if exists
-      if (message.message.image) {
-        const imagePath = path.join(__dirname, '..', message.message.image);
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-        }
+      if (message.deletedAt) {
+        return {
+          success: false,
+          error: "Message is already deleted",
+          statusCode: 400
+        };
+      }
+
+      if (Date.now() - new Date(message.time).getTime() > DELETE_WINDOW_MINUTES * 60 * 1000) {
+        return {
+          success: false,
+          error: `Messages can only be deleted for everyone within ${DELETE_WINDOW_MINUTES} minutes of sending`,
+          statusCode: 403
+        };
       }
 
-      await Message.findByIdAndDelete(messageId);
+      const uploadKey = this.getUploadKey(message.message);
+      // Tombstones are not unread for anyone, so recipients who had not read it lose one
+      const unreadRecipientIds = message.users.filter((id) => this.countsAsUnread(message, id));
+
+      message.message.text = undefined;
+      message.message.image = undefined;
+      message.message.imageMeta = undefined;
+      message.message.file = undefined;
+      message.message.audio = undefined;
+      message.editHistory = [];
+      message.reactions = [];
+      message.deletedAt = new Date();
+      await message.save();
+
+      // Stored content is shared with forwarded copies and identical uploads; the last release orphans it
+      await BlobService.release([uploadKey]);
+
+      SocketService.emitToUsers(ConversationService.getMemberIds(conversation), "message-deleted", {
+        messageId: message._id,
+        conversation: message.conversation,
+        scope,
+        deletedAt: message.deletedAt
+      });
+
+      try {
+        await this.adjustUnreadCounts(conversation._id, unreadRecipientIds, -1);
+
+        const latest = await Message.findOne({ conversation: message.conversation })
+          .sort({ _id: -1 })
+          .select(["_id", "message", "time", "deletedAt"]);
+        // The sidebar changes when the newest message or an unread one is deleted
+        if (latest && (latest._id.equals(message._id) || unreadRecipientIds.length > 0)) {
+          await this.publishUnreadCounts(conversation, latest);
+        }
+      } catch (error) {
+        console.error("Unread count update error:", error);
+      }
 
       return {
         success: true,
-        message: "Message deleted successfully",
+        message: "Message deleted for everyone",
         statusCode: 200
       };
     } catch (error) {
@@ -181,6 +1506,7 @@ class MessageService {
 
   /**
    * Get conversations for a user
+   * Direct chats are keyed by the other user's ID, groups by the conversation ID.
    * @param {string} userId - User ID
    * @returns {Object} - Conversations result
    */
@@ -194,10 +1520,18 @@ class MessageService {
         };
       }
 
-      const conversations = await Message.aggregate([
+      await ConversationService.migrateLegacyMessages(userId);
+
+      const userConversations = await Conversation.find({ "members.user": userId })
+        .populate("members.user", "username avatarImage isAvatarImageSet")
+        .lean();
+      const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+      const stats = await Message.aggregate([
         {
           $match: {
-            users: { $in: [userId] }
+            conversation: { $in: userConversations.map((conversation) => conversation._id) },
+            hiddenFor: { $ne: userObjectId }
           }
         },
         {
@@ -205,22 +1539,28 @@ class MessageService {
         },
         {
           $group: {
-            _id: {
-              $cond: [
-                { $eq: ["$users.0", userId] },
-                "$users.1",
-                "$users.0"
-              ]
-            },
+            _id: "$conversation",
             lastMessage: { 
               $first: {
                 $cond: [
-                  { $eq: ["$message.type", "text"] },
-                  "$message.text",
+                  { $ne: [{ $ifNull: ["$deletedAt", null] }, null] },
+                  DELETED_PREVIEW,
                   { $cond: [
-                    { $eq: ["$message.type", "image"] },
-                    "📷 Image",
-                    { $concat: ["$message.text", " 📷"] }
+                    { $eq: ["$message.type", "text"] },
+                    "$message.text",
+                    { $cond: [
+                      { $eq: ["$message.type", "image"] },
+                      "📷 Image",
+                      { $cond: [
+                        { $eq: ["$message.type", "file"] },
+                        { $concat: ["📎 ", "$message.file.name"] },
+                        { $cond: [
+                          { $eq: ["$message.type", "audio"] },
+                          "🎤 Voice message",
+                          { $concat: ["$message.text", " 📷"] }
+                        ]}
+                      ]}
+                    ]}
                   ]}
                 ]
               }
@@ -230,6 +1570,42 @@ class MessageService {
           }
         }
       ]);
+      const statsByConversation = new Map(stats.map((entry) => [entry._id.toString(), entry]));
+
+      const conversations = userConversations
+        .map((conversation) => {
+          const entry = statsByConversation.get(conversation._id.toString());
+
+          // Direct chats only show up once a message exists; groups always do
+          if (!entry && conversation.type === 'direct') {
+            return null;
+          }
+
+          const summary = {
+            conversationId: conversation._id,
+            type: conversation.type,
+            lastMessage: entry ? entry.lastMessage : null,
+            lastMessageTime: entry ? entry.lastMessageTime : conversation.createdAt,
+            messageCount: entry ? entry.messageCount : 0,
+            // Same counter the live "unread-updated" events report
+            unreadCount: Math.max(ConversationService.findMember(conversation, userId)?.unreadCount || 0, 0)
+          };
+
+          if (conversation.type === 'direct') {
+            return { _id: this.chatIdFor(conversation, userId), ...summary };
+          }
+
+          return {
+            _id: conversation._id,
+            ...summary,
+            name: conversation.name,
+            description: conversation.description,
+            avatarImage: conversation.avatarImage,
+            members: conversation.members
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
 
       return {
         success: true,
@@ -263,17 +1639,19 @@ class MessageService {
         };
       }
 
+      const conversations = await Conversation.find({ "members.user": userId }).select("_id");
       const messages = await Message.find({
-        users: { $in: [userId] },
+        conversation: { $in: conversations.map((conversation) => conversation._id) },
+        hiddenFor: { $ne: userId },
         "message.text": { $regex: searchTerm, $options: 'i' }
       }).sort({ time: -1 });
 
-      const projectedMessages = messages.map((msg) => ({
+      const projectedMessages = await Promise.all(messages.map(async (msg) => ({
         fromSelf: msg.sender.toString() === userId,
-        message: msg.message,
+        message: await MediaService.signContent(msg),
         time: msg.time,
         _id: msg._id
-      }));
+      })));
 
       return {
         success: true,
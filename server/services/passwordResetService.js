@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const User = require("../models/userModel");
+const PasswordReset = require("../models/passwordResetModel");
+const MailService = require("./mailService");
+const EmailVerificationService = require("./emailVerificationService");
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const REQUEST_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+// Client page that reads ?token= and posts it with the new password to /api/auth/reset-password
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const MIN_PASSWORD_LENGTH = 8;
+
+// Same answer whether or not the address belongs to an account, so it cannot be probed
+const REQUEST_ACCEPTED = "If an account uses that email address, a reset link is on its way";
+
+class PasswordResetService {
+  /**
+   * SHA-256 of a reset token, the form in which it is stored
+   * @param {string} token - Reset token
+   * @returns {string} - Hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Accept a reset request for an email address
+   * The account lookup and the mail happen after the response, so it takes as long for unknown
+   * addresses as for known ones; unknown addresses and requests inside the cooldown send nothing.
+   * @param {string} email - Email address as entered
+   * @returns {Object} - Request result
+   */
+  static async request(email) {
+    const normalized = EmailVerificationService.normalizeEmail(email);
+    if (!normalized) {
+      return {
+        success: false,
+        error: "Enter a valid email address",
+        statusCode: 400
+      };
+    }
+
+    // Reporting a failure would tell the caller that the address has an account
+    this.issueResetLink(normalized).catch((error) => {
+      console.error("Password reset request error:", error.message);
+    });
+
+    return { success: true, message: REQUEST_ACCEPTED, statusCode: 200 };
+  }
+
+  /**
+   * Create a reset token for the account using an email address and mail its link
+   * @param {string} normalized - Normalized email address
+   * @returns {Promise<void>}
+   */
+  static async issueResetLink(normalized) {
+    // Addresses saved before normalization may differ in case
+    const user = await User.findOne({ email: normalized }).collation({ locale: "en", strength: 2 });
+    if (!user) {
+      return;
+    }
+
+    const latest = await PasswordReset.findOne({ user: user._id }).sort({ createdAt: -1 }).lean();
+    if (latest && Date.now() - latest.createdAt.getTime() < REQUEST_COOLDOWN_SECONDS * 1000) {
+      return;
+    }
+
+    // A new link replaces any the user has not used yet
+    await PasswordReset.updateMany({ user: user._id, usedAt: null }, { usedAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    await PasswordReset.create({
+      user: user._id,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+
+    await this.sendResetLink(user, token);
+  }
+
+  /**
+   * Mail a reset link
+   * @param {Object} user - User document
+   * @param {string} token - Reset token
+   */
+  static async sendResetLink(user, token) {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await MailService.send({
+      to: user.email,
+      subject: "Reset your password",
+      text: [
+        `Hi ${user.username},`,
+        "",
+        "Choose a new password by opening this link:",
+        link,
+        "",
+        `The link expires in ${TOKEN_TTL_MINUTES} minutes and works once. Resetting your password logs you out everywhere.`,
+        "If you did not ask for a reset, ignore this email; your password stays the same."
+      ].join("\n"),
+      html: [
+        `<p>Hi ${MailService.escapeHtml(user.username)},</p>`,
+        `<p>Choose a new password by opening this link:</p>`,
+        `<p><a href="${MailService.escapeHtml(link)}">Reset password</a></p>`,
+        `<p>The link expires in ${TOKEN_TTL_MINUTES} minutes and works once. Resetting your password logs you out everywhere.</p>`,
+        `<p>If you did not ask for a reset, ignore this email; your password stays the same.</p>`
+      ].join("\n")
+    });
+  }
+
+  /**
+   * Set a new password with a reset token
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @returns {Object} - Reset result with the user's ID
+   */
+  static async reset(token, password) {
+    try {
+      if (!token || !password) {
+        return {
+          success: false,
+          error: "Reset token and new password are required",
+          statusCode: 400
+        };
+      }
+
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return {
+          success: false,
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+          statusCode: 400
+        };
+      }
+
+      const now = new Date();
+      // Claimed atomically so a link cannot be used twice
+      const claimed = await PasswordReset.findOneAndUpdate(
+        { tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+      );
+
+      if (!claimed) {
+        return {
+          success: false,
+          error: "Reset link is invalid or has expired",
+          statusCode: 400
+        };
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const user = await User.findByIdAndUpdate(claimed.user, { password: hashedPassword });
+
+      if (!user) {
+        return {
+          success: false,
+          error: "Reset link is invalid or has expired",
+          statusCode: 400
+        };
+      }
+
+      return {
+        success: true,
+        userId: user._id,
+        message: "Password has been reset",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to reset password",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+}
+
+module.exports = PasswordResetService;
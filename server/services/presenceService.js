@@ -0,0 +1,92 @@
+const User = require("../models/userModel");
+const { MemoryPresenceStore } = require("../adapters/memoryAdapter");
+
+// Replaced by the realtime adapter's store at startup
+let store = new MemoryPresenceStore();
+
+class PresenceService {
+  /**
+   * Use a different presence store (e.g. one shared between nodes)
+   * @param {Object} presenceStore - Store implementing addSocket/removeSocket/getSocketIds
+   */
+  static useStore(presenceStore) {
+    store = presenceStore;
+  }
+
+  /**
+   * Register a socket for a user
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {boolean} - Whether this is the user's first live socket
+   */
+  static async addSocket(userId, socketId) {
+    const count = await store.addSocket(userId, socketId);
+    return count === 1;
+  }
+
+  /**
+   * Unregister a socket and record last-seen when the user's last socket closes
+   * @param {string} userId - User ID
+   * @param {string} socketId - Socket ID
+   * @returns {Object} - { wentOffline, lastSeen }
+   */
+  static async removeSocket(userId, socketId) {
+    const remaining = await store.removeSocket(userId, socketId);
+    if (remaining > 0) {
+      return { wentOffline: false, lastSeen: null };
+    }
+
+    const lastSeen = new Date();
+    await User.findByIdAndUpdate(userId, { lastSeen });
+
+    return { wentOffline: true, lastSeen };
+  }
+
+  /**
+   * Get all live socket IDs for a user
+   * @param {string} userId - User ID
+   * @returns {Array} - Socket IDs
+   */
+  static async getSocketIds(userId) {
+    return store.getSocketIds(userId.toString());
+  }
+
+  /**
+   * Check whether a user has at least one live socket
+   * @param {string} userId - User ID
+   * @returns {boolean} - Online state
+   */
+  static async isOnline(userId) {
+    return (await this.getSocketIds(userId)).length > 0;
+  }
+
+  /**
+   * Build the presence payload shared by the API and the `presence` event
+   * @param {string} userId - User ID
+   * @param {boolean} online - Whether the user is online
+   * @param {Date|null} lastSeen - Last time the user went offline
+   * @returns {Object} - Presence payload
+   */
+  static formatPresence(userId, online, lastSeen) {
+    return {
+      userId: userId.toString(),
+      status: online ? "online" : "offline",
+      lastSeen: online ? null : lastSeen || null
+    };
+  }
+
+  /**
+   * Get presence for a list of users
+   * @param {Array} users - User documents with _id and lastSeen
+   * @returns {Array} - Presence payloads
+   */
+  static async getPresenceForUsers(users) {
+    return Promise.all(
+      users.map(async (user) =>
+        this.formatPresence(user._id, await this.isOnline(user._id), user.lastSeen)
+      )
+    );
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const Session = require("../models/sessionModel");
+const RefreshToken = require("../models/refreshTokenModel");
+
+// lastSeenAt is written at most this often per session, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// First match wins, so more specific browsers come before the engines they are built on
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Safari\//]
+];
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Chrome OS", /CrOS/],
+  ["Linux", /Linux/]
+];
+
+class SessionService {
+  /**
+   * Summarize a User-Agent header for people, e.g. "Firefox on Linux"
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} - Device description
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return "Unknown device";
+    }
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && platform) {
+      return `${browser[0]} on ${platform[0]}`;
+    }
+    if (browser || platform) {
+      return (browser || platform)[0];
+    }
+    // API clients and scripts, e.g. "curl/8.5.0"
+    return userAgent.split(/[\s/]/)[0] || "Unknown device";
+  }
+
+  /**
+   * Record a new login
+   * @param {string} userId - User ID
+   * @param {Object} context - Where the login came from
+   * @param {string} context.userAgent - User-Agent header (optional)
+   * @param {string} context.ip - Client IP address (optional)
+   * @param {Date} expiresAt - Expiry of the session's first refresh token
+   * @returns {Object} - Session document
+   */
+  static async create(userId, { userAgent = "", ip = null } = {}, expiresAt) {
+    return Session.create({
+      _id: crypto.randomUUID(),
+      user: userId,
+      userAgent: String(userAgent).slice(0, 512),
+      device: this.describeDevice(userAgent),
+      ip,
+      lastSeenAt: new Date(),
+      expiresAt
+    });
+  }
+
+  /**
+   * Keep a session alive until its newest refresh token expires
+   * @param {string} sessionId - Session ID
+   * @param {Date} expiresAt - Expiry of the new refresh token
+   */
+  static async extend(sessionId, expiresAt) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { expiresAt, lastSeenAt: new Date() });
+  }
+
+  /**
+   * Check that a session is still active and note that it was just used
+   * @param {string} sessionId - Session ID
+   * @param {Object} context - { ip } of the current request (optional)
+   * @returns {boolean} - Whether the session is active
+   */
+  static async touch(sessionId, { ip } = {}) {
+    const now = new Date();
+    const session = await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: now } })
+      .select(["lastSeenAt", "ip"])
+      .lean();
+
+    if (!session) {
+      return false;
+    }
+
+    if (now - session.lastSeenAt > TOUCH_INTERVAL_MS || (ip && ip !== session.ip)) {
+      await Session.updateOne({ _id: sessionId }, { lastSeenAt: now, ...(ip ? { ip } : {}) });
+    }
+    return true;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Array} - Session documents
+   */
+  static async listActive(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select(["device", "userAgent", "ip", "createdAt", "lastSeenAt"])
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * End sessions: their refresh tokens stop working and touch() rejects their access tokens
+   * @param {Array} sessionIds - Session IDs
+   * @param {string} reason - Why the sessions were ended
+   */
+  static async revoke(sessionIds, reason) {
+    if (sessionIds.length === 0) {
+      return;
+    }
+
+    const revokedAt = new Date();
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { revokedAt, revokedReason: reason }
+    );
+    await RefreshToken.updateMany(
+      { family: { $in: sessionIds }, revokedAt: null },
+      { revokedAt, revokedReason: reason }
+    );
+  }
+
+  /**
+   * End active sessions of one user
+   * @param {string} userId - User ID
+   * @param {Object} options - Which sessions to end
+   * @param {string} options.only - End just this session (optional)
+   * @param {string} options.except - Keep this session (optional)
+   * @param {string} options.reason - Why the sessions were ended
+   * @returns {Array} - IDs of the sessions that were ended
+   */
+  static async revokeForUser(userId, { only, except, reason }) {
+    const filter = { user: userId, revokedAt: null };
+    if (only) {
+      filter._id = only;
+    } else if (except) {
+      filter._id = { $ne: except };
+    }
+
+    const sessionIds = await Session.distinct("_id", filter);
+    await this.revoke(sessionIds, reason);
+    return sessionIds;
+  }
+
+  /**
+   * Delete every session and refresh token of a user, for an account being removed
+   * Revoke the sessions first so requests already past the lookup are refused too.
+   * @param {string} userId - User ID
+   */
+  static async removeForUser(userId) {
+    await RefreshToken.deleteMany({ user: userId });
+    await Session.deleteMany({ user: userId });
+  }
+}
+
+module.exports = SessionService;
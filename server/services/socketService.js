@@ -0,0 +1,164 @@
+const socket = require("socket.io");
+const { authenticateSocket, reauthenticateSocket } = require("../middleware/authMiddleware");
+const PresenceService = require("./presenceService");
+
+let io = null;
+// Feature modules register their socket event listeners here
+const connectionHandlers = [];
+
+class SocketService {
+  /**
+   * Attach Socket.IO to the HTTP server and register connection handlers
+   * @param {Object} server - HTTP server
+   * @param {Object} options - Socket.IO server options
+   * @param {Object} realtimeAdapter - Adapter from adapters/index.js (optional)
+   * @returns {Object} - Socket.IO server instance
+   */
+  static init(server, options = {}, realtimeAdapter = null) {
+    io = socket(server, options);
+
+    if (realtimeAdapter) {
+      // Cross-node fan-out for rooms and broadcasts; null keeps the in-memory default
+      if (realtimeAdapter.socketAdapter) {
+        io.adapter(realtimeAdapter.socketAdapter);
+      }
+      PresenceService.useStore(realtimeAdapter.presenceStore);
+    }
+
+    // Identity comes from the handshake token, never from event payloads
+    io.use(authenticateSocket);
+
+    io.on("connection", (socket) => this.handleConnection(socket));
+
+    return io;
+  }
+
+  /**
+   * Register a function called with every authenticated socket
+   * @param {Function} handler - Receives the socket, attaches event listeners
+   */
+  static addConnectionHandler(handler) {
+    connectionHandlers.push(handler);
+  }
+
+  /**
+   * Join the user's room, register presence and clean up on disconnect
+   * @param {Object} socket - Authenticated socket
+   */
+  static async handleConnection(socket) {
+    const { userId } = socket.data;
+
+    // Registered before any await so a fast disconnect is never missed
+    socket.on("disconnect", async () => {
+      try {
+        const { wentOffline, lastSeen } = await PresenceService.removeSocket(userId, socket.id);
+        if (wentOffline) {
+          io.emit("presence", PresenceService.formatPresence(userId, false, lastSeen));
+        }
+      } catch (error) {
+        console.error("Presence cleanup error:", error);
+      }
+    });
+
+    // Sent after the client refreshed its access token, instead of reconnecting with it
+    socket.on("refresh-auth", async (payload = {}, ack) => {
+      let result;
+      try {
+        result = await reauthenticateSocket(socket, payload.token);
+      } catch (error) {
+        result = { success: false, error: "Authentication failed", code: "AUTH_FAILED" };
+      }
+      if (typeof ack === "function") {
+        ack({ status: result.success, ...(result.success ? {} : { msg: result.error, code: result.code }) });
+      }
+    });
+
+    socket.join(this.userRoom(userId));
+    if (socket.data.sessionId) {
+      socket.join(this.sessionRoom(socket.data.sessionId));
+    }
+    connectionHandlers.forEach((handler) => handler(socket));
+
+    try {
+      const wentOnline = await PresenceService.addSocket(userId, socket.id);
+      if (wentOnline) {
+        io.emit("presence", PresenceService.formatPresence(userId, true, null));
+      }
+    } catch (error) {
+      console.error("Presence registration error:", error);
+    }
+  }
+
+  /**
+   * Room shared by every socket of a user
+   * @param {string} userId - User ID
+   * @returns {string} - Room name
+   */
+  static userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Room holding the sockets opened with one login session's tokens
+   * @param {string} sessionId - Session ID (refresh token family)
+   * @returns {string} - Room name
+   */
+  static sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Tell the sockets of ended sessions why, then disconnect them on every node
+   * Presence is updated by the regular disconnect handling.
+   * @param {Array} sessionIds - Session IDs
+   * @param {string} reason - Reason sent with the `session-ended` event
+   */
+  static endSessions(sessionIds, reason) {
+    if (!io || sessionIds.length === 0) {
+      return;
+    }
+
+    const rooms = sessionIds.map((sessionId) => this.sessionRoom(sessionId));
+    io.to(rooms).emit("session-ended", { reason });
+    io.in(rooms).disconnectSockets(true);
+  }
+
+  /**
+   * Get the Socket.IO server instance
+   * @returns {Object|null} - Socket.IO server or null before init
+   */
+  static getIO() {
+    return io;
+  }
+
+  /**
+   * Emit an event to every connected socket of a user
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  static emitToUser(userId, event, payload) {
+    if (!io) {
+      return;
+    }
+
+    io.to(this.userRoom(userId.toString())).emit(event, payload);
+  }
+
+  /**
+   * Emit an event once to every connected socket of several users
+   * @param {Array} userIds - Recipient user IDs
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  static emitToUsers(userIds, event, payload) {
+    if (!io || userIds.length === 0) {
+      return;
+    }
+
+    const rooms = [...new Set(userIds.map((userId) => this.userRoom(userId.toString())))];
+    io.to(rooms).emit(event, payload);
+  }
+}
+
+module.exports = SocketService;
@@ -0,0 +1,71 @@
+const { createStorage } = require("../storage");
+
+// Installed by index.js at startup; created from the environment on first use otherwise (e.g. in scripts)
+let driver = null;
+
+class StorageService {
+  /**
+   * Use a specific storage driver
+   * @param {Object} storageDriver - Driver from storage/index.js
+   */
+  static useDriver(storageDriver) {
+    driver = storageDriver;
+  }
+
+  /**
+   * Current storage driver
+   * @returns {Object} - Driver implementing put/createReadStream/exists/delete/getSignedUrl
+   */
+  static getDriver() {
+    if (!driver) {
+      driver = createStorage();
+    }
+    return driver;
+  }
+
+  /**
+   * Move an uploaded or generated file into storage
+   * @param {Object} file - { filename (used as the key), path, mimetype }, e.g. a multer file
+   * @returns {Promise<string>} - Storage key
+   */
+  static async store(file) {
+    await this.getDriver().put(file.filename, file.path, { contentType: file.mimetype });
+    return file.filename;
+  }
+
+  /**
+   * Open a stored object for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - { stream, size, contentType? }; rejects with code ENOENT when missing
+   */
+  static open(key) {
+    return this.getDriver().createReadStream(key);
+  }
+
+  /**
+   * Time-limited URL for a stored object
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn } in seconds, { contentType } to serve the object as,
+   *   { attachment: true } or { fileName } for attachment downloads
+   * @returns {Promise<string>} - Signed URL
+   */
+  static getSignedUrl(key, options = {}) {
+    return this.getDriver().getSignedUrl(key, options);
+  }
+
+  /**
+   * Delete stored objects; failures are logged, never thrown, so cleanup cannot fail a request
+   * @param {Array} keys - Storage keys (falsy entries are skipped)
+   */
+  static async remove(keys) {
+    await Promise.all(
+      keys.filter(Boolean).map((key) =>
+        this.getDriver()
+          .delete(key)
+          .catch((error) => console.error(`Storage cleanup error for ${key}:`, error.message))
+      )
+    );
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,554 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+const TwoFactorChallenge = require("../models/twoFactorChallengeModel");
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+// Shown next to the account name in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "WhatsApp Clone";
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+const CHALLENGE_PURPOSE = "2fa-login";
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes a login challenge survives before the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 3;
+// Wrong codes in a row, across challenges and sensitive actions, before code checks are locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15;
+
+// RFC 6238 defaults, the only parameters every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from the neighbouring steps are accepted too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const TOTP_PATTERN = new RegExp(`^\\d{${DIGITS}}$`);
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const SECRET_FIELDS = ["+twoFactor.secret", "+twoFactor.lastUsedStep", "+twoFactor.lockedUntil"];
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = "";
+  for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP with HMAC-SHA1
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/-/g, "").toLowerCase()).digest("hex");
+
+const invalidCode = () => ({
+  success: false,
+  error: "Invalid authentication code",
+  code: "INVALID_TWO_FACTOR_CODE",
+  statusCode: 400
+});
+
+const lockedOut = (lockedUntil) => ({
+  success: false,
+  error: `Too many wrong codes, try again in ${Math.ceil((lockedUntil.getTime() - Date.now()) / 60000)} minutes`,
+  code: "TWO_FACTOR_LOCKED",
+  statusCode: 429
+});
+
+const invalidChallenge = () => ({
+  success: false,
+  error: "Login has expired, sign in again",
+  code: "INVALID_CHALLENGE",
+  statusCode: 401
+});
+
+class TwoFactorService {
+  /**
+   * Find the time step a TOTP code belongs to
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} afterStep - Steps up to and including this one were already used
+   * @returns {number|null} - Matching step, or null when the code is wrong or used
+   */
+  static matchStep(secret, code, afterStep = 0) {
+    if (!secret || !TOTP_PATTERN.test(code)) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+      const step = currentStep + drift;
+      if (step > afterStep && crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create a fresh set of recovery codes
+   * @returns {Object} - { codes, hashes }; only the hashes are stored
+   */
+  static createRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  /**
+   * Two-factor state of a user
+   * @param {string} userId - User ID
+   * @returns {Object} - Result with enabled and recoveryCodesRemaining
+   */
+  static async getStatus(userId) {
+    try {
+      const user = await User.findById(userId).select(["twoFactor.enabled", "+twoFactor.recoveryCodes"]);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      return {
+        success: true,
+        enabled: user.twoFactor.enabled,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get two-factor status",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Start enrollment with a new secret; it takes effect once a code from it is confirmed
+   * @param {string} userId - User ID
+   * @returns {Object} - Result with the secret, its otpauth:// URI and a QR code of the URI as a data URL
+   */
+  static async startEnrollment(userId) {
+    try {
+      const user = await User.findById(userId).select(["username", "twoFactor.enabled"]);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      if (user.twoFactor.enabled) {
+        return {
+          success: false,
+          error: "Two-factor authentication is already on",
+          statusCode: 400
+        };
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+      await User.updateOne({ _id: userId }, { "twoFactor.pendingSecret": secret });
+
+      const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+      const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+      });
+      const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to start two-factor setup",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Turn two-factor authentication on with a code from the pending secret
+   * @param {string} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Object} - Result with the recovery codes, which are not shown again
+   */
+  static async confirmEnrollment(userId, code) {
+    try {
+      const user = await User.findById(userId).select(["twoFactor.enabled", "+twoFactor.pendingSecret"]);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      if (user.twoFactor.enabled) {
+        return {
+          success: false,
+          error: "Two-factor authentication is already on",
+          statusCode: 400
+        };
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return {
+          success: false,
+          error: "Start two-factor setup first",
+          statusCode: 400
+        };
+      }
+
+      const step = this.matchStep(user.twoFactor.pendingSecret, String(code || "").replace(/\s/g, ""));
+      if (step === null) {
+        return invalidCode();
+      }
+
+      const recoveryCodes = this.createRecoveryCodes();
+      await User.updateOne(
+        { _id: userId, "twoFactor.pendingSecret": user.twoFactor.pendingSecret },
+        {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": recoveryCodes.hashes,
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.enabledAt": new Date()
+        }
+      );
+
+      return {
+        success: true,
+        recoveryCodes: recoveryCodes.codes,
+        message: "Two-factor authentication is on",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to turn on two-factor authentication",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Check a TOTP code or spend a recovery code
+   * Each code works once: TOTP steps at or before the last accepted one are refused and
+   * recovery codes are removed when used. After MAX_FAILED_ATTEMPTS wrong codes in a row the
+   * account refuses every code for LOCKOUT_MINUTES.
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Object} - Result with method "totp" or "recovery"
+   */
+  static async verifyCode(userId, code) {
+    const entered = String(code || "").replace(/\s/g, "");
+    if (!entered) {
+      return invalidCode();
+    }
+
+    const user = await User.findById(userId).select(["twoFactor.enabled", ...SECRET_FIELDS]);
+    if (!user || !user.twoFactor.enabled) {
+      return invalidCode();
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil.getTime() > Date.now()) {
+      return lockedOut(user.twoFactor.lockedUntil);
+    }
+
+    let method = null;
+    if (TOTP_PATTERN.test(entered)) {
+      const step = this.matchStep(user.twoFactor.secret, entered, user.twoFactor.lastUsedStep);
+      // Conditional so two requests cannot both spend the same code
+      const updated = step !== null && await User.updateOne(
+        { _id: userId, "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": step }
+      );
+      method = updated && updated.modifiedCount === 1 ? "totp" : null;
+    } else {
+      const hash = hashRecoveryCode(entered);
+      const updated = await User.updateOne(
+        { _id: userId, "twoFactor.recoveryCodes": hash },
+        { $pull: { "twoFactor.recoveryCodes": hash } }
+      );
+      method = updated.modifiedCount === 1 ? "recovery" : null;
+    }
+
+    if (!method) {
+      return this.recordFailure(userId);
+    }
+
+    await User.updateOne({ _id: userId }, { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": null });
+    return { success: true, method };
+  }
+
+  /**
+   * Count a wrong code and lock code checks once there were too many in a row
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Failed result to return for the code
+   */
+  static async recordFailure(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { "twoFactor.failedAttempts": 1 } },
+      { new: true }
+    ).select("+twoFactor.failedAttempts");
+
+    if (!user || user.twoFactor.failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return invalidCode();
+    }
+
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    await User.updateOne(
+      { _id: userId, "twoFactor.failedAttempts": { $gte: MAX_FAILED_ATTEMPTS } },
+      { "twoFactor.failedAttempts": 0, "twoFactor.lockedUntil": lockedUntil }
+    );
+    return lockedOut(lockedUntil);
+  }
+
+  /**
+   * Confirm a sensitive action with a second factor when the account has one
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code or recovery code (optional for accounts without 2FA)
+   * @returns {Object} - Check result
+   */
+  static async verifyForAction(userId, code) {
+    const user = await User.findById(userId).select(["twoFactor.enabled"]);
+    if (!user || !user.twoFactor.enabled) {
+      return { success: true };
+    }
+
+    if (!code) {
+      return {
+        success: false,
+        error: "Authentication code required",
+        code: "TWO_FACTOR_REQUIRED",
+        statusCode: 403
+      };
+    }
+
+    return this.verifyCode(userId, code);
+  }
+
+  /**
+   * Short-lived token proving that the password step of a login succeeded
+   * It is only good for /api/auth/login/2fa; AuthService refuses it as an access token. Its jti
+   * names the challenge record, which counts wrong codes and is removed when the login completes.
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - JWT
+   */
+  static async createChallenge(userId) {
+    const challengeId = new mongoose.Types.ObjectId();
+    const token = jwt.sign({ userId: userId.toString(), purpose: CHALLENGE_PURPOSE }, JWT_SECRET, {
+      expiresIn: CHALLENGE_TTL,
+      jwtid: challengeId.toString()
+    });
+
+    await TwoFactorChallenge.create({
+      _id: challengeId,
+      user: userId,
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    });
+    return token;
+  }
+
+  /**
+   * Finish a login with the challenge token and a second factor
+   * A challenge works once and is dropped after MAX_CHALLENGE_ATTEMPTS wrong codes.
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Object} - Result with the user's ID
+   */
+  static async completeChallenge(challengeToken, code) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      payload = null;
+    }
+
+    if (!payload || payload.purpose !== CHALLENGE_PURPOSE || !mongoose.isValidObjectId(payload.jti)) {
+      return invalidChallenge();
+    }
+
+    const challenge = { _id: payload.jti, user: payload.userId };
+    if (!(await TwoFactorChallenge.exists({ ...challenge, failedAttempts: { $lt: MAX_CHALLENGE_ATTEMPTS } }))) {
+      return invalidChallenge();
+    }
+
+    const result = await this.verifyCode(payload.userId, code);
+    if (!result.success) {
+      const failed = await TwoFactorChallenge.findOneAndUpdate(
+        challenge,
+        { $inc: { failedAttempts: 1 } },
+        { new: true }
+      );
+      if (!failed || failed.failedAttempts >= MAX_CHALLENGE_ATTEMPTS) {
+        await TwoFactorChallenge.deleteOne(challenge);
+        return invalidChallenge();
+      }
+      return result.code === "TWO_FACTOR_LOCKED" ? result : { ...result, statusCode: 401 };
+    }
+
+    // Spent; deleting it is also what makes a second use of the token fail
+    const spent = await TwoFactorChallenge.deleteOne(challenge);
+    if (spent.deletedCount === 0) {
+      return invalidChallenge();
+    }
+
+    return {
+      success: true,
+      userId: payload.userId,
+      method: result.method
+    };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code or an old recovery code
+   * @returns {Object} - Result with the new recovery codes
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    try {
+      const check = await this.verifyCode(userId, code);
+      if (!check.success) {
+        return check;
+      }
+
+      const recoveryCodes = this.createRecoveryCodes();
+      await User.updateOne({ _id: userId }, { "twoFactor.recoveryCodes": recoveryCodes.hashes });
+
+      return {
+        success: true,
+        recoveryCodes: recoveryCodes.codes,
+        message: "New recovery codes created; the old ones no longer work",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to create recovery codes",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code }; both factors are required
+   * @returns {Object} - Result
+   */
+  static async disable(userId, { password, code }) {
+    try {
+      if (!password || !code) {
+        return {
+          success: false,
+          error: "Password and authentication code are required",
+          statusCode: 400
+        };
+      }
+
+      const user = await User.findById(userId).select(["password", "twoFactor.enabled"]);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      if (!user.twoFactor.enabled) {
+        return {
+          success: false,
+          error: "Two-factor authentication is not on",
+          statusCode: 400
+        };
+      }
+
+      if (!(await bcrypt.compare(password, user.password))) {
+        return {
+          success: false,
+          error: "Password is incorrect",
+          statusCode: 400
+        };
+      }
+
+      const check = await this.verifyCode(userId, code);
+      if (!check.success) {
+        return check;
+      }
+
+      await User.updateOne(
+        { _id: userId },
+        {
+          "twoFactor.enabled": false,
+          "twoFactor.secret": null,
+          "twoFactor.pendingSecret": null,
+          "twoFactor.recoveryCodes": [],
+          "twoFactor.lastUsedStep": 0,
+          "twoFactor.enabledAt": null
+        }
+      );
+
+      return {
+        success: true,
+        message: "Two-factor authentication is off",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to turn off two-factor authentication",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+}
+
+module.exports = TwoFactorService;
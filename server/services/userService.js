@@ -1,21 +1,33 @@
+const mongoose = require("mongoose");
 const User = require("../models/userModel");
 const bcrypt = require("bcrypt");
 const AuthService = require("./authService");
+const PresenceService = require("./presenceService");
+const SocketService = require("./socketService");
+const SessionService = require("./sessionService");
+const EmailVerificationService = require("./emailVerificationService");
+const PasswordResetService = require("./passwordResetService");
+const TwoFactorService = require("./twoFactorService");
+
+// Upper bound on one presence lookup; clients ask for larger contact lists in batches
+const MAX_PRESENCE_USER_IDS = 100;
 
 class UserService {
   /**
    * Register a new user
+   * The account starts unverified and a verification link is mailed to the address.
    * @param {Object} userData - User registration data
    * @param {string} userData.username - Username
    * @param {string} userData.email - Email
    * @param {string} userData.password - Password
+   * @param {Object} context - { userAgent, ip } of the request, recorded on the session
    * @returns {Object} - Registration result
    */
-  static async registerUser(userData) {
+  static async registerUser(userData, context = {}) {
     try {
-      const { username, email, password } = userData;
+      const { username, password } = userData;
 
-      if (!username || !email || !password) {
+      if (!username || !userData.email || !password) {
         return {
           success: false,
           error: "Username, email, and password are required",
@@ -23,6 +35,15 @@ class UserService {
         };
       }
 
+      const email = EmailVerificationService.normalizeEmail(userData.email);
+      if (!email) {
+        return {
+          success: false,
+          error: "Invalid email address",
+          statusCode: 400
+        };
+      }
+
       // Check if username already exists
       const existingUsername = await User.findOne({ username });
       if (existingUsername) {
@@ -51,10 +72,13 @@ class UserService {
         username,
         email,
         password: hashedPassword,
+        emailVerified: false,
       });
 
-      // Generate token
-      const token = AuthService.generateToken(user._id);
+      await EmailVerificationService.trySendVerification(user);
+
+      // Generate access and refresh tokens
+      const tokens = await AuthService.startSession(user._id, context);
 
       // Return user data without password
       const userResponse = {
@@ -62,13 +86,14 @@ class UserService {
         username: user.username,
         email: user.email,
         avatarImage: user.avatarImage,
-        isAvatarImageSet: user.isAvatarImageSet
+        isAvatarImageSet: user.isAvatarImageSet,
+        emailVerified: user.emailVerified
       };
 
       return {
         success: true,
         user: userResponse,
-        token,
+        ...tokens,
         statusCode: 201
       };
     } catch (error) {
@@ -83,12 +108,15 @@ class UserService {
 
   /**
    * Login user
+   * Accounts with two-factor authentication get a challenge token instead of a session and
+   * finish with completeTwoFactorLogin.
    * @param {Object} loginData - Login data
    * @param {string} loginData.username - Username
    * @param {string} loginData.password - Password
+   * @param {Object} context - { userAgent, ip } of the request, recorded on the session
    * @returns {Object} - Login result
    */
-  static async loginUser(loginData) {
+  static async loginUser(loginData, context = {}) {
     try {
       const { username, password } = loginData;
 
@@ -120,8 +148,17 @@ class UserService {
         };
       }
 
-      // Generate token
-      const token = AuthService.generateToken(user._id);
+      if (user.twoFactor.enabled) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: await TwoFactorService.createChallenge(user._id),
+          statusCode: 200
+        };
+      }
+
+      // Generate access and refresh tokens
+      const tokens = await AuthService.startSession(user._id, context);
 
       // Return user data without password
       const userResponse = {
@@ -129,13 +166,14 @@ class UserService {
         username: user.username,
         email: user.email,
         avatarImage: user.avatarImage,
-        isAvatarImageSet: user.isAvatarImageSet
+        isAvatarImageSet: user.isAvatarImageSet,
+        emailVerified: user.emailVerified
       };
 
       return {
         success: true,
         user: userResponse,
-        token,
+        ...tokens,
         statusCode: 200
       };
     } catch (error) {
@@ -148,6 +186,256 @@ class UserService {
     }
   }
 
+  /**
+   * Second login step for accounts with two-factor authentication
+   * @param {Object} data - { challengeToken, code } where code is a TOTP code or a recovery code
+   * @param {Object} context - { userAgent, ip } of the request, recorded on the session
+   * @returns {Object} - Login result
+   */
+  static async completeTwoFactorLogin({ challengeToken, code }, context = {}) {
+    try {
+      if (!challengeToken || !code) {
+        return {
+          success: false,
+          error: "Challenge token and authentication code are required",
+          statusCode: 400
+        };
+      }
+
+      const challenge = await TwoFactorService.completeChallenge(challengeToken, code);
+      if (!challenge.success) {
+        return challenge;
+      }
+
+      const user = await User.findById(challenge.userId);
+      if (!user) {
+        return {
+          success: false,
+          error: "Invalid username or password",
+          statusCode: 401
+        };
+      }
+
+      const tokens = await AuthService.startSession(user._id, context);
+
+      const userResponse = {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        avatarImage: user.avatarImage,
+        isAvatarImageSet: user.isAvatarImageSet,
+        emailVerified: user.emailVerified
+      };
+
+      return {
+        success: true,
+        user: userResponse,
+        ...tokens,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to login user",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * When reuse is detected the stolen session is ended, including its open sockets.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} - Refresh result
+   */
+  static async refreshSession(refreshToken) {
+    const result = await AuthService.refreshTokens(refreshToken);
+    if (result.revokedSessionId) {
+      SocketService.endSessions([result.revokedSessionId], "reuse");
+    }
+    return result;
+  }
+
+  /**
+   * End the session the request was made with
+   * Its refresh token stops working, its access tokens are rejected and its sockets are
+   * disconnected, which also updates presence.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {Object} - Logout result
+   */
+  static async logout(userId, sessionId) {
+    try {
+      if (!userId || !sessionId) {
+        return {
+          success: false,
+          error: "User ID and current session are required",
+          statusCode: 400
+        };
+      }
+
+      await SessionService.revokeForUser(userId, { only: sessionId, reason: "logout" });
+      SocketService.endSessions([sessionId], "logout");
+
+      return {
+        success: true,
+        message: "User logged out successfully",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to log out",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * End every session of the user except the current one
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to keep
+   * @returns {Object} - Result with the number of sessions ended
+   */
+  static async logoutOtherSessions(userId, sessionId) {
+    try {
+      if (!userId || !sessionId) {
+        return {
+          success: false,
+          error: "User ID and current session are required",
+          statusCode: 400
+        };
+      }
+
+      const endedSessionIds = await SessionService.revokeForUser(userId, { except: sessionId, reason: "logout-others" });
+      SocketService.endSessions(endedSessionIds, "logout-others");
+
+      return {
+        success: true,
+        count: endedSessionIds.length,
+        message: "Logged out of all other devices",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to log out other devices",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Confirm an email address from a verification link
+   * The user's open tabs are told so they can lift the unverified-account limits.
+   * @param {string} token - Token from the link
+   * @returns {Object} - Verification result
+   */
+  static async verifyEmail(token) {
+    const result = await EmailVerificationService.verify(token);
+    if (result.success) {
+      SocketService.emitToUser(result.userId, "email-verified", { emailVerified: true });
+    }
+    return result;
+  }
+
+  /**
+   * Set a new password from a reset link and log the user out everywhere
+   * Whoever knew the old password may still hold a session, so none survive the reset.
+   * @param {string} token - Token from the link
+   * @param {string} password - New password
+   * @returns {Object} - Reset result
+   */
+  static async resetPassword(token, password) {
+    const result = await PasswordResetService.reset(token, password);
+    if (result.success) {
+      const endedSessionIds = await SessionService.revokeForUser(result.userId, { reason: "password-reset" });
+      SocketService.endSessions(endedSessionIds, "password-reset");
+    }
+    return result;
+  }
+
+  /**
+   * List the devices a user is logged in on
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as current (optional)
+   * @returns {Object} - Result with the active sessions, most recently used first
+   */
+  static async getSessions(userId, currentSessionId) {
+    try {
+      if (!userId) {
+        return {
+          success: false,
+          error: "User ID is required",
+          statusCode: 400
+        };
+      }
+
+      const sessions = await SessionService.listActive(userId);
+
+      return {
+        success: true,
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session._id === currentSessionId
+        })),
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get sessions",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
+  /**
+   * Log one of the user's devices out
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to end
+   * @returns {Object} - Revocation result
+   */
+  static async revokeSession(userId, sessionId) {
+    try {
+      if (!userId || !sessionId) {
+        return {
+          success: false,
+          error: "User ID and current session are required",
+          statusCode: 400
+        };
+      }
+
+      const endedSessionIds = await SessionService.revokeForUser(userId, { only: sessionId, reason: "revoked" });
+      if (endedSessionIds.length === 0) {
+        return {
+          success: false,
+          error: "Session not found",
+          statusCode: 404
+        };
+      }
+
+      SocketService.endSessions(endedSessionIds, "revoked");
+
+      return {
+        success: true,
+        message: "Session ended",
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to end session",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
   /**
    * Get all users except current user
    * @param {string} currentUserId - Current user ID
@@ -206,6 +494,7 @@ class UserService {
         "email",
         "avatarImage",
         "isAvatarImageSet",
+        "emailVerified",
         "_id"
       ]);
 
@@ -237,7 +526,7 @@ class UserService {
    * @param {string} userId - User ID
    * @param {Object} updateData - Update data
    * @param {string} updateData.username - New username (optional)
-   * @param {string} updateData.email - New email (optional)
+   * @param {string} updateData.email - New email (optional); a changed address has to be verified again
    * @returns {Object} - Update result
    */
   static async updateUserProfile(userId, updateData) {
@@ -250,7 +539,19 @@ class UserService {
         };
       }
 
-      const { username, email } = updateData;
+      const { username } = updateData;
+
+      let email = null;
+      if (updateData.email) {
+        email = EmailVerificationService.normalizeEmail(updateData.email);
+        if (!email) {
+          return {
+            success: false,
+            error: "Invalid email address",
+            statusCode: 400
+          };
+        }
+      }
 
       // Check if username is already taken by another user
       if (username) {
@@ -276,9 +577,23 @@ class UserService {
         }
       }
 
+      const currentUser = await User.findById(userId).select(["email"]);
+      if (!currentUser) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 404
+        };
+      }
+
+      const emailChanged = Boolean(email) && email !== currentUser.email;
+
       const updateFields = {};
       if (username) updateFields.username = username;
-      if (email) updateFields.email = email;
+      if (emailChanged) {
+        updateFields.email = email;
+        updateFields.emailVerified = false;
+      }
 
       const updatedUser = await User.findByIdAndUpdate(
         userId,
@@ -289,6 +604,7 @@ class UserService {
         "email",
         "avatarImage",
         "isAvatarImageSet",
+        "emailVerified",
         "_id"
       ]);
 
@@ -300,6 +616,10 @@ class UserService {
         };
       }
 
+      if (emailChanged) {
+        await EmailVerificationService.trySendVerification(updatedUser);
+      }
+
       return {
         success: true,
         user: updatedUser,
@@ -322,6 +642,7 @@ class UserService {
    * @param {Object} passwordData - Password data
    * @param {string} passwordData.currentPassword - Current password
    * @param {string} passwordData.newPassword - New password
+   * @param {string} passwordData.twoFactorCode - TOTP or recovery code, required when 2FA is on
    * @returns {Object} - Password change result
    */
   static async changePassword(userId, passwordData) {
@@ -363,6 +684,11 @@ class UserService {
         };
       }
 
+      const twoFactorCheck = await TwoFactorService.verifyForAction(userId, passwordData.twoFactorCode);
+      if (!twoFactorCheck.success) {
+        return twoFactorCheck;
+      }
+
       // Hash new password
       const hashedNewPassword = await bcrypt.hash(newPassword, 10);
 
@@ -390,9 +716,10 @@ class UserService {
    * Delete user account
    * @param {string} userId - User ID
    * @param {string} password - User password for verification
+   * @param {string} twoFactorCode - TOTP or recovery code, required when 2FA is on
    * @returns {Object} - Account deletion result
    */
-  static async deleteAccount(userId, password) {
+  static async deleteAccount(userId, password, twoFactorCode) {
     try {
       if (!userId || !password) {
         return {
@@ -421,6 +748,16 @@ class UserService {
         };
       }
 
+      const twoFactorCheck = await TwoFactorService.verifyForAction(userId, twoFactorCode);
+      if (!twoFactorCheck.success) {
+        return twoFactorCheck;
+      }
+
+      // Nothing signed in as the account may outlive it
+      const endedSessionIds = await SessionService.revokeForUser(userId, { reason: "account-deleted" });
+      SocketService.endSessions(endedSessionIds, "account-deleted");
+      await SessionService.removeForUser(userId);
+
       // Delete user
       await User.findByIdAndDelete(userId);
 
@@ -488,6 +825,56 @@ class UserService {
     }
   }
 
+  /**
+   * Get online/offline/last-seen status for users
+   * @param {Array} userIds - User IDs to look up, at most MAX_PRESENCE_USER_IDS
+   * @returns {Object} - Presence result
+   */
+  static async getPresence(userIds) {
+    try {
+      if (!Array.isArray(userIds) || userIds.length === 0) {
+        return {
+          success: false,
+          error: "userIds is required",
+          statusCode: 400
+        };
+      }
+
+      if (userIds.length > MAX_PRESENCE_USER_IDS) {
+        return {
+          success: false,
+          error: `At most ${MAX_PRESENCE_USER_IDS} user IDs can be looked up at once`,
+          statusCode: 400
+        };
+      }
+
+      if (userIds.some((id) => !mongoose.isValidObjectId(id))) {
+        return {
+          success: false,
+          error: "Invalid user ID",
+          statusCode: 400
+        };
+      }
+
+      const users = await User.find({ _id: { $in: userIds } }).select(["_id", "lastSeen"]).lean();
+
+      const presence = await PresenceService.getPresenceForUsers(users);
+
+      return {
+        success: true,
+        presence,
+        statusCode: 200
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: "Failed to get presence",
+        details: error.message,
+        statusCode: 500
+      };
+    }
+  }
+
   /**
    * Search users by username
    * @param {string} searchTerm - Search term
@@ -0,0 +1,50 @@
+const path = require("path");
+const { createLocalStorage } = require("./localStorage");
+const { createS3Storage } = require("./s3Storage");
+
+/**
+ * Create the upload storage driver selected by the environment
+ *
+ * STORAGE_DRIVER=local (default) keeps files in STORAGE_LOCAL_DIR (default server/uploads).
+ * STORAGE_DRIVER=s3 keeps them in S3_BUCKET on any S3-compatible service. Set S3_ENDPOINT and
+ * S3_FORCE_PATH_STYLE=true for a local stand-in, e.g. MinIO:
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true \
+ *     S3_BUCKET=chat-uploads S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin node index.js
+ * `npm run check:s3-storage` exercises the driver against s3rver, an in-process stand-in.
+ *
+ * Every driver exposes { name, directDownloads, put, createReadStream, exists, delete, getSignedUrl }.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Storage driver
+ */
+const createStorage = (env = process.env) => {
+  const driverName = (env.STORAGE_DRIVER || "local").toLowerCase();
+
+  switch (driverName) {
+    case "local":
+      return createLocalStorage({
+        root: env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "uploads"),
+        signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET || "your-secret-key",
+        baseUrl: "/api/media"
+      });
+    case "s3":
+      if (!env.S3_BUCKET) {
+        throw new Error("S3_BUCKET is required for the s3 storage driver");
+      }
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || "us-east-1",
+        endpoint: env.S3_ENDPOINT,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        keyPrefix: env.S3_KEY_PREFIX || ""
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+};
+
+module.exports = {
+  createStorage
+};
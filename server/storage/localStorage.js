@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps uploads as files in a single directory on this server
+ *
+ * Signed URLs point back at this server's media route and carry an HMAC of the key and
+ * expiry time, checked with verifySignature().
+ */
+class LocalStorage {
+  constructor({ root, signingSecret, baseUrl }) {
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+    this.baseUrl = baseUrl;
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  /**
+   * Absolute path of a key, refusing anything that would escape the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} - File path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (path.dirname(filePath) !== this.root) {
+      const error = new Error(`Invalid storage key: ${key}`);
+      error.code = "ENOENT";
+      throw error;
+    }
+    return filePath;
+  }
+
+  /**
+   * Move a local file into storage
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - File to move; it no longer exists afterwards
+   */
+  async put(key, sourcePath) {
+    const target = this.resolve(key);
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (error) {
+      // Temp directories are often on another device, where rename is not possible
+      if (error.code !== "EXDEV") {
+        throw error;
+      }
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.unlink(sourcePath);
+    }
+  }
+
+  /**
+   * Open a stored object for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - { stream, size }; rejects with code ENOENT when missing
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+    const stats = await fs.promises.stat(filePath);
+    return {
+      stream: fs.createReadStream(filePath),
+      size: stats.size
+    };
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest("base64url");
+  }
+
+  /**
+   * Time-limited URL for a stored object
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn } in seconds
+   * @returns {Promise<string>} - URL relative to this server
+   */
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({ expires, signature: this.sign(key, expires) });
+    return `${this.baseUrl}/${encodeURIComponent(key)}?${query}`;
+  }
+
+  /**
+   * Check the query parameters of a URL produced by getSignedUrl()
+   * @param {string} key - Storage key
+   * @param {string} expires - Expiry time in epoch seconds
+   * @param {string} signature - HMAC from the URL
+   * @returns {boolean} - Whether the URL is authentic and not yet expired
+   */
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+/**
+ * Filesystem storage driver
+ * @param {Object} options - { root, signingSecret, baseUrl }
+ * @returns {Object} - Storage driver
+ */
+const createLocalStorage = (options) => {
+  const storage = new LocalStorage(options);
+  storage.name = "local";
+  // Bytes are streamed by this server
+  storage.directDownloads = false;
+  return storage;
+};
+
+module.exports = {
+  LocalStorage,
+  createLocalStorage
+};
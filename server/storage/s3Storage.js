@@ -0,0 +1,153 @@
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const isNotFound = (error) =>
+  error.name === "NoSuchKey" || error.name === "NotFound" || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Keeps uploads in a bucket of any S3-compatible object store (AWS S3, MinIO, LocalStack, ...)
+ */
+class S3Storage {
+  constructor(client, { bucket, keyPrefix = "" }) {
+    this.client = client;
+    this.bucket = bucket;
+    this.keyPrefix = keyPrefix;
+  }
+
+  objectKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * Upload a local file, then remove it
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - File to upload; it no longer exists afterwards
+   * @param {Object} options - { contentType }
+   */
+  async put(key, sourcePath, { contentType } = {}) {
+    const stats = await fs.promises.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: stats.size,
+      ContentType: contentType
+    }));
+    await fs.promises.unlink(sourcePath);
+  }
+
+  /**
+   * Open a stored object for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - { stream, size, contentType }; rejects with code ENOENT when missing
+   */
+  async createReadStream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return {
+        stream: response.Body,
+        size: response.ContentLength,
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        error.code = "ENOENT";
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    // Deleting a missing object succeeds in S3
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  /**
+   * Presigned GET URL for a stored object
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn } in seconds, { contentType } to serve the object as,
+   *   { attachment: true } or { fileName } to download it as an attachment
+   * @returns {Promise<string>} - Absolute URL on the object store
+   */
+  async getSignedUrl(key, { expiresIn = 300, contentType, attachment = false, fileName } = {}) {
+    let disposition = null;
+    if (fileName) {
+      disposition = `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+    } else if (attachment) {
+      disposition = "attachment";
+    }
+
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ...(contentType ? { ResponseContentType: contentType } : {}),
+      ...(disposition ? { ResponseContentDisposition: disposition } : {})
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+/**
+ * S3-compatible storage driver
+ * @param {Object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, keyPrefix }
+ * @returns {Object} - Storage driver
+ */
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  keyPrefix
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Other S3-compatible stores may not decode the SDK's default aws-chunked checksum uploads
+    // and would store the chunk framing as part of the object
+    ...(endpoint ? { requestChecksumCalculation: "WHEN_REQUIRED", responseChecksumValidation: "WHEN_REQUIRED" } : {}),
+    // Without explicit keys the SDK's default chain (env, shared config, instance role) is used
+    ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+
+  const storage = new S3Storage(client, { bucket, keyPrefix });
+  storage.name = "s3";
+  // Clients are redirected to presigned URLs instead of streaming through this server
+  storage.directDownloads = true;
+  return storage;
+};
+
+module.exports = {
+  S3Storage,
+  createS3Storage
+};
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const User = require("../models/userModel");
+const Session = require("../models/sessionModel");
+const RefreshToken = require("../models/refreshTokenModel");
+const AuthService = require("../services/authService");
+const { fakeModel } = require("./support/fakeModel");
+
+const USER_ID = "507f1f77bcf86cd799439011";
+
+describe("AuthService refresh token rotation", () => {
+  let sessions;
+  let refreshTokens;
+
+  beforeEach(() => {
+    fakeModel(User).insert({ _id: USER_ID, username: "alice" });
+    sessions = fakeModel(Session, { revokedAt: null, revokedReason: null });
+    refreshTokens = fakeModel(RefreshToken, { usedAt: null, revokedAt: null, revokedReason: null });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("exchanges a refresh token for a new pair in the same session", async () => {
+    const first = await AuthService.startSession(USER_ID, { userAgent: "test", ip: "127.0.0.1" });
+    const result = await AuthService.refreshTokens(first.refreshToken);
+
+    assert.equal(result.success, true);
+    assert.notEqual(result.refreshToken, first.refreshToken);
+    assert.equal(jwt.decode(result.token).sid, jwt.decode(first.token).sid);
+    assert.equal(refreshTokens.docs.length, 2);
+    assert.ok(refreshTokens.docs[0].usedAt, "the exchanged token is marked used");
+
+    const next = await AuthService.refreshTokens(result.refreshToken);
+    assert.equal(next.success, true);
+  });
+
+  it("revokes the whole session when a used refresh token comes back", async () => {
+    const first = await AuthService.startSession(USER_ID, {});
+    const rotated = await AuthService.refreshTokens(first.refreshToken);
+
+    const replay = await AuthService.refreshTokens(first.refreshToken);
+    assert.equal(replay.success, false);
+    assert.equal(replay.code, "REFRESH_TOKEN_REUSED");
+    assert.equal(replay.revokedSessionId, jwt.decode(first.token).sid);
+    assert.equal(sessions.docs[0].revokedReason, "reuse");
+
+    // The legitimate holder's newer token dies with the session
+    const afterReplay = await AuthService.refreshTokens(rotated.refreshToken);
+    assert.equal(afterReplay.success, false);
+    assert.equal(afterReplay.code, "INVALID_REFRESH_TOKEN");
+    assert.equal(await AuthService.isSessionActive(jwt.decode(rotated.token).sid), false);
+  });
+
+  it("lets only one of two concurrent refreshes of the same token succeed", async () => {
+    const first = await AuthService.startSession(USER_ID, {});
+    const results = await Promise.all([
+      AuthService.refreshTokens(first.refreshToken),
+      AuthService.refreshTokens(first.refreshToken)
+    ]);
+
+    assert.equal(results.filter((result) => result.success).length, 1);
+  });
+
+  it("refuses expired and unknown refresh tokens without revoking anything", async () => {
+    const first = await AuthService.startSession(USER_ID, {});
+    refreshTokens.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    const expired = await AuthService.refreshTokens(first.refreshToken);
+    assert.equal(expired.code, "INVALID_REFRESH_TOKEN");
+    assert.equal(expired.error, "Refresh token expired");
+
+    const unknown = await AuthService.refreshTokens("not-a-token");
+    assert.equal(unknown.code, "INVALID_REFRESH_TOKEN");
+    assert.equal(sessions.docs[0].revokedAt, null);
+  });
+
+  it("ends the session when its user no longer exists", async () => {
+    const first = await AuthService.startSession(USER_ID, {});
+    await User.deleteOne({ _id: USER_ID });
+
+    const result = await AuthService.refreshTokens(first.refreshToken);
+    assert.equal(result.success, false);
+    assert.equal(sessions.docs[0].revokedReason, "user-not-found");
+  });
+});
+
+describe("AuthService access tokens", () => {
+  it("refuses purpose-bound tokens as logins", () => {
+    const challenge = jwt.sign({ userId: USER_ID, purpose: "2fa-login" }, process.env.JWT_SECRET || "your-secret-key");
+    const result = AuthService.verifyToken(challenge);
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, "INVALID_TOKEN");
+  });
+
+  it("treats tokens without a session ID as inactive", async () => {
+    assert.equal(await AuthService.isSessionActive(undefined), false);
+  });
+});
@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Blob = require("../models/blobModel");
+const BlobService = require("../services/blobService");
+const StorageService = require("../services/storageService");
+const AttachmentService = require("../services/attachmentService");
+const { fakeModel } = require("./support/fakeModel");
+
+const BLOB_DEFAULTS = {
+  variants: [],
+  variantTypes: [],
+  refCount: 0,
+  orphanedAt: null,
+  deletingAt: null,
+  pending: false,
+  writerToken: null
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe("BlobService", () => {
+  let workDir;
+  let blobs;
+  let stored;
+  let removed;
+  let discarded;
+
+  before(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "blob-service-test-"));
+  });
+
+  after(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    blobs = fakeModel(Blob, BLOB_DEFAULTS);
+    stored = [];
+    removed = [];
+    discarded = [];
+    mock.method(StorageService, "store", async (file) => {
+      stored.push(file.filename);
+    });
+    mock.method(StorageService, "remove", async (keys) => {
+      removed.push(...keys);
+    });
+    mock.method(AttachmentService, "discard", (files) => {
+      discarded.push(...files);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  let uploadCount = 0;
+  const upload = async (content, extension = ".png", mimetype = "image/png") => {
+    uploadCount++;
+    const filePath = path.join(workDir, `upload-${uploadCount}${extension}`);
+    await fs.promises.writeFile(filePath, content);
+    return { filename: `file-${uploadCount}${extension}`, path: filePath, size: content.length, mimetype };
+  };
+
+  const thumbnail = async () => ({ ...(await upload("thumbnail", ".webp", "image/webp")), suffix: "-small.webp" });
+
+  describe("store", () => {
+    it("stores new content once under its hash with one reference", async () => {
+      const { key, variantKeys } = await BlobService.store(await upload("hello"), [await thumbnail()]);
+      const hash = key.replace(/\.png$/, "");
+
+      assert.match(key, /^[0-9a-f]{64}\.png$/);
+      assert.deepEqual(variantKeys, [`${hash}-small.webp`]);
+      assert.deepEqual(stored, [key, `${hash}-small.webp`]);
+
+      const [blob] = blobs.docs;
+      assert.equal(blob.refCount, 1);
+      assert.equal(blob.mimeType, "image/png");
+      assert.equal(blob.pending, false);
+      assert.equal(blob.writerToken, undefined);
+      assert.deepEqual(blob.variants, [`${hash}-small.webp`]);
+      assert.deepEqual(blob.variantTypes, [{ key: `${hash}-small.webp`, mimeType: "image/webp" }]);
+    });
+
+    it("adds a reference to identical content instead of storing it again", async () => {
+      const first = await BlobService.store(await upload("hello"), [await thumbnail()]);
+      const duplicate = await upload("hello");
+      const second = await BlobService.store(duplicate, [await thumbnail()]);
+
+      assert.equal(second.key, first.key);
+      assert.equal(stored.length, 2, "nothing new was stored");
+      assert.equal(blobs.docs[0].refCount, 2);
+      assert.ok(discarded.some((file) => file.path === duplicate.path), "the duplicate upload is discarded");
+    });
+
+    it("makes an identical upload wait until the first has written the object", async () => {
+      const writing = deferred();
+      mock.method(StorageService, "store", async (file) => {
+        await writing.promise;
+        stored.push(file.filename);
+      });
+
+      const first = BlobService.store(await upload("hello"));
+      const second = BlobService.store(await upload("hello"));
+
+      let secondDone = false;
+      second.then(() => {
+        secondDone = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(secondDone, false, "the second upload waits for the object");
+
+      writing.resolve();
+      const [firstResult, secondResult] = await Promise.all([first, second]);
+
+      assert.equal(secondResult.key, firstResult.key);
+      assert.deepEqual(stored, [firstResult.key]);
+      assert.equal(blobs.docs[0].refCount, 2);
+      assert.equal(blobs.docs[0].pending, false);
+    });
+
+    it("removes the record it created when writing fails", async () => {
+      mock.method(StorageService, "store", async () => {
+        throw new Error("disk full");
+      });
+
+      await assert.rejects(BlobService.store(await upload("hello")), /disk full/);
+      assert.equal(blobs.docs.length, 0);
+    });
+
+    it("hands the write to an identical upload waiting on a failed one", async () => {
+      const writing = deferred();
+      let attempts = 0;
+      mock.method(StorageService, "store", async (file) => {
+        attempts++;
+        if (attempts === 1) {
+          await writing.promise;
+        }
+        stored.push(file.filename);
+      });
+
+      const first = BlobService.store(await upload("hello"));
+      const second = BlobService.store(await upload("hello"));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      writing.reject(new Error("connection reset"));
+
+      await assert.rejects(first, /connection reset/);
+      const { key } = await second;
+
+      assert.deepEqual(stored, [key], "the waiting upload wrote the object itself");
+      assert.equal(blobs.docs.length, 1);
+      assert.equal(blobs.docs[0].refCount, 1, "only the surviving upload holds a reference");
+      assert.equal(blobs.docs[0].pending, false);
+    });
+
+    it("waits for the collector to finish with a tombstoned record, then stores afresh", async () => {
+      const { key } = await BlobService.store(await upload("hello"));
+      blobs.docs[0].refCount = 0;
+      blobs.docs[0].deletingAt = new Date();
+      stored = [];
+
+      setTimeout(() => blobs.docs.splice(0, 1), 100);
+      const result = await BlobService.store(await upload("hello"));
+
+      assert.equal(result.key, key);
+      assert.deepEqual(stored, [key], "the content is written again");
+      assert.equal(blobs.docs[0].refCount, 1);
+      assert.equal(blobs.docs[0].deletingAt, null);
+    });
+  });
+
+  describe("references and garbage collection", () => {
+    it("orphans a blob when its last reference is released", async () => {
+      const { key } = await BlobService.store(await upload("hello"));
+      await BlobService.retain([key]);
+      assert.equal(blobs.docs[0].refCount, 2);
+
+      await BlobService.release([key]);
+      assert.equal(blobs.docs[0].orphanedAt, null);
+      await BlobService.release([key]);
+      assert.equal(blobs.docs[0].refCount, 0);
+      assert.ok(blobs.docs[0].orphanedAt instanceof Date);
+
+      await BlobService.release([key]);
+      assert.equal(blobs.docs[0].refCount, 0, "the count never goes negative");
+    });
+
+    it("removes orphans and their variants only after the grace period", async () => {
+      const { key, variantKeys } = await BlobService.store(await upload("hello"), [await thumbnail()]);
+      await BlobService.release([key]);
+
+      assert.equal(await BlobService.collectGarbage(), 0, "a fresh orphan is kept");
+
+      blobs.docs[0].orphanedAt = new Date(Date.now() - 2 * HOUR_MS);
+      assert.equal(await BlobService.collectGarbage(), 1);
+      assert.deepEqual(removed, [key, ...variantKeys]);
+      assert.equal(blobs.docs.length, 0);
+    });
+
+    it("keeps an orphan that was referenced again", async () => {
+      const { key } = await BlobService.store(await upload("hello"));
+      await BlobService.release([key]);
+      blobs.docs[0].orphanedAt = new Date(Date.now() - 2 * HOUR_MS);
+
+      await BlobService.retain([key]);
+      assert.equal(await BlobService.collectGarbage(), 0);
+      assert.equal(blobs.docs[0].refCount, 1);
+    });
+
+    it("leaves records another collector is deleting, unless its claim is stale", async () => {
+      blobs.insert({ _id: "claimed.png", orphanedAt: new Date(Date.now() - 2 * HOUR_MS), deletingAt: new Date() });
+      blobs.insert({ _id: "stale.png", orphanedAt: new Date(Date.now() - 2 * HOUR_MS), deletingAt: new Date(Date.now() - HOUR_MS) });
+
+      assert.equal(await BlobService.collectGarbage(), 1);
+      assert.deepEqual(removed, ["stale.png"]);
+      assert.deepEqual(blobs.docs.map((blob) => blob._id), ["claimed.png"]);
+    });
+
+    it("does not revive a tombstoned record when retaining it", async () => {
+      blobs.insert({ _id: "gone.png", deletingAt: new Date() });
+
+      await BlobService.retain(["gone.png"]);
+      assert.equal(blobs.docs[0].refCount, 0);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLocalStorage } = require("../storage/localStorage");
+
+const SECRET = "test-signing-secret";
+
+const parseSignedUrl = (url) => {
+  const parsed = new URL(url, "http://localhost");
+  return {
+    key: decodeURIComponent(parsed.pathname.split("/").pop()),
+    expires: parsed.searchParams.get("expires"),
+    signature: parsed.searchParams.get("signature")
+  };
+};
+
+describe("LocalStorage signed URLs", () => {
+  let root;
+  let storage;
+
+  before(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "local-storage-test-"));
+    storage = createLocalStorage({ root, signingSecret: SECRET, baseUrl: "/api/media" });
+  });
+
+  after(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("points at the media route and verifies its own signature", async () => {
+    const url = await storage.getSignedUrl("abc.png", { expiresIn: 60 });
+    assert.match(url, /^\/api\/media\/abc\.png\?expires=\d+&signature=/);
+
+    const { key, expires, signature } = parseSignedUrl(url);
+    assert.equal(storage.verifySignature(key, expires, signature), true);
+  });
+
+  it("refuses a signature for another key or expiry time", async () => {
+    const { expires, signature } = parseSignedUrl(await storage.getSignedUrl("abc.png", { expiresIn: 60 }));
+
+    assert.equal(storage.verifySignature("other.png", expires, signature), false);
+    assert.equal(storage.verifySignature("abc.png", String(Number(expires) + 3600), signature), false);
+  });
+
+  it("refuses a signature made with another secret", async () => {
+    const other = createLocalStorage({ root, signingSecret: "another-secret", baseUrl: "/api/media" });
+    const { key, expires, signature } = parseSignedUrl(await other.getSignedUrl("abc.png", { expiresIn: 60 }));
+
+    assert.equal(storage.verifySignature(key, expires, signature), false);
+  });
+
+  it("refuses an expired URL", async () => {
+    const { key, expires, signature } = parseSignedUrl(await storage.getSignedUrl("abc.png", { expiresIn: 60 }));
+    mock.method(Date, "now", () => (Number(expires) + 1) * 1000);
+
+    assert.equal(storage.verifySignature(key, expires, signature), false);
+  });
+
+  it("refuses missing and malformed parameters", () => {
+    const expires = String(Math.floor(Date.now() / 1000) + 60);
+
+    assert.equal(storage.verifySignature("abc.png", expires, undefined), false);
+    assert.equal(storage.verifySignature("abc.png", undefined, "signature"), false);
+    assert.equal(storage.verifySignature("abc.png", expires, "short"), false);
+  });
+
+  it("refuses keys that leave the storage directory", () => {
+    assert.throws(() => storage.resolve("../outside.png"), { code: "ENOENT" });
+    assert.throws(() => storage.resolve("nested/file.png"), { code: "ENOENT" });
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClient } = require("redis");
+const { RedisPresenceStore } = require("../adapters/redisAdapter");
+const { startRedisStandIn } = require("./support/redisStandIn");
+
+const KEY_PREFIX = "test:";
+
+describe("RedisPresenceStore", () => {
+  let broker;
+  let client;
+  let stores;
+
+  before(async () => {
+    broker = await startRedisStandIn();
+    client = createClient({ url: broker.url });
+    await client.connect();
+  });
+
+  after(async () => {
+    await client.quit();
+    await broker.close();
+  });
+
+  beforeEach(() => {
+    stores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.map((store) => store.close()));
+    await client.del([`${KEY_PREFIX}nodes`]);
+  });
+
+  const startNode = async (nodeId) => {
+    const store = new RedisPresenceStore(client, { keyPrefix: KEY_PREFIX, nodeId });
+    await store.start();
+    stores.push(store);
+    return store;
+  };
+
+  // A node that crashed: its heartbeat stops and expires, but its sets stay behind
+  const crash = async (store) => {
+    clearInterval(store.heartbeat);
+    stores.splice(stores.indexOf(store), 1);
+    await client.del(store.nodeKey(store.nodeId));
+  };
+
+  it("counts a user's sockets across nodes", async () => {
+    const first = await startNode("node-a");
+    const second = await startNode("node-b");
+
+    assert.equal(await first.addSocket("user-1", "socket-1"), 1);
+    assert.equal(await second.addSocket("user-1", "socket-2"), 2);
+    assert.deepEqual((await first.getSocketIds("user-1")).sort(), ["socket-1", "socket-2"]);
+
+    assert.equal(await second.removeSocket("user-1", "socket-2"), 1);
+  });
+
+  it("ignores sockets of a node whose heartbeat expired", async () => {
+    const live = await startNode("node-a");
+    const dead = await startNode("node-b");
+    await live.addSocket("user-1", "socket-1");
+    await dead.addSocket("user-1", "socket-2");
+
+    await crash(dead);
+
+    assert.deepEqual(await live.getSocketIds("user-1"), ["socket-1"]);
+  });
+
+  it("prunes the sets of dead nodes on start", async () => {
+    const dead = await startNode("node-b");
+    await dead.addSocket("user-1", "socket-2");
+    await dead.addSocket("user-2", "socket-3");
+    await crash(dead);
+
+    await startNode("node-a");
+
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}node-sockets:node-b`), []);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}presence:user-1`), []);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}presence:user-2`), []);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}nodes`), ["node-a"]);
+  });
+
+  it("prunes a node that dies while the others run", async () => {
+    const live = await startNode("node-a");
+    const dead = await startNode("node-b");
+    await live.addSocket("user-1", "socket-1");
+    await dead.addSocket("user-1", "socket-2");
+    await crash(dead);
+
+    assert.deepEqual(await live.pruneDeadNodes(), ["node-b"]);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}presence:user-1`), ["node-a|socket-1"]);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}node-sockets:node-b`), []);
+  });
+
+  it("leaves nothing behind when a node shuts down", async () => {
+    const store = await startNode("node-a");
+    await store.addSocket("user-1", "socket-1");
+
+    await store.close();
+    stores = [];
+
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}presence:user-1`), []);
+    assert.deepEqual(await client.sMembers(`${KEY_PREFIX}nodes`), []);
+    assert.equal(await client.get(`${KEY_PREFIX}node:node-a`), null);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * In-memory stand-in for a mongoose model; test-only
+ *
+ * Replaces the model's query methods with versions backed by an array, so services can be tested
+ * without MongoDB. It understands the filters and update operators the services use: equality
+ * (null also matches a missing field, a scalar matches an array element), $gt, $gte, $lt, $lte,
+ * $ne, $in, $nin, $or, and $set, $unset, $inc, $setOnInsert, $addToSet and $pull. Every update is
+ * applied synchronously, so conditional updates stay atomic the way they are in MongoDB.
+ */
+const { mock } = require("node:test");
+
+const isObjectId = (value) => value !== null && typeof value === "object" && typeof value.toHexString === "function";
+
+// Stored documents hold plain values: IDs become strings and everything is copied
+const toPlain = (value) => {
+  if (isObjectId(value)) {
+    return value.toString();
+  }
+  if (value instanceof Date || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, toPlain(item)]));
+};
+
+const comparable = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value instanceof Date ? value.getTime() : toPlain(value);
+};
+
+const equal = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+const getPath = (doc, path) => path.split(".").reduce((value, field) => (value == null ? undefined : value[field]), doc);
+
+const setPath = (doc, path, value) => {
+  const fields = path.split(".");
+  const last = fields.pop();
+  const parent = fields.reduce((target, field) => {
+    if (target[field] == null) {
+      target[field] = {};
+    }
+    return target[field];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const fields = path.split(".");
+  const last = fields.pop();
+  const parent = getPath(doc, fields.join(".")) ?? (fields.length === 0 ? doc : null);
+  if (parent) {
+    delete parent[last];
+  }
+};
+
+const isOperatorObject = (condition) => condition !== null && typeof condition === "object" &&
+  !(condition instanceof Date) && !isObjectId(condition) && !Array.isArray(condition) &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+const testCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(value) && !Array.isArray(condition)
+      ? value.some((item) => equal(item, condition))
+      : equal(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const left = comparable(value);
+    const right = comparable(operand);
+    switch (operator) {
+      case "$gt":
+        return left !== null && left > right;
+      case "$gte":
+        return left !== null && left >= right;
+      case "$lt":
+        return left !== null && left < right;
+      case "$lte":
+        return left !== null && left <= right;
+      case "$ne":
+        return !testCondition(value, operand);
+      case "$in":
+        return operand.some((item) => testCondition(value, item));
+      case "$nin":
+        return !operand.some((item) => testCondition(value, item));
+      default:
+        throw new Error(`fakeModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => (
+  field === "$or"
+    ? condition.some((alternative) => matches(doc, alternative))
+    : testCondition(getPath(doc, field), condition)
+));
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (!operator.startsWith("$")) {
+      setPath(doc, operator, toPlain(fields));
+      return;
+    }
+
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, toPlain(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) {
+            setPath(doc, path, toPlain(value));
+          }
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$addToSet": {
+          const list = getPath(doc, path) || [];
+          const additions = value && value.$each ? value.$each : [value];
+          additions.forEach((item) => {
+            if (!list.some((existing) => equal(existing, item))) {
+              list.push(toPlain(item));
+            }
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case "$pull":
+          setPath(doc, path, (getPath(doc, path) || []).filter((item) => (
+            isOperatorObject(value) || (value && typeof value === "object" && !isObjectId(value))
+              ? !matches(item, value)
+              : !equal(item, value)
+          )));
+          break;
+        default:
+          throw new Error(`fakeModel does not support ${operator}`);
+      }
+    });
+  });
+};
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+/**
+ * Chainable query resolving to copies of the documents
+ * select, lean, sort, collation and populate are accepted and ignored; limit is applied.
+ */
+const createQuery = (run) => {
+  let limit = Infinity;
+  const query = {
+    select: () => query,
+    lean: () => query,
+    sort: () => query,
+    collation: () => query,
+    populate: () => query,
+    limit: (count) => {
+      limit = count;
+      return query;
+    },
+    exec: async () => {
+      const result = run();
+      return Array.isArray(result) ? result.slice(0, limit).map((doc) => structuredClone(doc)) : structuredClone(result);
+    },
+    then: (resolve, reject) => query.exec().then(resolve, reject)
+  };
+  return query;
+};
+
+/**
+ * Back a model's query methods with an in-memory collection until mock.restoreAll()
+ * @param {Object} Model - Mongoose model
+ * @param {Object} defaults - Field values every new document starts with
+ * @returns {Object} - { docs, insert } to seed and inspect the collection
+ */
+const fakeModel = (Model, defaults = {}) => {
+  const docs = [];
+
+  const insert = (doc) => {
+    const stored = { ...toPlain(structuredClone(defaults)), ...toPlain(doc) };
+    if (stored._id === undefined) {
+      stored._id = new Model.base.Types.ObjectId().toString();
+    }
+    if (docs.some((existing) => equal(existing._id, stored._id))) {
+      throw duplicateKeyError();
+    }
+    docs.push(stored);
+    return stored;
+  };
+
+  const findFirst = (filter) => docs.find((doc) => matches(doc, filter)) || null;
+
+  const findOneAndUpdate = (filter, update, options = {}) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      const before = structuredClone(doc);
+      applyUpdate(doc, update, false);
+      return options.new ? doc : before;
+    }
+    if (!options.upsert) {
+      return null;
+    }
+
+    const seed = Object.fromEntries(
+      Object.entries(filter).filter(([field, condition]) => !field.startsWith("$") && !isOperatorObject(condition))
+    );
+    const created = { ...toPlain(structuredClone(defaults)), ...toPlain(seed) };
+    applyUpdate(created, update, true);
+    insert(created);
+    return options.new ? created : null;
+  };
+
+  const methods = {
+    create: async (input) => (Array.isArray(input)
+      ? input.map((doc) => structuredClone(insert(doc)))
+      : structuredClone(insert(input))),
+    find: (filter) => createQuery(() => docs.filter((doc) => matches(doc, filter))),
+    findOne: (filter) => createQuery(() => findFirst(filter)),
+    findById: (id) => createQuery(() => findFirst({ _id: id })),
+    exists: async (filter) => (findFirst(filter) ? { _id: findFirst(filter)._id } : null),
+    distinct: async (field, filter) => [...new Set(docs.filter((doc) => matches(doc, filter)).map((doc) => getPath(doc, field)))],
+    findOneAndUpdate: (filter, update, options) => createQuery(() => findOneAndUpdate(filter, update, options)),
+    findByIdAndUpdate: (id, update, options) => createQuery(() => findOneAndUpdate({ _id: id }, update, options)),
+    updateOne: async (filter, update, options = {}) => {
+      const doc = findFirst(filter);
+      if (!doc && options.upsert) {
+        findOneAndUpdate(filter, update, options);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      if (!doc) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+      const before = JSON.stringify(doc);
+      applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: JSON.stringify(doc) === before ? 0 : 1 };
+    },
+    updateMany: async (filter, update) => {
+      const matched = docs.filter((doc) => matches(doc, filter));
+      matched.forEach((doc) => applyUpdate(doc, update, false));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index === -1) {
+        return { deletedCount: 0 };
+      }
+      docs.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+    deleteMany: async (filter) => {
+      const before = docs.length;
+      for (let index = docs.length - 1; index >= 0; index--) {
+        if (matches(docs[index], filter)) {
+          docs.splice(index, 1);
+        }
+      }
+      return { deletedCount: before - docs.length };
+    }
+  };
+
+  Object.entries(methods).forEach(([name, implementation]) => mock.method(Model, name, implementation));
+
+  return { docs, insert };
+};
+
+module.exports = {
+  fakeModel
+};
@@ -0,0 +1,293 @@
+/**
+ * In-memory Redis stand-in for the tests of the redis realtime adapter; test-only
+ *
+ * Speaks just enough RESP2 for the Socket.IO Redis adapter and the presence store: pub/sub with
+ * patterns, strings with PX expiry, sets and MULTI/EXEC. Nothing is persisted. Anything else,
+ * including trying several nodes by hand, needs a real Redis, e.g.
+ *   docker run --rm -p 6379:6379 redis:7
+ */
+const net = require("net");
+
+const OK = Buffer.from("+OK\r\n");
+const QUEUED = Buffer.from("+QUEUED\r\n");
+
+const encode = (value) => {
+  if (value === null || value === undefined) {
+    return Buffer.from("$-1\r\n");
+  }
+  if (value instanceof Error) {
+    return Buffer.from(`-${value.message}\r\n`);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from("\r\n")]);
+  }
+  if (typeof value === "number") {
+    return Buffer.from(`:${value}\r\n`);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encode)]);
+  }
+  // Plain strings are status replies; bulk strings are always passed as buffers
+  return Buffer.from(`+${value}\r\n`);
+};
+
+/**
+ * Read complete commands (arrays of bulk strings) from a connection's buffer
+ * @param {Buffer} buffer - Unparsed bytes
+ * @returns {Object} - { commands, rest } with the bytes of an incomplete command left in rest
+ */
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+
+  const readLine = (from) => {
+    const end = buffer.indexOf("\r\n", from);
+    return end === -1 ? null : { line: buffer.toString("utf8", from, end), next: end + 2 };
+  };
+
+  while (offset < buffer.length) {
+    const header = readLine(offset);
+    if (!header || header.line[0] !== "*") {
+      break;
+    }
+
+    const count = parseInt(header.line.slice(1), 10);
+    const args = [];
+    let cursor = header.next;
+    for (let i = 0; i < count; i++) {
+      const size = readLine(cursor);
+      const length = size ? parseInt(size.line.slice(1), 10) : 0;
+      if (!size || size.next + length + 2 > buffer.length) {
+        return { commands, rest: buffer.subarray(offset) };
+      }
+      args.push(buffer.subarray(size.next, size.next + length));
+      cursor = size.next + length + 2;
+    }
+
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`,
+  "s"
+);
+
+/**
+ * Start a stand-in server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on, 0 for any free port
+ * @returns {Promise<Object>} - { port, url, close }
+ */
+const startRedisStandIn = ({ port = 0 } = {}) => {
+  const strings = new Map();
+  const sets = new Map();
+  const channels = new Map();
+  const patterns = new Map();
+
+  const getString = (key) => {
+    const entry = strings.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  };
+
+  const subscribe = (registry, connection, name) => {
+    if (!registry.has(name)) {
+      registry.set(name, new Set());
+    }
+    registry.get(name).add(connection);
+  };
+
+  const unsubscribe = (registry, connection, name) => {
+    const subscribers = registry.get(name);
+    if (subscribers) {
+      subscribers.delete(connection);
+      if (subscribers.size === 0) {
+        registry.delete(name);
+      }
+    }
+  };
+
+  const publish = (channel, payload) => {
+    let receivers = 0;
+    (channels.get(channel) || new Set()).forEach((connection) => {
+      connection.socket.write(encode([Buffer.from("message"), Buffer.from(channel), payload]));
+      receivers++;
+    });
+    patterns.forEach((subscribers, pattern) => {
+      if (globToRegExp(pattern).test(channel)) {
+        subscribers.forEach((connection) => {
+          connection.socket.write(encode([Buffer.from("pmessage"), Buffer.from(pattern), Buffer.from(channel), payload]));
+          receivers++;
+        });
+      }
+    });
+    return receivers;
+  };
+
+  const subscriptionReply = (kind, connection, names, registry, subscribed) => {
+    const replies = names.map((name) => {
+      if (subscribed) {
+        subscribe(registry, connection, name);
+        connection.subscriptions.add(`${kind}:${name}`);
+      } else {
+        unsubscribe(registry, connection, name);
+        connection.subscriptions.delete(`${kind}:${name}`);
+      }
+      return encode([Buffer.from(subscribed ? kind : `un${kind}`), Buffer.from(name), connection.subscriptions.size]);
+    });
+    return Buffer.concat(replies);
+  };
+
+  const execute = (connection, [name, ...rawArgs]) => {
+    const command = name.toString().toUpperCase();
+    const args = rawArgs.map((arg) => arg.toString());
+
+    switch (command) {
+      case "PING":
+        return encode("PONG");
+      case "QUIT":
+        connection.socket.end(OK);
+        return null;
+      case "SELECT":
+      case "CLIENT":
+        return OK;
+      case "INFO":
+        return encode(Buffer.from("# Server\r\nredis_version:7.0.0\r\n"));
+      case "SET": {
+        const pxIndex = args.findIndex((arg) => arg.toUpperCase() === "PX");
+        const exIndex = args.findIndex((arg) => arg.toUpperCase() === "EX");
+        let expiresAt = null;
+        if (pxIndex > 1) {
+          expiresAt = Date.now() + parseInt(args[pxIndex + 1], 10);
+        } else if (exIndex > 1) {
+          expiresAt = Date.now() + parseInt(args[exIndex + 1], 10) * 1000;
+        }
+        strings.set(args[0], { value: rawArgs[1], expiresAt });
+        return OK;
+      }
+      case "GET":
+        return encode(getString(args[0]));
+      case "MGET":
+        return encode(args.map(getString));
+      case "DEL": {
+        let removed = 0;
+        args.forEach((key) => {
+          removed += (strings.delete(key) ? 1 : 0) + (sets.delete(key) ? 1 : 0);
+        });
+        return encode(removed);
+      }
+      case "SADD": {
+        const set = sets.get(args[0]) || new Set();
+        const before = set.size;
+        args.slice(1).forEach((member) => set.add(member));
+        sets.set(args[0], set);
+        return encode(set.size - before);
+      }
+      case "SREM": {
+        const set = sets.get(args[0]);
+        if (!set) {
+          return encode(0);
+        }
+        const before = set.size;
+        args.slice(1).forEach((member) => set.delete(member));
+        if (set.size === 0) {
+          sets.delete(args[0]);
+        }
+        return encode(before - set.size);
+      }
+      case "SMEMBERS":
+        return encode([...(sets.get(args[0]) || [])].map((member) => Buffer.from(member)));
+      case "PUBLISH":
+        return encode(publish(args[0], rawArgs[1]));
+      case "SUBSCRIBE":
+        return subscriptionReply("subscribe", connection, args, channels, true);
+      case "UNSUBSCRIBE":
+        return subscriptionReply("subscribe", connection, args, channels, false);
+      case "PSUBSCRIBE":
+        return subscriptionReply("psubscribe", connection, args, patterns, true);
+      case "PUNSUBSCRIBE":
+        return subscriptionReply("psubscribe", connection, args, patterns, false);
+      case "PUBSUB": {
+        if (args[0].toUpperCase() === "NUMSUB") {
+          return encode(args.slice(1).flatMap((channel) => [
+            Buffer.from(channel),
+            (channels.get(channel) || new Set()).size
+          ]));
+        }
+        return encode(new Error("ERR unsupported PUBSUB subcommand"));
+      }
+      default:
+        return encode(new Error(`ERR unknown command '${command}'`));
+    }
+  };
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    const connection = { socket, subscriptions: new Set(), queue: null };
+    let pending = Buffer.alloc(0);
+
+    socket.on("data", (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+      pending = rest;
+
+      commands.forEach((args) => {
+        const command = args[0].toString().toUpperCase();
+        if (command === "MULTI") {
+          connection.queue = [];
+          socket.write(OK);
+        } else if (command === "EXEC") {
+          const replies = (connection.queue || []).map((queued) => execute(connection, queued));
+          connection.queue = null;
+          socket.write(Buffer.concat([Buffer.from(`*${replies.length}\r\n`), ...replies]));
+        } else if (command === "DISCARD") {
+          connection.queue = null;
+          socket.write(OK);
+        } else if (connection.queue) {
+          connection.queue.push(args);
+          socket.write(QUEUED);
+        } else {
+          const reply = execute(connection, args);
+          if (reply) {
+            socket.write(reply);
+          }
+        }
+      });
+    });
+
+    const drop = () => {
+      sockets.delete(socket);
+      channels.forEach((subscribers, name) => unsubscribe(channels, connection, name));
+      patterns.forEach((subscribers, name) => unsubscribe(patterns, connection, name));
+    };
+    socket.on("close", drop);
+    socket.on("error", drop);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        port: boundPort,
+        url: `redis://127.0.0.1:${boundPort}`,
+        close: () => new Promise((done) => {
+          server.close(() => done());
+          // Clients keep their connections open; end them so close() returns
+          sockets.forEach((socket) => socket.destroy());
+        })
+      });
+    });
+  });
+};
+
+module.exports = {
+  startRedisStandIn
+};
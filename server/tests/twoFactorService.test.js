@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const User = require("../models/userModel");
+const TwoFactorChallenge = require("../models/twoFactorChallengeModel");
+const TwoFactorService = require("../services/twoFactorService");
+const { fakeModel } = require("./support/fakeModel");
+
+const USER_ID = "507f1f77bcf86cd799439011";
+// RFC 6238 appendix B: ASCII "12345678901234567890" with SHA-1; codes are the last 6 of its 8 digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_CODES = [
+  { time: 59, code: "287082" },
+  { time: 1111111109, code: "081804" },
+  { time: 1234567890, code: "005924" },
+  { time: 2000000000, code: "279037" }
+];
+const RECOVERY_CODE = "abcde-12345";
+
+const setClock = (seconds) => mock.method(Date, "now", () => seconds * 1000);
+
+describe("TwoFactorService.matchStep", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("accepts the RFC 6238 test vectors", () => {
+    RFC_CODES.forEach(({ time, code }) => {
+      setClock(time);
+      assert.equal(TwoFactorService.matchStep(RFC_SECRET, code), Math.floor(time / 30), `code at ${time}`);
+    });
+  });
+
+  it("allows one step of clock drift either way and no more", () => {
+    setClock(59 + 30);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "287082"), 1);
+    setClock(59 - 30);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "287082"), 1);
+    setClock(59 + 60);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "287082"), null);
+  });
+
+  it("refuses codes of steps already used, malformed codes and a missing secret", () => {
+    setClock(59);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "287082", 1), null);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "28708"), null);
+    assert.equal(TwoFactorService.matchStep(RFC_SECRET, "28708a"), null);
+    assert.equal(TwoFactorService.matchStep(null, "287082"), null);
+  });
+});
+
+describe("TwoFactorService code checks", () => {
+  let users;
+  let challenges;
+
+  beforeEach(() => {
+    setClock(59);
+    users = fakeModel(User);
+    users.insert({
+      _id: USER_ID,
+      twoFactor: {
+        enabled: true,
+        secret: RFC_SECRET,
+        lastUsedStep: 0,
+        recoveryCodes: [crypto.createHash("sha256").update(RECOVERY_CODE.replace(/-/g, "")).digest("hex")],
+        failedAttempts: 0,
+        lockedUntil: null
+      }
+    });
+    challenges = fakeModel(TwoFactorChallenge, { failedAttempts: 0 });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("accepts a TOTP code once", async () => {
+    assert.deepEqual(await TwoFactorService.verifyCode(USER_ID, "287 082"), { success: true, method: "totp" });
+    assert.equal((await TwoFactorService.verifyCode(USER_ID, "287082")).code, "INVALID_TWO_FACTOR_CODE");
+  });
+
+  it("spends a recovery code when it is used", async () => {
+    assert.deepEqual(await TwoFactorService.verifyCode(USER_ID, RECOVERY_CODE.toUpperCase()), { success: true, method: "recovery" });
+    assert.equal((await TwoFactorService.verifyCode(USER_ID, RECOVERY_CODE)).code, "INVALID_TWO_FACTOR_CODE");
+  });
+
+  it("locks code checks after five wrong codes in a row, even for the right code", async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      assert.equal((await TwoFactorService.verifyCode(USER_ID, "000000")).code, "INVALID_TWO_FACTOR_CODE");
+    }
+    const fifth = await TwoFactorService.verifyCode(USER_ID, "000000");
+    assert.equal(fifth.code, "TWO_FACTOR_LOCKED");
+    assert.equal(fifth.statusCode, 429);
+
+    assert.equal((await TwoFactorService.verifyCode(USER_ID, "287082")).code, "TWO_FACTOR_LOCKED");
+
+    setClock(59 + 15 * 60);
+    assert.equal((await TwoFactorService.verifyCode(USER_ID, "000000")).code, "INVALID_TWO_FACTOR_CODE", "unlocked again");
+  });
+
+  it("resets the failure count after a right code", async () => {
+    await TwoFactorService.verifyCode(USER_ID, "000000");
+    await TwoFactorService.verifyCode(USER_ID, "000000");
+    await TwoFactorService.verifyCode(USER_ID, "287082");
+
+    assert.equal(users.docs[0].twoFactor.failedAttempts, 0);
+  });
+
+  it("completes a login challenge once", async () => {
+    const challengeToken = await TwoFactorService.createChallenge(USER_ID);
+
+    const result = await TwoFactorService.completeChallenge(challengeToken, "287082");
+    assert.equal(result.success, true);
+    assert.equal(result.userId, USER_ID);
+    assert.equal(challenges.docs.length, 0);
+
+    assert.equal((await TwoFactorService.completeChallenge(challengeToken, RECOVERY_CODE)).code, "INVALID_CHALLENGE");
+  });
+
+  it("drops a login challenge after three wrong codes", async () => {
+    const challengeToken = await TwoFactorService.createChallenge(USER_ID);
+
+    const first = await TwoFactorService.completeChallenge(challengeToken, "000000");
+    assert.equal(first.code, "INVALID_TWO_FACTOR_CODE");
+    assert.equal(first.statusCode, 401);
+    await TwoFactorService.completeChallenge(challengeToken, "000000");
+    assert.equal((await TwoFactorService.completeChallenge(challengeToken, "000000")).code, "INVALID_CHALLENGE");
+
+    assert.equal((await TwoFactorService.completeChallenge(challengeToken, "287082")).code, "INVALID_CHALLENGE");
+    assert.equal(users.docs[0].twoFactor.lastUsedStep, 0, "the right code was not spent on a dead challenge");
+  });
+
+  it("refuses tokens that are not login challenges", async () => {
+    const result = await TwoFactorService.completeChallenge("not-a-token", "287082");
+    assert.equal(result.code, "INVALID_CHALLENGE");
+  });
+});